@@ -0,0 +1,79 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using QuizApp.Data.Repositories.Interfaces;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Controllers
+{
+    /// <summary>
+    /// REST API controller for quiz statistics. Used by the SPA analytics page, where admins see how players
+    /// score on a quiz and which questions and answer options cause trouble.
+    /// Admin only.
+    /// </summary>
+    [ApiController]
+    [Route("api/analytics")]
+    [Authorize(Roles = "Admin")]
+    public class AnalyticsApiController : ControllerBase
+    {
+        private readonly IQuizRepository _quizzes;
+        private readonly IAnalyticsService _analytics;
+        private readonly ILogger<AnalyticsApiController> _logger;
+
+        public AnalyticsApiController(IQuizRepository quizzes, IAnalyticsService analytics, ILogger<AnalyticsApiController> logger)
+        {
+            _quizzes = quizzes;
+            _analytics = analytics;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Returns the statistics of a quiz: number of attempts and players, average score, score distribution in 10% bands,
+        /// and per question the share answered correctly and, for choice questions, how often each option was picked.
+        /// </summary>
+        [HttpGet("quiz/{quizId}")]
+        public async Task<IActionResult> GetForQuiz(int quizId)
+        {
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(quizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var stats = await _analytics.GetQuizAnalyticsAsync(quiz);
+
+                return Ok(new
+                {
+                    quizId = quiz.QuizId,
+                    title = quiz.Title,
+                    attemptCount = stats.AttemptCount,
+                    playerCount = stats.PlayerCount,
+                    averageScorePercent = stats.AverageScorePercent,
+                    scoreDistribution = stats.ScoreDistribution,
+                    questions = stats.Questions.Select(q => new
+                    {
+                        questionId = q.QuestionId,
+                        text = q.Text,
+                        type = q.Type.ToString(),
+                        answerCount = q.AnswerCount,
+                        skippedCount = q.SkippedCount,
+                        percentCorrect = q.PercentCorrect,
+                        averagePointsPercent = q.AveragePointsPercent,
+                        options = q.Options.Select(o => new
+                        {
+                            optionId = o.OptionId,
+                            text = o.Text,
+                            isCorrect = o.IsCorrect,
+                            pickCount = o.PickCount,
+                            pickPercent = o.PickPercent
+                        })
+                    })
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AnalyticsApiController.GetForQuiz({QuizId})", quizId);
+                return StatusCode(500, new { message = "An error occurred while loading the statistics." });
+            }
+        }
+    }
+}
@@ -0,0 +1,503 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.AspNetCore.Mvc;
+using QuizApp.Data.Repositories.Interfaces;
+using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Controllers
+{
+    /// <summary>
+    /// REST API controller for quiz attempts. Used by the SPA when a player starts, autosaves, resumes and submits a quiz,
+    /// reveals a hint along the way, and when they look back at their results.
+    /// Answers are scored here so the correct options never have to be sent to the browser,
+    /// and time limits are checked against the server's clock.
+    /// </summary>
+    [ApiController]
+    [Route("api/attempts")]
+    [Authorize]
+    public class AttemptApiController : ControllerBase
+    {
+        private readonly IQuizRepository _quizzes;
+        private readonly IAttemptRepository _attempts;
+        private readonly IAttemptService _attemptService;
+        private readonly UserManager<ApplicationUser> _userManager;
+        private readonly ILogger<AttemptApiController> _logger;
+
+        public AttemptApiController(
+            IQuizRepository quizzes,
+            IAttemptRepository attempts,
+            IAttemptService attemptService,
+            UserManager<ApplicationUser> userManager,
+            ILogger<AttemptApiController> logger)
+        {
+            _quizzes = quizzes;
+            _attempts = attempts;
+            _attemptService = attemptService;
+            _userManager = userManager;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Returns the current user's attempts, newest first, with the quiz title, score, and pass/fail and grade (when the quiz has them) of each.
+        /// Used by the "My results" page.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> GetMine()
+        {
+            try
+            {
+                var userId = _userManager.GetUserId(User)!;
+                var attempts = await _attempts.GetByUserIdAsync(userId);
+
+                var dto = attempts.Select(a => new
+                {
+                    attemptId = a.Id,
+                    quizId = a.QuizId,
+                    quizTitle = a.Quiz?.Title,
+                    submittedAt = a.SubmittedAt,
+                    earnedPoints = a.EarnedPoints,
+                    totalPoints = a.TotalPoints,
+                    passed = a.Passed,
+                    grade = a.Grade
+                });
+
+                return Ok(dto);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.GetMine");
+                return StatusCode(500, new { message = "An error occurred while loading your results." });
+            }
+        }
+
+        /// <summary>
+        /// Returns a single submitted attempt with its score. Used by the result page, so the score shown
+        /// always comes from the server rather than from the URL.
+        /// Players can only load their own attempts; admins can load any attempt.
+        /// </summary>
+        [HttpGet("{id}")]
+        public async Task<IActionResult> Get(int id)
+        {
+            try
+            {
+                var attempt = await _attempts.GetByIdAsync(id);
+                if (attempt == null || attempt.SubmittedAt == null || !CanView(attempt))
+                    return NotFound(new { message = "Result not found." });
+
+                return Ok(new
+                {
+                    attemptId = attempt.Id,
+                    quizId = attempt.QuizId,
+                    quizTitle = attempt.Quiz?.Title,
+                    startedAt = attempt.StartedAt,
+                    submittedAt = attempt.SubmittedAt,
+                    timedOut = attempt.TimedOut,
+                    earnedPoints = attempt.EarnedPoints,
+                    totalPoints = attempt.TotalPoints,
+                    passed = attempt.Passed,
+                    grade = attempt.Grade
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.Get({AttemptId})", id);
+                return StatusCode(500, new { message = "An error occurred while loading the result." });
+            }
+        }
+
+        /// <summary>
+        /// Returns a question-by-question review of a submitted attempt: the option(s) the player picked or the text
+        /// they typed with the author's feedback on each picked option, the correct option(s) or accepted answers,
+        /// the points earned, any hint the player revealed and what it cost, and the question's explanation.
+        /// Correct answers are only ever sent here, once the attempt has been submitted and can no longer change.
+        /// Players can only review their own attempts; admins can review any attempt.
+        /// </summary>
+        [HttpGet("{id}/review")]
+        public async Task<IActionResult> GetReview(int id)
+        {
+            try
+            {
+                var attempt = await _attempts.GetByIdAsync(id);
+                if (attempt == null || attempt.SubmittedAt == null || !CanView(attempt))
+                    return NotFound(new { message = "Result not found." });
+
+                var quiz = await _quizzes.GetByIdAsync(attempt.QuizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                // Only questions that were part of the attempt, in the order the player saw them;
+                // ones added to the quiz later are left out
+                var questions = _attemptService.OrderQuestions(quiz, attempt)
+                    .Select(q => new { Question = q, Answer = attempt.Answers.FirstOrDefault(a => a.QuestionId == q.Id) })
+                    .Where(x => x.Answer != null)
+                    .Select(x => new
+                    {
+                        questionId = x.Question.Id,
+                        text = x.Question.Text,
+                        explanation = x.Question.Explanation,
+                        points = x.Question.Points,
+                        pointsAwarded = x.Answer!.PointsAwarded,
+                        isCorrect = x.Answer.IsCorrect,
+                        hint = x.Question.Hint,
+                        hintUsed = attempt.HintQuestionIds.Contains(x.Question.Id),
+                        hintCost = x.Answer.HintCost,
+                        type = x.Question.Type.ToString(),
+                        // In the order the player gave them, which matters for ordering questions
+                        selectedOptions = x.Answer.SelectedOptionIds
+                            .Select(id => x.Question.Options.FirstOrDefault(o => o.Id == id))
+                            .OfType<Option>()
+                            .Select(o => new { id = o.Id, text = o.Text, feedback = o.Feedback }),
+                        textResponse = x.Answer.TextResponse,
+                        numericAnswer = x.Question.NumericAnswer,
+                        tolerance = x.Question.Tolerance,
+                        // Ordering questions: every option, in the correct order
+                        correctOptions = x.Question.Options
+                            .Where(o => o.IsCorrect || x.Question.Type == QuestionType.Ordering)
+                            .Select(o => new { id = o.Id, text = o.Text }),
+                        // Matching questions: each option with the correct match and the one the player chose
+                        pairs = x.Question.Type != QuestionType.Matching
+                            ? null
+                            : _attemptService.OrderOptions(quiz, x.Question, attempt).Select(o => new
+                            {
+                                id = o.Id,
+                                text = o.Text,
+                                matchText = o.MatchText,
+                                feedback = o.Feedback,
+                                chosen = ChosenMatch(x.Answer, o.Id)
+                            })
+                    });
+
+                return Ok(new
+                {
+                    attemptId = attempt.Id,
+                    quizId = quiz.QuizId,
+                    quizTitle = quiz.Title,
+                    questions
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.GetReview({AttemptId})", id);
+                return StatusCode(500, new { message = "An error occurred while loading the review." });
+            }
+        }
+
+        /// <summary>
+        /// Returns the current user's unfinished attempt at a quiz, with the answers saved so far and the hints revealed,
+        /// so the player can resume it.
+        /// Responds with 204 No Content when there is nothing to resume.
+        /// </summary>
+        [HttpGet("open")]
+        public async Task<IActionResult> GetOpen([FromQuery] int quizId)
+        {
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(quizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var attempt = await _attempts.GetOpenAsync(_userManager.GetUserId(User)!, quizId);
+                if (attempt == null)
+                    return NoContent();
+
+                return Ok(new
+                {
+                    attemptId = attempt.Id,
+                    quizId = quiz.QuizId,
+                    startedAt = attempt.StartedAt,
+                    deadline = _attemptService.GetDeadline(attempt, quiz),
+                    serverNow = DateTime.UtcNow,
+                    answers = _attemptService.GetDraftAnswers(attempt).Select(a => new
+                    {
+                        questionId = a.QuestionId,
+                        optionIds = a.OptionIds,
+                        text = a.Text,
+                        matches = a.Matches
+                    }),
+                    // Hints revealed so far, so they stay shown after resuming
+                    hints = _attemptService.GetAttemptQuestions(quiz, attempt)
+                        .Where(q => q.Hint != null && attempt.HintQuestionIds.Contains(q.Id))
+                        .Select(q => new { questionId = q.Id, hint = q.Hint })
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.GetOpen({QuizId})", quizId);
+                return StatusCode(500, new { message = "An error occurred while loading your unfinished attempt." });
+            }
+        }
+
+        /// <summary>
+        /// Returns how many attempts the current user has made at a quiz and whether they may start another one,
+        /// given the quiz's attempt limit and cooldown. serverNow lets the client count down to nextAttemptAt.
+        /// </summary>
+        [HttpGet("allowance")]
+        public async Task<IActionResult> GetAllowance([FromQuery] int quizId)
+        {
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(quizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var allowance = await _attemptService.GetAllowanceAsync(quiz, _userManager.GetUserId(User)!);
+
+                return Ok(new
+                {
+                    quizId = quiz.QuizId,
+                    attemptsUsed = allowance.AttemptsUsed,
+                    maxAttempts = allowance.MaxAttempts,
+                    cooldownMinutes = quiz.CooldownMinutes,
+                    gradingPolicy = quiz.GradingPolicy.ToString(),
+                    nextAttemptAt = allowance.NextAttemptAt,
+                    // Admins may always start another attempt, as at Start
+                    canStart = allowance.CanStart || User.IsInRole("Admin"),
+                    message = allowance.Reason,
+                    serverNow = DateTime.UtcNow
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.GetAllowance({QuizId})", quizId);
+                return StatusCode(500, new { message = "An error occurred while loading your attempts." });
+            }
+        }
+
+        /// <summary>
+        /// Starts an attempt at a quiz for the current user and returns its id, deadline and which attempt it is.
+        /// The deadline is null for quizzes without a time limit. serverNow lets the client run its countdown
+        /// against the server's clock rather than its own. Players can only start published quizzes,
+        /// within the quiz's attempt limit and cooldown. An unfinished attempt is resumed (resumed is true)
+        /// unless startOver is set, in which case it is discarded with its saved answers.
+        /// </summary>
+        [HttpPost("start")]
+        public async Task<IActionResult> Start([FromBody] AttemptStart start)
+        {
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(start.QuizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var userId = _userManager.GetUserId(User)!;
+
+                // Resuming is always allowed: the attempt already counts against the limits, and attempts started
+                // before the quiz closed can still be finished
+                var resumed = !start.StartOver && await _attempts.GetOpenAsync(userId, quiz.QuizId) != null;
+
+                // Admins may try out quizzes before publishing them, or outside their opening hours
+                var closed = _attemptService.GetClosedReason(quiz);
+                if (!resumed && closed != null && !User.IsInRole("Admin"))
+                    return BadRequest(new { message = closed });
+
+                var allowance = await _attemptService.GetAllowanceAsync(quiz, userId);
+                if (!resumed && !allowance.CanStart && !User.IsInRole("Admin"))
+                    return BadRequest(new { message = allowance.Reason, nextAttemptAt = allowance.NextAttemptAt });
+
+                var attempt = start.StartOver
+                    ? await _attemptService.StartOverAsync(quiz, userId)
+                    : await _attemptService.StartAsync(quiz, userId);
+
+                return Ok(new
+                {
+                    attemptId = attempt.Id,
+                    quizId = quiz.QuizId,
+                    resumed,
+                    startedAt = attempt.StartedAt,
+                    deadline = _attemptService.GetDeadline(attempt, quiz),
+                    attemptNumber = allowance.AttemptsUsed + 1,
+                    maxAttempts = allowance.MaxAttempts,
+                    serverNow = DateTime.UtcNow
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.Start({QuizId})", start.QuizId);
+                return StatusCode(500, new { message = "An error occurred while starting the quiz." });
+            }
+        }
+
+        /// <summary>
+        /// Scores and submits an attempt started with <see cref="Start"/>. Answers sent after the deadline of a timed quiz
+        /// are not counted and the attempt is marked as timed out. An attempt can only be submitted once, by the player who started it.
+        /// </summary>
+        [HttpPost("{id}/submit")]
+        public async Task<IActionResult> SubmitStarted(int id, [FromBody] AttemptSubmission submission)
+        {
+            try
+            {
+                var attempt = await _attempts.GetByIdAsync(id);
+                if (attempt == null || attempt.UserId != _userManager.GetUserId(User))
+                    return NotFound(new { message = "Attempt not found." });
+
+                if (attempt.QuizId != submission.QuizId)
+                    return BadRequest(new { message = "Quiz id does not match the attempt." });
+
+                if (attempt.SubmittedAt != null)
+                    return Conflict(new { message = "This attempt has already been submitted." });
+
+                var quiz = await _quizzes.GetByIdAsync(attempt.QuizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                await _attemptService.FinishAsync(attempt, quiz, submission.Answers);
+
+                return Ok(new
+                {
+                    attemptId = attempt.Id,
+                    quizId = quiz.QuizId,
+                    quizTitle = quiz.Title,
+                    timedOut = attempt.TimedOut,
+                    earnedPoints = attempt.EarnedPoints,
+                    totalPoints = attempt.TotalPoints,
+                    passed = attempt.Passed,
+                    grade = attempt.Grade
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.SubmitStarted({AttemptId})", id);
+                return StatusCode(500, new { message = "An error occurred while submitting the quiz." });
+            }
+        }
+
+        /// <summary>
+        /// Autosaves the answers given so far on an attempt that is still in progress. Answers are not graded until
+        /// the attempt is submitted. Once a timed attempt's deadline has passed, drafts are refused with 409 Conflict.
+        /// </summary>
+        [HttpPut("{id}/draft")]
+        public async Task<IActionResult> SaveDraft(int id, [FromBody] AttemptSubmission draft)
+        {
+            try
+            {
+                var attempt = await _attempts.GetByIdAsync(id);
+                if (attempt == null || attempt.UserId != _userManager.GetUserId(User))
+                    return NotFound(new { message = "Attempt not found." });
+
+                if (attempt.QuizId != draft.QuizId)
+                    return BadRequest(new { message = "Quiz id does not match the attempt." });
+
+                if (attempt.SubmittedAt != null)
+                    return Conflict(new { message = "This attempt has already been submitted." });
+
+                var quiz = await _quizzes.GetByIdAsync(attempt.QuizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                if (!await _attemptService.SaveDraftAsync(attempt, quiz, draft.Answers))
+                    return Conflict(new { message = "Time is up for this attempt." });
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.SaveDraft({AttemptId})", id);
+                return StatusCode(500, new { message = "An error occurred while saving your answers." });
+            }
+        }
+
+        /// <summary>
+        /// Reveals a question's hint on an attempt that is still in progress and records it against the attempt,
+        /// so the hint's cost is taken off when the attempt is scored. Hints are never part of the quiz itself, only sent here.
+        /// Once a timed attempt's deadline, or the question's own time limit, has passed, hints are refused with 409 Conflict.
+        /// </summary>
+        [HttpPost("{id}/hints/{questionId}")]
+        public async Task<IActionResult> RevealHint(int id, int questionId)
+        {
+            try
+            {
+                var attempt = await _attempts.GetByIdAsync(id);
+                if (attempt == null || attempt.UserId != _userManager.GetUserId(User))
+                    return NotFound(new { message = "Attempt not found." });
+
+                if (attempt.SubmittedAt != null)
+                    return Conflict(new { message = "This attempt has already been submitted." });
+
+                var quiz = await _quizzes.GetByIdAsync(attempt.QuizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var question = _attemptService.GetAttemptQuestions(quiz, attempt).FirstOrDefault(q => q.Id == questionId);
+                if (question?.Hint == null)
+                    return NotFound(new { message = "This question has no hint." });
+
+                if (!await _attemptService.RevealHintAsync(attempt, quiz, question))
+                    return Conflict(new { message = "Time is up for this question." });
+
+                return Ok(new
+                {
+                    questionId = question.Id,
+                    hint = question.Hint,
+                    hintCost = question.HintCost
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.RevealHint({AttemptId}, {QuestionId})", id, questionId);
+                return StatusCode(500, new { message = "An error occurred while loading the hint." });
+            }
+        }
+
+        /// <summary>
+        /// Scores a submitted attempt, stores it for the current user and returns the earned and total points.
+        /// The body lists the option(s) picked for each question; unanswered questions may be omitted.
+        /// Timed and pooled quizzes must be started first (see <see cref="Start"/>) so the deadline and the drawn questions can be enforced.
+        /// Counts as an attempt towards the quiz's attempt limit and cooldown.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> Submit([FromBody] AttemptSubmission submission)
+        {
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(submission.QuizId);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var closed = _attemptService.GetClosedReason(quiz);
+                if (closed != null && !User.IsInRole("Admin"))
+                    return BadRequest(new { message = closed });
+
+                if (_attemptService.RequiresStart(quiz))
+                    return BadRequest(new { message = "This quiz has to be started before it can be submitted." });
+
+                var userId = _userManager.GetUserId(User)!;
+                var allowance = await _attemptService.GetAllowanceAsync(quiz, userId);
+                if (!allowance.CanStart && !User.IsInRole("Admin"))
+                    return BadRequest(new { message = allowance.Reason, nextAttemptAt = allowance.NextAttemptAt });
+
+                var attempt = await _attemptService.SubmitAsync(quiz, userId, submission.Answers);
+
+                return Ok(new
+                {
+                    attemptId = attempt.Id,
+                    quizId = quiz.QuizId,
+                    quizTitle = quiz.Title,
+                    earnedPoints = attempt.EarnedPoints,
+                    totalPoints = attempt.TotalPoints,
+                    passed = attempt.Passed,
+                    grade = attempt.Grade
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in AttemptApiController.Submit({QuizId})", submission.QuizId);
+                return StatusCode(500, new { message = "An error occurred while submitting the quiz." });
+            }
+        }
+
+        // MatchedTexts lines up with SelectedOptionIds for matching questions
+        private static string? ChosenMatch(AttemptAnswer answer, int optionId)
+        {
+            var index = answer.SelectedOptionIds.IndexOf(optionId);
+            return index >= 0 && index < answer.MatchedTexts.Count ? answer.MatchedTexts[index] : null;
+        }
+
+        // Players may only see their own attempts; someone else's attempt is reported as missing
+        // rather than revealing that it exists. Admins can see every attempt.
+        private bool CanView(Attempt attempt)
+        {
+            return attempt.UserId == _userManager.GetUserId(User) || User.IsInRole("Admin");
+        }
+    }
+}
@@ -0,0 +1,107 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.AspNetCore.Mvc;
+using QuizApp.Data.Repositories.Interfaces;
+using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Controllers
+{
+    /// <summary>
+    /// REST API controller for leaderboards. Used by the SPA leaderboard page and the "Top 5" panel on the quiz details page.
+    /// Players are ranked by their submitted attempts, counted by each quiz's grading policy (best, latest or average),
+    /// either on one quiz or across all quizzes, for all time or for the current week (period=Week).
+    /// </summary>
+    [ApiController]
+    [Route("api/leaderboard")]
+    [Authorize]
+    public class LeaderboardApiController : ControllerBase
+    {
+        private const int MaxEntries = 100;
+
+        private readonly IQuizRepository _quizzes;
+        private readonly ILeaderboardService _leaderboards;
+        private readonly UserManager<ApplicationUser> _userManager;
+        private readonly ILogger<LeaderboardApiController> _logger;
+
+        public LeaderboardApiController(
+            IQuizRepository quizzes,
+            ILeaderboardService leaderboards,
+            UserManager<ApplicationUser> userManager,
+            ILogger<LeaderboardApiController> logger)
+        {
+            _quizzes = quizzes;
+            _leaderboards = leaderboards;
+            _userManager = userManager;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Returns the top players across all quizzes, by their points at every quiz added up, each counted by the quiz's
+        /// grading policy (best, latest or average attempt).
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> GetGlobal([FromQuery] LeaderboardPeriod period = LeaderboardPeriod.AllTime, [FromQuery] int top = 10)
+        {
+            try
+            {
+                var entries = await _leaderboards.GetGlobalLeaderboardAsync(period, Math.Clamp(top, 1, MaxEntries));
+
+                return Ok(ToDto(entries, period));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in LeaderboardApiController.GetGlobal");
+                return StatusCode(500, new { message = "An error occurred while loading the leaderboard." });
+            }
+        }
+
+        /// <summary>
+        /// Returns the top players of one quiz, by the quiz's grading policy (best, latest or average attempt):
+        /// share of the points first, then time taken.
+        /// Only published quizzes have a leaderboard.
+        /// </summary>
+        [HttpGet("quiz/{quizId}")]
+        public async Task<IActionResult> GetForQuiz(int quizId, [FromQuery] LeaderboardPeriod period = LeaderboardPeriod.AllTime, [FromQuery] int top = 10)
+        {
+            try
+            {
+                // Draft and archived quizzes have no leaderboard; admins get an empty one, as attempts at them don't count
+                var quiz = await _quizzes.GetByIdAsync(quizId);
+                if (quiz == null || (quiz.Status != QuizStatus.Published && !User.IsInRole("Admin")))
+                    return NotFound(new { message = "Quiz not found." });
+
+                var entries = await _leaderboards.GetQuizLeaderboardAsync(quizId, period, Math.Clamp(top, 1, MaxEntries));
+
+                return Ok(ToDto(entries, period));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in LeaderboardApiController.GetForQuiz({QuizId})", quizId);
+                return StatusCode(500, new { message = "An error occurred while loading the leaderboard." });
+            }
+        }
+
+        // User ids stay on the server; the client only needs to know which row is the current player's
+        private object ToDto(List<LeaderboardEntry> entries, LeaderboardPeriod period)
+        {
+            var userId = _userManager.GetUserId(User);
+
+            return new
+            {
+                period = period.ToString(),
+                since = _leaderboards.GetPeriodStart(period, DateTime.UtcNow),
+                entries = entries.Select(e => new
+                {
+                    rank = e.Rank,
+                    userName = e.UserName,
+                    earnedPoints = e.EarnedPoints,
+                    totalPoints = e.TotalPoints,
+                    durationSeconds = e.Duration == null ? (int?)null : (int)Math.Round(e.Duration.Value.TotalSeconds),
+                    quizCount = e.QuizCount,
+                    isCurrentUser = e.UserId == userId
+                })
+            };
+        }
+    }
+}
@@ -34,12 +34,26 @@ namespace QuizApp.Controllers
                 id = question.Id,
                 quizId = question.QuizId,
                 text = question.Text,
+                type = question.Type.ToString(),
+                scoringMode = question.ScoringMode.ToString(),
+                caseSensitive = question.CaseSensitive,
+                answerPattern = question.AnswerPattern,
+                numericAnswer = question.NumericAnswer,
+                tolerance = question.Tolerance,
                 points = question.Points,
+                penalty = question.Penalty,
+                timeLimitSeconds = question.TimeLimitSeconds,
+                tag = question.Tag,
+                explanation = question.Explanation,
+                hint = question.Hint,
+                hintCost = question.HintCost,
                 options = question.Options.Select(o => new
                 {
                     id = o.Id,
                     text = o.Text,
-                    isCorrect = o.IsCorrect
+                    isCorrect = o.IsCorrect,
+                    matchText = o.MatchText,
+                    feedback = o.Feedback
                 })
             };
 
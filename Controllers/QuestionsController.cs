@@ -6,6 +6,7 @@ using System.Collections.Generic;
 using Microsoft.Extensions.Logging;
 using QuizApp.Data.Repositories.Interfaces;
 using Microsoft.AspNetCore.Authorization;
+using System.Text.RegularExpressions;
 
 namespace QuizApp.Controllers
 {
@@ -82,8 +83,8 @@ namespace QuizApp.Controllers
 
         /// <summary>
         /// Saves a newly created question to the database.
-        /// Validates that the question has at least 2 answer options and that one is marked as correct.
-        /// The CorrectIndex parameter indicates which option (by position) is the correct answer.
+        /// Validates the answers for the question's type (see <see cref="ValidateAnswers"/>); for single choice questions
+        /// the CorrectIndex parameter indicates which option (by position) is correct.
         /// After creation, redirects back to the quiz details page.
         /// </summary>
         [HttpPost("Create")]
@@ -102,22 +103,19 @@ namespace QuizApp.Controllers
                     question.Quiz = quiz;
                 }
 
+                question.Tag = string.IsNullOrWhiteSpace(question.Tag) ? null : question.Tag.Trim();
+                question.Explanation = string.IsNullOrWhiteSpace(question.Explanation) ? null : question.Explanation.Trim();
+                question.Hint = string.IsNullOrWhiteSpace(question.Hint) ? null : question.Hint.Trim();
+                question.HintCost = question.Hint == null ? 0 : question.HintCost;
                 question.Options ??= new List<Option>();
 
                 // Remove empty options and trim text
                 question.Options = question.Options
                     .Where(o => !string.IsNullOrWhiteSpace(o.Text))
-                    .Select(o => new Option { Text = o.Text.Trim(), IsCorrect = false })
+                    .Select(o => new Option { Text = o.Text.Trim(), IsCorrect = o.IsCorrect, MatchText = o.MatchText, Feedback = o.Feedback })
                     .ToList();
 
-                if (question.Options.Count < 2)
-                    ModelState.AddModelError("", "At least two options required.");
-
-                // Make sure a correct answer is selected
-                if (CorrectIndex == null || CorrectIndex < 0 || CorrectIndex >= question.Options.Count)
-                    ModelState.AddModelError("", "Select a correct answer.");
-                else
-                    question.Options[(int)CorrectIndex].IsCorrect = true;
+                ValidateAnswers(question, question.Options, CorrectIndex);
 
                 if (!ModelState.IsValid)
                 {
@@ -162,10 +160,10 @@ namespace QuizApp.Controllers
 
         /// <summary>
         /// Updates an existing question in the database.
-        /// Allows changing the question text, point value, and answer options.
-        /// Can add new options, update existing ones, or delete options (via DeletedOptionIds).
-        /// The CorrectIndex parameter indicates which option is the correct answer.
-        /// Validates that at least 2 options remain and one is marked as correct.
+        /// Allows changing the question text, point value, explanation, and answer options.
+        /// Can add new options and update existing ones; existing options that are no longer posted are deleted.
+        /// The CorrectIndex parameter indicates which option is the correct answer (single choice only).
+        /// Validates the answers for the question's type (see <see cref="ValidateAnswers"/>).
         /// After updating, redirects back to the quiz details page.
         /// </summary>
         [HttpPost("Edit/{id:int}")]
@@ -174,7 +172,6 @@ namespace QuizApp.Controllers
             int id,
             Question formQuestion,
             List<Option>? Options,
-            string? DeletedOptionIds,
             int? CorrectIndex)
         {
             if (id != formQuestion.Id)
@@ -186,49 +183,44 @@ namespace QuizApp.Controllers
                 if (question == null) return NotFound();
 
                 question.Text = formQuestion.Text?.Trim() ?? "";
+                question.Type = formQuestion.Type;
+                question.ScoringMode = formQuestion.ScoringMode;
+                question.CaseSensitive = formQuestion.CaseSensitive;
+                question.AnswerPattern = formQuestion.AnswerPattern;
+                question.NumericAnswer = formQuestion.NumericAnswer;
+                question.Tolerance = formQuestion.Tolerance;
                 question.Points = formQuestion.Points;
+                question.Penalty = formQuestion.Penalty;
+                question.TimeLimitSeconds = formQuestion.TimeLimitSeconds;
+                question.Tag = string.IsNullOrWhiteSpace(formQuestion.Tag) ? null : formQuestion.Tag.Trim();
+                question.Explanation = string.IsNullOrWhiteSpace(formQuestion.Explanation) ? null : formQuestion.Explanation.Trim();
+                question.Hint = string.IsNullOrWhiteSpace(formQuestion.Hint) ? null : formQuestion.Hint.Trim();
+                question.HintCost = question.Hint == null ? 0 : formQuestion.HintCost;
 
                 Options ??= new List<Option>();
 
-                // Filter out empty options and reset IsCorrect flags
+                // Filter out empty options and trim text
                 var cleanedOptions = Options
                     .Where(o => !string.IsNullOrWhiteSpace(o.Text))
                     .Select(o => new Option
                     {
                         Id = o.Id,
                         Text = o.Text.Trim(),
-                        IsCorrect = false,
+                        IsCorrect = o.IsCorrect,
+                        MatchText = o.MatchText,
+                        Feedback = o.Feedback,
                         QuestionId = question.Id
                     })
                     .ToList();
 
-                if (cleanedOptions.Count < 2)
-                    ModelState.AddModelError("", "A question must have at least 2 answer options.");
-
-                if (CorrectIndex == null || CorrectIndex < 0 || CorrectIndex >= cleanedOptions.Count)
-                    ModelState.AddModelError("", "Select which answer is correct.");
-                else
-                    cleanedOptions[(int)CorrectIndex].IsCorrect = true;
+                ValidateAnswers(question, cleanedOptions, CorrectIndex);
 
                 if (!ModelState.IsValid)
                     return View(question);
 
-                // Handle deleted options
-                var deletedIds = new List<int>();
-                if (!string.IsNullOrWhiteSpace(DeletedOptionIds))
-                {
-                    deletedIds = DeletedOptionIds
-                        .Split(',', StringSplitOptions.RemoveEmptyEntries)
-                        .Select(int.Parse)
-                        .ToList();
-                }
-
-                foreach (var deleteId in deletedIds)
-                {
-                    var delOpt = question.Options.FirstOrDefault(o => o.Id == deleteId);
-                    if (delOpt != null)
-                        question.Options.Remove(delOpt);
-                }
+                // Options removed in the form (or emptied) are deleted
+                var keptIds = cleanedOptions.Where(o => o.Id != 0).Select(o => o.Id).ToHashSet();
+                question.Options.RemoveAll(o => !keptIds.Contains(o.Id));
 
                 // Add new options or update existing ones
                 foreach (var opt in cleanedOptions)
@@ -239,6 +231,9 @@ namespace QuizApp.Controllers
                         {
                             Text = opt.Text,
                             IsCorrect = opt.IsCorrect,
+                            Order = opt.Order,
+                            MatchText = opt.MatchText,
+                            Feedback = opt.Feedback,
                             QuestionId = question.Id
                         });
                     }
@@ -247,6 +242,9 @@ namespace QuizApp.Controllers
                         var existing = question.Options.First(o => o.Id == opt.Id);
                         existing.Text = opt.Text;
                         existing.IsCorrect = opt.IsCorrect;
+                        existing.Order = opt.Order;
+                        existing.MatchText = opt.MatchText;
+                        existing.Feedback = opt.Feedback;
                     }
                 }
 
@@ -300,5 +298,109 @@ namespace QuizApp.Controllers
                 return RedirectToAction("Error", "Home");
             }
         }
+
+        /// <summary>
+        /// Checks the answer setup for the question's type and marks which options are correct.
+        /// Single choice questions mark the option at CorrectIndex; multiple choice questions keep the posted flags.
+        /// For short text questions every option is an accepted answer; numeric questions keep no options at all.
+        /// Ordering questions take the posted order as the correct one and matching questions need a match for every option.
+        /// </summary>
+        private void ValidateAnswers(Question question, List<Option> options, int? correctIndex)
+        {
+            // Options keep the order they were posted in
+            for (var i = 0; i < options.Count; i++)
+            {
+                options[i].Order = i;
+                options[i].MatchText = question.Type == QuestionType.Matching && !string.IsNullOrWhiteSpace(options[i].MatchText)
+                    ? options[i].MatchText!.Trim()
+                    : null;
+                options[i].Feedback = string.IsNullOrWhiteSpace(options[i].Feedback) ? null : options[i].Feedback!.Trim();
+            }
+
+            // Clear settings that do not apply to the chosen type
+            question.AnswerPattern = question.Type == QuestionType.ShortText && !string.IsNullOrWhiteSpace(question.AnswerPattern)
+                ? question.AnswerPattern.Trim()
+                : null;
+            if (question.Type != QuestionType.Numeric)
+            {
+                question.NumericAnswer = null;
+                question.Tolerance = 0;
+            }
+
+            switch (question.Type)
+            {
+                case QuestionType.ShortText:
+                    foreach (var o in options)
+                        o.IsCorrect = true;
+
+                    if (options.Count == 0 && question.AnswerPattern == null)
+                        ModelState.AddModelError("", "Add at least one accepted answer or an answer pattern.");
+
+                    if (question.AnswerPattern != null && !IsValidPattern(question.AnswerPattern))
+                        ModelState.AddModelError(nameof(Question.AnswerPattern), "The answer pattern is not a valid regular expression.");
+                    break;
+
+                case QuestionType.Numeric:
+                    options.Clear();
+
+                    if (question.NumericAnswer == null)
+                        ModelState.AddModelError(nameof(Question.NumericAnswer), "Enter the correct number.");
+                    break;
+
+                case QuestionType.Ordering:
+                    foreach (var o in options)
+                        o.IsCorrect = false;
+
+                    if (options.Count < 2)
+                        ModelState.AddModelError("", "Add at least two items to put in order.");
+                    break;
+
+                case QuestionType.Matching:
+                    foreach (var o in options)
+                        o.IsCorrect = false;
+
+                    if (options.Count < 2)
+                        ModelState.AddModelError("", "Add at least two pairs to match.");
+
+                    if (options.Any(o => o.MatchText == null))
+                        ModelState.AddModelError("", "Every item needs something to match.");
+                    break;
+
+                case QuestionType.MultipleChoice:
+                    if (options.Count < 2)
+                        ModelState.AddModelError("", "At least two options required.");
+
+                    if (!options.Any(o => o.IsCorrect))
+                        ModelState.AddModelError("", "Select at least one correct answer.");
+                    break;
+
+                default:
+                    foreach (var o in options)
+                        o.IsCorrect = false;
+
+                    if (options.Count < 2)
+                        ModelState.AddModelError("", "At least two options required.");
+
+                    // Make sure a correct answer is selected
+                    if (correctIndex == null || correctIndex < 0 || correctIndex >= options.Count)
+                        ModelState.AddModelError("", "Select a correct answer.");
+                    else
+                        options[(int)correctIndex].IsCorrect = true;
+                    break;
+            }
+        }
+
+        private static bool IsValidPattern(string pattern)
+        {
+            try
+            {
+                _ = new Regex(pattern);
+                return true;
+            }
+            catch (ArgumentException)
+            {
+                return false;
+            }
+        }
     }
 }
@@ -1,7 +1,10 @@
+using System.Text;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Identity;
 using QuizApp.Data.Repositories.Interfaces;
 using QuizApp.Models;
+using QuizApp.Services.Interfaces;
 using Microsoft.Extensions.Logging;
 
 namespace QuizApp.Controllers
@@ -14,18 +17,42 @@ namespace QuizApp.Controllers
     [Route("api/[controller]")]
     public class QuizApiController : ControllerBase
     {
+        // Quiz documents are text; anything bigger than this is not a quiz someone wrote
+        private const long MaxImportBytes = 1024 * 1024;
+
         private readonly IQuizRepository _quizzes;
+        private readonly IAttemptRepository _attempts;
+        private readonly IAttemptService _attemptService;
+        private readonly IQuizTransferService _transfer;
+        private readonly IQuizSheetService _sheets;
+        private readonly IScoringService _scoring;
+        private readonly UserManager<ApplicationUser> _userManager;
         private readonly ILogger<QuizApiController> _logger;
 
-        public QuizApiController(IQuizRepository quizzes, ILogger<QuizApiController> logger)
+        public QuizApiController(
+            IQuizRepository quizzes,
+            IAttemptRepository attempts,
+            IAttemptService attemptService,
+            IQuizTransferService transfer,
+            IQuizSheetService sheets,
+            IScoringService scoring,
+            UserManager<ApplicationUser> userManager,
+            ILogger<QuizApiController> logger)
         {
             _quizzes = quizzes;
+            _attempts = attempts;
+            _attemptService = attemptService;
+            _transfer = transfer;
+            _sheets = sheets;
+            _scoring = scoring;
+            _userManager = userManager;
             _logger = logger;
         }
 
         /// <summary>
         /// Returns a list of all quizzes as JSON. Used by the quiz list page to display available quizzes.
         /// Returns only basic quiz information (id, title, description) to avoid circular references.
+        /// Players only get published quizzes; admins get every quiz with its status.
         /// Anyone can access this endpoint (no login required).
         /// </summary>
         [HttpGet]
@@ -34,13 +61,18 @@ namespace QuizApp.Controllers
         {
             try
             {
-                var quizzes = await _quizzes.GetAllAsync();
+                var quizzes = User.IsInRole("Admin") ? await _quizzes.GetAllAsync() : await _quizzes.GetPublishedAsync();
 
                 var dto = quizzes.Select(q => new
                 {
                     quizId = q.QuizId,
                     title = q.Title,
-                    description = q.Description
+                    status = q.Status.ToString(),
+                    description = q.Description,
+                    opensAt = q.OpensAt,
+                    closesAt = q.ClosesAt,
+                    timeLimitMinutes = q.TimeLimitMinutes,
+                    drawCount = q.DrawCount
                 });
 
                 return Ok(dto);
@@ -55,12 +87,20 @@ namespace QuizApp.Controllers
         /// <summary>
         /// Returns a single quiz with all its questions and answer options as JSON.
         /// Used by the quiz-taking page to load the full quiz content.
-        /// Includes the isCorrect flag for each option (used server-side for scoring, but hidden from users in the UI).
+        /// This is the player-facing shape: it never includes which options are correct,
+        /// since answers are scored on the server (see AttemptApiController).
+        /// With an attemptId (one of the current user's attempts at this quiz) only the attempt's questions are returned,
+        /// with questions and options in that attempt's order. Without one, quizzes that have to be started first
+        /// (see IAttemptService.RequiresStart) come without questions, so nobody reads them before the clock starts
+        /// or sees the whole question pool; questionCount still says how many the quiz has.
+        /// Quizzes that are not published are only returned to admins, or to a player with an attempt at it already started.
+        /// Outside a published quiz's opening hours players get a 400 response saying why, instead of the quiz,
+        /// unless they have an unfinished attempt to resume.
         /// Requires user to be logged in.
         /// </summary>
         [HttpGet("{id}")]
         [Authorize]
-        public async Task<IActionResult> Get(int id)
+        public async Task<IActionResult> Get(int id, [FromQuery] int? attemptId)
         {
             try
             {
@@ -68,21 +108,148 @@ namespace QuizApp.Controllers
                 if (quiz == null)
                     return NotFound();
 
+                Attempt? attempt = null;
+                if (attemptId != null)
+                {
+                    attempt = await _attempts.GetByIdAsync(attemptId.Value);
+                    if (attempt == null || attempt.QuizId != quiz.QuizId || attempt.UserId != _userManager.GetUserId(User))
+                        return NotFound();
+                }
+                // Attempts started before the quiz was unpublished or closed can still be resumed and finished
+                else if (!User.IsInRole("Admin") && await _attempts.GetOpenAsync(_userManager.GetUserId(User)!, quiz.QuizId) == null)
+                {
+                    if (quiz.Status != QuizStatus.Published)
+                        return NotFound();
+
+                    var closed = _attemptService.GetClosedReason(quiz);
+                    if (closed != null)
+                        return BadRequest(new { message = closed });
+                }
+
+                var questions = attempt != null
+                    ? _attemptService.OrderQuestions(quiz, attempt)
+                    : _attemptService.RequiresStart(quiz) ? new List<Question>() : quiz.Questions;
+
                 var dto = new
                 {
                     quizId = quiz.QuizId,
                     title = quiz.Title,
                     description = quiz.Description,
+                    opensAt = quiz.OpensAt,
+                    closesAt = quiz.ClosesAt,
+                    timeLimitMinutes = quiz.TimeLimitMinutes,
+                    oneQuestionPerPage = quiz.OneQuestionPerPage,
+                    shuffleQuestions = quiz.ShuffleQuestions,
+                    shuffleOptions = quiz.ShuffleOptions,
+                    drawCount = quiz.DrawCount,
+                    drawPerTag = quiz.DrawPerTag,
+                    maxAttempts = quiz.MaxAttempts,
+                    cooldownMinutes = quiz.CooldownMinutes,
+                    gradingPolicy = quiz.GradingPolicy.ToString(),
+                    passPercent = quiz.PassPercent,
+                    gradeBands = quiz.GradeBands.Select(b => new { label = b.Label, minPercent = b.MinPercent }),
+                    penaltyPercent = quiz.PenaltyPercent,
+                    penaltyFloor = quiz.PenaltyFloor.ToString(),
+                    // Whether any wrong answer costs points, also when the questions are not sent
+                    hasPenalties = quiz.Questions.Any(q => _scoring.GetPenalty(quiz, q) > 0),
+                    questionCount = quiz.Questions.Count,
+                    questions = questions.Select(q => new
+                    {
+                        id = q.Id,
+                        text = q.Text,
+                        type = q.Type.ToString(),
+                        scoringMode = q.ScoringMode.ToString(),
+                        points = q.Points,
+                        // What a wrong answer costs, whether set on the question or the quiz
+                        penalty = _scoring.GetPenalty(quiz, q),
+                        timeLimitSeconds = q.TimeLimitSeconds,
+                        // The hint itself is only sent once the player reveals it (see AttemptApiController.RevealHint)
+                        hasHint = q.Hint != null,
+                        hintCost = q.Hint == null ? 0 : q.HintCost,
+                        options = PlayerOptions(quiz, q, attempt).Select(o => new
+                        {
+                            id = o.Id,
+                            text = o.Text
+                        }),
+                        // Right-hand side of matching questions, without saying which option each belongs to
+                        matchChoices = q.Type != QuestionType.Matching
+                            ? new List<string>()
+                            : attempt != null
+                                ? _attemptService.OrderMatchChoices(q, attempt)
+                                : q.Options.Where(o => o.MatchText != null).Select(o => o.MatchText!).Distinct().OrderBy(_ => Random.Shared.Next()).ToList()
+                    })
+                };
+
+                return Ok(dto);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.Get({QuizId})", id);
+                return StatusCode(500, "An error occurred while loading the quiz.");
+            }
+        }
+
+        /// <summary>
+        /// Returns a single quiz with all its questions and answer options, including the isCorrect flag.
+        /// Used by the admin quiz details page to show and manage the correct answers.
+        /// Admin only.
+        /// </summary>
+        [HttpGet("{id}/manage")]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> GetForManage(int id)
+        {
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(id);
+                if (quiz == null)
+                    return NotFound();
+
+                var dto = new
+                {
+                    quizId = quiz.QuizId,
+                    title = quiz.Title,
+                    description = quiz.Description,
+                    status = quiz.Status.ToString(),
+                    opensAt = quiz.OpensAt,
+                    closesAt = quiz.ClosesAt,
+                    timeLimitMinutes = quiz.TimeLimitMinutes,
+                    oneQuestionPerPage = quiz.OneQuestionPerPage,
+                    shuffleQuestions = quiz.ShuffleQuestions,
+                    shuffleOptions = quiz.ShuffleOptions,
+                    drawCount = quiz.DrawCount,
+                    drawPerTag = quiz.DrawPerTag,
+                    maxAttempts = quiz.MaxAttempts,
+                    cooldownMinutes = quiz.CooldownMinutes,
+                    gradingPolicy = quiz.GradingPolicy.ToString(),
+                    passPercent = quiz.PassPercent,
+                    gradeBands = quiz.GradeBands.Select(b => new { label = b.Label, minPercent = b.MinPercent }),
+                    penaltyPercent = quiz.PenaltyPercent,
+                    penaltyFloor = quiz.PenaltyFloor.ToString(),
+                    hasPenalties = quiz.Questions.Any(q => _scoring.GetPenalty(quiz, q) > 0),
                     questions = quiz.Questions.Select(q => new
                     {
                         id = q.Id,
                         text = q.Text,
+                        type = q.Type.ToString(),
+                        scoringMode = q.ScoringMode.ToString(),
+                        caseSensitive = q.CaseSensitive,
+                        answerPattern = q.AnswerPattern,
+                        numericAnswer = q.NumericAnswer,
+                        tolerance = q.Tolerance,
                         points = q.Points,
+                        penalty = q.Penalty,
+                        timeLimitSeconds = q.TimeLimitSeconds,
+                        tag = q.Tag,
+                        explanation = q.Explanation,
+                        hint = q.Hint,
+                        hintCost = q.HintCost,
                         options = q.Options.Select(o => new
                         {
                             id = o.Id,
                             text = o.Text,
-                            isCorrect = o.IsCorrect
+                            isCorrect = o.IsCorrect,
+                            matchText = o.MatchText,
+                            feedback = o.Feedback
                         })
                     })
                 };
@@ -91,12 +258,453 @@ namespace QuizApp.Controllers
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error in QuizApiController.Get({QuizId})", id);
+                _logger.LogError(ex, "Error in QuizApiController.GetForManage({QuizId})", id);
                 return StatusCode(500, "An error occurred while loading the quiz.");
             }
         }
 
-        // POST/PUT/DELETE can stay as you had them, or also get try/catch if you want.
-        // They’re already OK for the exam’s minimal requirements.
+        /// <summary>
+        /// Creates a new quiz from a JSON body. Used by the SPA quiz creation page.
+        /// The quiz starts as a draft, hidden from players until it is published.
+        /// Invalid input is rejected with a 400 response listing the errors per field.
+        /// Admin only.
+        /// </summary>
+        [HttpPost]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> Create([FromBody] QuizInputModel input)
+        {
+            try
+            {
+                var quiz = new Quiz
+                {
+                    Title = input.Title.Trim(),
+                    Description = input.Description?.Trim(),
+                    TimeLimitMinutes = input.TimeLimitMinutes,
+                    OneQuestionPerPage = input.OneQuestionPerPage,
+                    ShuffleQuestions = input.ShuffleQuestions,
+                    ShuffleOptions = input.ShuffleOptions,
+                    DrawCount = input.DrawCount,
+                    DrawPerTag = input.DrawPerTag,
+                    MaxAttempts = input.MaxAttempts,
+                    CooldownMinutes = input.CooldownMinutes,
+                    GradingPolicy = input.GradingPolicy,
+                    PassPercent = input.PassPercent,
+                    GradeBands = ToGradeBands(input),
+                    PenaltyPercent = input.PenaltyPercent,
+                    PenaltyFloor = input.PenaltyFloor,
+                    OpensAt = input.OpensAt,
+                    ClosesAt = input.ClosesAt
+                };
+
+                await _quizzes.AddAsync(quiz);
+
+                return CreatedAtAction(nameof(Get), new { id = quiz.QuizId }, new
+                {
+                    quizId = quiz.QuizId,
+                    title = quiz.Title,
+                    description = quiz.Description,
+                    timeLimitMinutes = quiz.TimeLimitMinutes,
+                    oneQuestionPerPage = quiz.OneQuestionPerPage,
+                    shuffleQuestions = quiz.ShuffleQuestions,
+                    shuffleOptions = quiz.ShuffleOptions,
+                    drawCount = quiz.DrawCount,
+                    drawPerTag = quiz.DrawPerTag,
+                    maxAttempts = quiz.MaxAttempts,
+                    cooldownMinutes = quiz.CooldownMinutes,
+                    gradingPolicy = quiz.GradingPolicy.ToString(),
+                    passPercent = quiz.PassPercent,
+                    gradeBands = quiz.GradeBands.Select(b => new { label = b.Label, minPercent = b.MinPercent }),
+                    penaltyPercent = quiz.PenaltyPercent,
+                    penaltyFloor = quiz.PenaltyFloor.ToString(),
+                    opensAt = quiz.OpensAt,
+                    closesAt = quiz.ClosesAt
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.Create");
+                return StatusCode(500, new { message = "An error occurred while creating the quiz." });
+            }
+        }
+
+        /// <summary>
+        /// Updates the settings of an existing quiz: title, description, time limit, layout, shuffling, question pool, attempt limits, pass mark, grade scale, negative marking and opening hours. Used by the SPA quiz edit page.
+        /// The grade scale sent replaces the quiz's current one.
+        /// Questions are managed separately and are left untouched.
+        /// Admin only.
+        /// </summary>
+        [HttpPut("{id}")]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> Update(int id, [FromBody] QuizInputModel input)
+        {
+            if (id != input.QuizId)
+                return BadRequest(new { message = "Quiz id in the URL does not match the request body." });
+
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(id);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                quiz.Title = input.Title.Trim();
+                quiz.Description = input.Description?.Trim();
+                quiz.TimeLimitMinutes = input.TimeLimitMinutes;
+                quiz.OneQuestionPerPage = input.OneQuestionPerPage;
+                quiz.ShuffleQuestions = input.ShuffleQuestions;
+                quiz.ShuffleOptions = input.ShuffleOptions;
+                quiz.DrawCount = input.DrawCount;
+                quiz.DrawPerTag = input.DrawPerTag;
+                quiz.MaxAttempts = input.MaxAttempts;
+                quiz.CooldownMinutes = input.CooldownMinutes;
+                quiz.GradingPolicy = input.GradingPolicy;
+                quiz.PassPercent = input.PassPercent;
+                quiz.GradeBands = ToGradeBands(input);
+                quiz.PenaltyPercent = input.PenaltyPercent;
+                quiz.PenaltyFloor = input.PenaltyFloor;
+                quiz.OpensAt = input.OpensAt;
+                quiz.ClosesAt = input.ClosesAt;
+
+                await _quizzes.UpdateAsync(quiz);
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.Update({QuizId})", id);
+                return StatusCode(500, new { message = "An error occurred while updating the quiz." });
+            }
+        }
+
+        /// <summary>
+        /// Publishes a quiz: players see it in the quiz list and can take it. A quiz needs at least one question to be published.
+        /// Admin only.
+        /// </summary>
+        [HttpPost("{id}/publish")]
+        [Authorize(Roles = "Admin")]
+        public Task<IActionResult> Publish(int id)
+        {
+            return SetStatusAsync(id, QuizStatus.Published);
+        }
+
+        /// <summary>
+        /// Takes a quiz back to draft, hiding it from players while it is being changed. Attempts already started can still be submitted.
+        /// Admin only.
+        /// </summary>
+        [HttpPost("{id}/unpublish")]
+        [Authorize(Roles = "Admin")]
+        public Task<IActionResult> Unpublish(int id)
+        {
+            return SetStatusAsync(id, QuizStatus.Draft);
+        }
+
+        /// <summary>
+        /// Archives a quiz that is no longer used. It is hidden from players like a draft, but its attempts and results are kept,
+        /// and it can be published again later.
+        /// Admin only.
+        /// </summary>
+        [HttpPost("{id}/archive")]
+        [Authorize(Roles = "Admin")]
+        public Task<IActionResult> Archive(int id)
+        {
+            return SetStatusAsync(id, QuizStatus.Archived);
+        }
+
+        /// <summary>
+        /// Downloads a quiz with all its questions and options, including which options are correct, as a JSON document
+        /// that can be edited and imported again (see <see cref="Import"/>).
+        /// Admin only.
+        /// </summary>
+        [HttpGet("{id}/export")]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> Export(int id)
+        {
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(id);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var json = _transfer.ToJson(_transfer.Export(quiz));
+
+                return File(Encoding.UTF8.GetBytes(json), "application/json", $"quiz-{quiz.QuizId}.json");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.Export({QuizId})", id);
+                return StatusCode(500, new { message = "An error occurred while exporting the quiz." });
+            }
+        }
+
+        /// <summary>
+        /// Returns a quiz laid out for printing: every question with lettered options and, per variant, the answer key.
+        /// With variants above 1 each variant (A, B, ...) has its questions and options in its own order; the same variant
+        /// always comes out the same. Used by the SPA print page. Admin only.
+        /// </summary>
+        [HttpGet("{id}/sheet")]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> GetSheet(int id, [FromQuery] int variants = 1)
+        {
+            if (variants < 1 || variants > QuizSheet.MaxVariants)
+                return BadRequest(new { message = $"Print between 1 and {QuizSheet.MaxVariants} variants." });
+
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(id);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var sheet = _sheets.Build(quiz, variants);
+
+                return Ok(new
+                {
+                    quizId = sheet.QuizId,
+                    title = sheet.Title,
+                    description = sheet.Description,
+                    totalPoints = sheet.TotalPoints,
+                    variants = sheet.Variants.Select(v => new
+                    {
+                        name = v.Name,
+                        questions = v.Questions.Select(q => new
+                        {
+                            number = q.Number,
+                            id = q.QuestionId,
+                            text = q.Text,
+                            type = q.Type.ToString(),
+                            points = q.Points,
+                            options = q.Options.Select(o => new { letter = o.Letter, text = o.Text }),
+                            matchChoices = q.MatchChoices,
+                            answer = q.Answer
+                        })
+                    })
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.GetSheet({QuizId})", id);
+                return StatusCode(500, new { message = "An error occurred while preparing the quiz sheet." });
+            }
+        }
+
+        /// <summary>
+        /// Downloads the printable quiz sheet (see <see cref="GetSheet"/>) as a PDF, each variant followed by its answer key.
+        /// Admin only.
+        /// </summary>
+        [HttpGet("{id}/sheet/pdf")]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> GetSheetPdf(int id, [FromQuery] int variants = 1)
+        {
+            if (variants < 1 || variants > QuizSheet.MaxVariants)
+                return BadRequest(new { message = $"Print between 1 and {QuizSheet.MaxVariants} variants." });
+
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(id);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                var pdf = _sheets.RenderPdf(_sheets.Build(quiz, variants));
+
+                return File(pdf, "application/pdf", $"quiz-{quiz.QuizId}-sheet.pdf");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.GetSheetPdf({QuizId})", id);
+                return StatusCode(500, new { message = "An error occurred while creating the PDF." });
+            }
+        }
+
+        /// <summary>
+        /// Reads an uploaded quiz file without saving anything and shows how it was understood: the title, every question
+        /// with its type, points and options, and the problems and warnings found, each with its line number.
+        /// The format is taken from the file extension unless one is given. Used by the SPA import page before confirming.
+        /// Admin only.
+        /// </summary>
+        [HttpPost("import/preview")]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> PreviewImport(IFormFile? file, [FromForm] QuizImportFormat? format, [FromForm] string? title)
+        {
+            var rejected = CheckUpload(file, format);
+            if (rejected != null)
+                return rejected;
+
+            try
+            {
+                var resolved = format ?? _transfer.GetFormat(file!.FileName)!.Value;
+                var import = await ReadUploadAsync(file!, resolved, title);
+                var questions = import.Document?.Questions ?? new List<QuestionDocument>();
+
+                return Ok(new
+                {
+                    format = resolved.ToString(),
+                    title = import.Document?.Title,
+                    valid = import.Quiz != null,
+                    questionCount = questions.Count,
+                    errors = import.Errors.Select(e => new { line = e.Line, path = e.Path, message = e.Message }),
+                    warnings = import.Warnings.Select(e => new { line = e.Line, path = e.Path, message = e.Message }),
+                    questions = questions.Select((q, i) => new
+                    {
+                        index = i,
+                        line = q.Line,
+                        text = q.Text,
+                        type = q.Type ?? QuestionType.SingleChoice.ToString(),
+                        scoringMode = q.ScoringMode ?? ScoringMode.AllOrNothing.ToString(),
+                        points = q.Points,
+                        tag = q.Tag,
+                        numericAnswer = q.NumericAnswer,
+                        tolerance = q.Tolerance,
+                        answerPattern = q.AnswerPattern,
+                        options = q.Options.Select(o => new { text = o.Text, isCorrect = o.IsCorrect, matchText = o.MatchText, feedback = o.Feedback })
+                    })
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.PreviewImport");
+                return StatusCode(500, new { message = "An error occurred while reading the quiz file." });
+            }
+        }
+
+        /// <summary>
+        /// Creates a new quiz, with its questions and options, from an uploaded file: a JSON document as exported, a CSV sheet,
+        /// GIFT text or a Moodle XML export (see <see cref="PreviewImport"/>). Used by the SPA import page.
+        /// Nothing is saved unless the whole file is valid: otherwise a 400 response lists every problem with its line number.
+        /// The quiz is added in a single save, so it is created completely or not at all, and starts as a draft.
+        /// Admin only.
+        /// </summary>
+        [HttpPost("import")]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> Import(IFormFile? file, [FromForm] QuizImportFormat? format, [FromForm] string? title)
+        {
+            var rejected = CheckUpload(file, format);
+            if (rejected != null)
+                return rejected;
+
+            try
+            {
+                var import = await ReadUploadAsync(file!, format ?? _transfer.GetFormat(file!.FileName)!.Value, title);
+                if (import.Quiz == null)
+                {
+                    return BadRequest(new
+                    {
+                        message = "The quiz could not be imported. Fix the problems below and try again.",
+                        problems = import.Errors.Select(e => new { line = e.Line, path = e.Path, message = e.Message })
+                    });
+                }
+
+                await _quizzes.AddAsync(import.Quiz);
+
+                return CreatedAtAction(nameof(Get), new { id = import.Quiz.QuizId }, new
+                {
+                    quizId = import.Quiz.QuizId,
+                    title = import.Quiz.Title,
+                    questionCount = import.Quiz.Questions.Count
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.Import");
+                return StatusCode(500, new { message = "An error occurred while importing the quiz." });
+            }
+        }
+
+        /// <summary>
+        /// Permanently deletes a quiz together with its questions and options. Used by the SPA quiz delete page.
+        /// Admin only.
+        /// </summary>
+        [HttpDelete("{id}")]
+        [Authorize(Roles = "Admin")]
+        public async Task<IActionResult> Delete(int id)
+        {
+            try
+            {
+                if (!await _quizzes.ExistsAsync(id))
+                    return NotFound(new { message = "Quiz not found." });
+
+                await _quizzes.DeleteAsync(id);
+
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.Delete({QuizId})", id);
+                return StatusCode(500, new { message = "An error occurred while deleting the quiz." });
+            }
+        }
+
+        private async Task<IActionResult> SetStatusAsync(int id, QuizStatus status)
+        {
+            try
+            {
+                var quiz = await _quizzes.GetByIdAsync(id);
+                if (quiz == null)
+                    return NotFound(new { message = "Quiz not found." });
+
+                if (status == QuizStatus.Published && quiz.Questions.Count == 0)
+                    return BadRequest(new { message = "Add at least one question before publishing the quiz." });
+
+                quiz.Status = status;
+                await _quizzes.UpdateAsync(quiz);
+
+                return Ok(new { quizId = quiz.QuizId, status = quiz.Status.ToString() });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in QuizApiController.SetStatus({QuizId}, {Status})", id, status);
+                return StatusCode(500, new { message = "An error occurred while changing the quiz status." });
+            }
+        }
+
+        // Rejects uploads that are missing, too large, or of a type that cannot be told from the extension
+        private IActionResult? CheckUpload(IFormFile? file, QuizImportFormat? format)
+        {
+            if (file == null || file.Length == 0)
+                return BadRequest(new { message = "Choose a quiz file to import." });
+
+            if (file.Length > MaxImportBytes)
+                return BadRequest(new { message = "The file is too large to be a quiz (1 MB at most)." });
+
+            if (format == null && _transfer.GetFormat(file.FileName) == null)
+                return BadRequest(new { message = "Unknown file type. Import a .json, .csv, .gift, .txt or .xml file, or choose its format." });
+
+            return null;
+        }
+
+        // CSV, GIFT and Moodle XML files have no quiz title, so the quiz is named after the file unless a title was given
+        private async Task<QuizImport> ReadUploadAsync(IFormFile file, QuizImportFormat format, string? title)
+        {
+            string content;
+            using (var reader = new StreamReader(file.OpenReadStream()))
+                content = await reader.ReadToEndAsync();
+
+            if (string.IsNullOrWhiteSpace(title) && format != QuizImportFormat.Json)
+                title = Path.GetFileNameWithoutExtension(file.FileName);
+
+            return _transfer.Read(content, format, title);
+        }
+
+        // Highest grade first, the order the scale is stored and shown in
+        private static List<GradeBand> ToGradeBands(QuizInputModel input)
+        {
+            return input.GradeBands
+                .OrderByDescending(b => b.MinPercent)
+                .Select(b => new GradeBand { Label = b.Label.Trim(), MinPercent = b.MinPercent })
+                .ToList();
+        }
+
+        // The options a player gets to see, in the attempt's order when there is one. Short text options are the accepted answers, so they stay hidden,
+        // and ordering questions are shuffled because their stored order is the answer.
+        private IEnumerable<Option> PlayerOptions(Quiz quiz, Question question, Attempt? attempt)
+        {
+            if (question.Type is QuestionType.ShortText or QuestionType.Numeric)
+                return Enumerable.Empty<Option>();
+
+            if (attempt != null)
+                return _attemptService.OrderOptions(quiz, question, attempt);
+
+            // Without an attempt there is no seed, but ordering questions must still not be served in their correct order
+            return question.Type == QuestionType.Ordering
+                ? question.Options.OrderBy(_ => Random.Shared.Next())
+                : question.Options;
+        }
     }
 }
\ No newline at end of file
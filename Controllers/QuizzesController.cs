@@ -1,9 +1,11 @@
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Identity;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 using QuizApp.Data.Repositories.Interfaces;
 using QuizApp.Models;
+using QuizApp.Services.Interfaces;
 using System;
 using System.Linq;
 using System.Threading.Tasks;
@@ -18,16 +20,25 @@ namespace QuizApp.Controllers
     public class QuizController : Controller
     {
         private readonly IQuizRepository _quizzes;
+        private readonly IAttemptService _attempts;
+        private readonly UserManager<ApplicationUser> _userManager;
         private readonly ILogger<QuizController> _logger;
 
-        public QuizController(IQuizRepository quizzes, ILogger<QuizController> logger)
+        public QuizController(
+            IQuizRepository quizzes,
+            IAttemptService attempts,
+            UserManager<ApplicationUser> userManager,
+            ILogger<QuizController> logger)
         {
             _quizzes = quizzes;
+            _attempts = attempts;
+            _userManager = userManager;
             _logger = logger;
         }
 
         /// <summary>
-        /// Displays the main quiz list page. Shows all available quizzes that users can take.
+        /// Displays the main quiz list page. Shows all available quizzes that users can take;
+        /// admins also see drafts and archived quizzes.
         /// Anyone can view this page (no login required).
         /// </summary>
         [AllowAnonymous]
@@ -35,7 +46,7 @@ namespace QuizApp.Controllers
         {
             try
             {
-                var quizzes = await _quizzes.GetAllAsync();
+                var quizzes = User.IsInRole("Admin") ? await _quizzes.GetAllAsync() : await _quizzes.GetPublishedAsync();
                 return View(quizzes);
             }
             catch (Exception ex)
@@ -86,7 +97,7 @@ namespace QuizApp.Controllers
         [HttpPost]
         [ValidateAntiForgeryToken]
         [Authorize(Roles = "Admin")]
-        public async Task<IActionResult> Create([Bind("Title,Description")] Quiz quiz)
+        public async Task<IActionResult> Create([Bind("Title,Description,TimeLimitMinutes,OneQuestionPerPage,ShuffleQuestions,ShuffleOptions,DrawCount,DrawPerTag,MaxAttempts,CooldownMinutes,GradingPolicy,PassPercent,PenaltyPercent,PenaltyFloor,OpensAt,ClosesAt")] Quiz quiz)
         {
             if (!ModelState.IsValid) return View(quiz);
 
@@ -132,14 +143,35 @@ namespace QuizApp.Controllers
         [HttpPost]
         [ValidateAntiForgeryToken]
         [Authorize(Roles = "Admin")]
-        public async Task<IActionResult> Edit(int id, [Bind("QuizId,Title,Description")] Quiz quiz)
+        public async Task<IActionResult> Edit(int id, [Bind("QuizId,Title,Description,TimeLimitMinutes,OneQuestionPerPage,ShuffleQuestions,ShuffleOptions,DrawCount,DrawPerTag,MaxAttempts,CooldownMinutes,GradingPolicy,PassPercent,PenaltyPercent,PenaltyFloor,OpensAt,ClosesAt")] Quiz quiz)
         {
             if (id != quiz.QuizId) return NotFound();
             if (!ModelState.IsValid) return View(quiz);
 
             try
             {
-                await _quizzes.UpdateAsync(quiz);
+                // Copy the edited settings onto the stored quiz, so its status and questions are kept
+                var stored = await _quizzes.GetByIdAsync(id);
+                if (stored == null) return NotFound();
+
+                stored.Title = quiz.Title;
+                stored.Description = quiz.Description;
+                stored.TimeLimitMinutes = quiz.TimeLimitMinutes;
+                stored.OneQuestionPerPage = quiz.OneQuestionPerPage;
+                stored.ShuffleQuestions = quiz.ShuffleQuestions;
+                stored.ShuffleOptions = quiz.ShuffleOptions;
+                stored.DrawCount = quiz.DrawCount;
+                stored.DrawPerTag = quiz.DrawPerTag;
+                stored.MaxAttempts = quiz.MaxAttempts;
+                stored.CooldownMinutes = quiz.CooldownMinutes;
+                stored.GradingPolicy = quiz.GradingPolicy;
+                stored.PassPercent = quiz.PassPercent;
+                stored.PenaltyPercent = quiz.PenaltyPercent;
+                stored.PenaltyFloor = quiz.PenaltyFloor;
+                stored.OpensAt = quiz.OpensAt;
+                stored.ClosesAt = quiz.ClosesAt;
+
+                await _quizzes.UpdateAsync(stored);
                 return RedirectToAction(nameof(Index));
             }
             catch (DbUpdateConcurrencyException ex)
@@ -200,8 +232,9 @@ namespace QuizApp.Controllers
         }
 
         /// <summary>
-        /// Displays the quiz-taking page. Shows all questions with their answer options as radio buttons.
+        /// Displays the quiz-taking page. Shows all questions with the answer controls for their type (see Submit for what they post).
         /// Users must be logged in to take a quiz. The correct answers are hidden from users.
+        /// Players can only take published quizzes within their opening hours; admins can try out any quiz.
         /// </summary>
         [Authorize]
         public async Task<IActionResult> Take(int id)
@@ -210,6 +243,8 @@ namespace QuizApp.Controllers
             {
                 var quiz = await _quizzes.GetByIdAsync(id);
                 if (quiz == null) return NotFound();
+                // Outside the opening hours the page says why when it loads the questions from the API
+                if (quiz.Status != QuizStatus.Published && !User.IsInRole("Admin")) return NotFound();
 
                 return View(quiz);
             }
@@ -221,13 +256,9 @@ namespace QuizApp.Controllers
         }
 
         /// <summary>
-        /// Processes the submitted quiz answers and calculates the score.
-        /// Compares each selected answer against the correct answer for that question.
-        /// Awards points for each correct answer based on the question's point value.
-        /// Returns a results page showing the score (earned points / total points) and percentage.
-        /// </summary>
-        /// <summary>
-        /// Processes the submitted quiz answers and calculates the score.
+        /// Processes the submitted quiz answers, calculates the score and saves the attempt for the current user.
+        /// Awards points for each correct answer based on the question's point value and scoring mode.
+        /// Counts towards the quiz's attempt limit and cooldown like an attempt started in the SPA.
         /// Returns JSON result for SPA client-side navigation.
         /// </summary>
         [HttpPost]
@@ -239,33 +270,77 @@ namespace QuizApp.Controllers
                 var quiz = await _quizzes.GetByIdAsync(QuizId);
                 if (quiz == null) return NotFound();
 
-                int totalPoints = 0;
-                int earnedPoints = 0;
+                var closed = _attempts.GetClosedReason(quiz);
+                if (closed != null && !User.IsInRole("Admin"))
+                    return BadRequest(new { error = closed });
+
+                // Timed, scheduled and pooled quizzes are started and submitted through the attempts API, which enforces the deadline
+                // and keeps track of the questions drawn for the attempt
+                if (_attempts.RequiresStart(quiz))
+                    return BadRequest(new { error = "This quiz has to be started from the quiz page." });
 
-                // Go through each question and check if the user's selected answer is correct
+                // Players can't get around the attempt limit or cooldown by posting the form again
+                var userId = _userManager.GetUserId(User)!;
+                var allowance = await _attempts.GetAllowanceAsync(quiz, userId);
+                if (!allowance.CanStart && !User.IsInRole("Admin"))
+                    return BadRequest(new { error = allowance.Reason });
+
+                // Collect the selected option(s) for each answered question ("question_{id}" form fields,
+                // repeated once per ticked checkbox for multiple choice questions)
+                var answers = new List<AnswerSubmission>();
                 foreach (var question in quiz.Questions)
                 {
-                    totalPoints += question.Points;
                     string formKey = "question_" + question.Id;
 
-                    // Skip if user didn't answer this question
-                    if (!Request.Form.ContainsKey(formKey))
+                    // Short text and numeric questions post the typed answer instead of option ids
+                    if (question.Type is QuestionType.ShortText or QuestionType.Numeric)
+                    {
+                        string? text = Request.Form[formKey];
+                        if (!string.IsNullOrWhiteSpace(text))
+                            answers.Add(new AnswerSubmission { QuestionId = question.Id, Text = text });
                         continue;
+                    }
 
-                    int selectedOptionId = int.Parse(Request.Form[formKey]!);
-                    var selectedOption = question.Options.First(o => o.Id == selectedOptionId);
-                    if (selectedOption.IsCorrect)
+                    // Matching questions post one "question_{id}_{optionId}" field per option with the chosen match
+                    if (question.Type == QuestionType.Matching)
                     {
-                        earnedPoints += question.Points;
+                        var matches = new Dictionary<int, string>();
+                        foreach (var option in question.Options)
+                        {
+                            string? match = Request.Form[formKey + "_" + option.Id];
+                            if (!string.IsNullOrWhiteSpace(match))
+                                matches[option.Id] = match;
+                        }
+
+                        if (matches.Count > 0)
+                            answers.Add(new AnswerSubmission { QuestionId = question.Id, Matches = matches });
+                        continue;
+                    }
+
+                    var optionIds = new List<int>();
+                    foreach (var value in Request.Form[formKey])
+                    {
+                        if (int.TryParse(value, out var selectedOptionId))
+                            optionIds.Add(selectedOptionId);
+                    }
+
+                    if (optionIds.Count > 0)
+                    {
+                        answers.Add(new AnswerSubmission { QuestionId = question.Id, OptionIds = optionIds });
                     }
                 }
 
+                var attempt = await _attempts.SubmitAsync(quiz, userId, answers);
+
                 // Return JSON for SPA client-side navigation
                 return Json(new
                 {
+                    attemptId = attempt.Id,
                     quizTitle = quiz.Title,
-                    totalPoints = totalPoints,
-                    earnedPoints = earnedPoints
+                    totalPoints = attempt.TotalPoints,
+                    earnedPoints = attempt.EarnedPoints,
+                    passed = attempt.Passed,
+                    grade = attempt.Grade
                 });
             }
             catch (Exception ex)
@@ -1,6 +1,7 @@
 using Microsoft.AspNetCore.Identity.EntityFrameworkCore;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.AspNetCore.Identity;
+using QuizApp.Data;
 using QuizApp.Models;
 
 public class QuizContext : IdentityDbContext<ApplicationUser>
@@ -10,6 +11,15 @@ public class QuizContext : IdentityDbContext<ApplicationUser>
     public DbSet<Quiz> Quizzes { get; set; }
     public DbSet<Question> Questions { get; set; }
     public DbSet<Option> Options { get; set; }
+    public DbSet<GradeBand> GradeBands { get; set; }
+    public DbSet<Attempt> Attempts { get; set; }
+    public DbSet<AttemptAnswer> AttemptAnswers { get; set; }
+
+    protected override void ConfigureConventions(ModelConfigurationBuilder configurationBuilder)
+    {
+        // All timestamps are saved in UTC (see UtcDateTimeConverter)
+        configurationBuilder.Properties<DateTime>().HaveConversion<UtcDateTimeConverter>();
+    }
 }
 
 
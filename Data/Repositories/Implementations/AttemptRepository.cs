@@ -0,0 +1,123 @@
+using Microsoft.EntityFrameworkCore;
+using QuizApp.Data;
+using QuizApp.Models;
+using QuizApp.Data.Repositories.Interfaces;
+
+namespace QuizApp.Data.Repositories.Implementations
+{
+    /// <summary>
+    /// Repository for Attempt database operations. Handles all data access for started and submitted quiz attempts.
+    /// Attempts record a user's answers and score for one run through a quiz.
+    /// </summary>
+    public class AttemptRepository : IAttemptRepository
+    {
+        private readonly QuizContext _context;
+
+        public AttemptRepository(QuizContext context)
+        {
+            _context = context;
+        }
+
+        /// <summary>
+        /// Retrieves a single attempt by ID, including its quiz and the answers given.
+        /// Used when showing the result of an attempt.
+        /// </summary>
+        public async Task<Attempt?> GetByIdAsync(int id)
+        {
+            return await _context.Attempts
+                .Include(a => a.Quiz)
+                .Include(a => a.Answers)
+                .FirstOrDefaultAsync(a => a.Id == id);
+        }
+
+        /// <summary>
+        /// Retrieves all submitted attempts made by a user, newest first, including the quiz each attempt belongs to.
+        /// Attempts still in progress are left out. Used by the "My results" page. Uses AsNoTracking for read-only performance.
+        /// </summary>
+        public async Task<IEnumerable<Attempt>> GetByUserIdAsync(string userId)
+        {
+            return await _context.Attempts
+                .Where(a => a.UserId == userId && a.SubmittedAt != null)
+                .Include(a => a.Quiz)
+                .OrderByDescending(a => a.SubmittedAt)
+                .AsNoTracking()
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// Retrieves the user's most recent attempt at a quiz that has not been submitted yet, including its draft answers.
+        /// Used to offer the player to resume where they left off. Returns null if there is none.
+        /// </summary>
+        public async Task<Attempt?> GetOpenAsync(string userId, int quizId)
+        {
+            return await _context.Attempts
+                .Include(a => a.Answers)
+                .Where(a => a.UserId == userId && a.QuizId == quizId && a.SubmittedAt == null)
+                .OrderByDescending(a => a.StartedAt)
+                .FirstOrDefaultAsync();
+        }
+
+        /// <summary>
+        /// Retrieves the submitted attempts at one quiz, or at all quizzes when quizId is null, including the user who made them
+        /// and the quiz (for its grading policy). Only published quizzes count, so admins trying out a draft or archived quiz
+        /// don't show up.
+        /// With since set, only attempts submitted from then on are returned. Used to build leaderboards. Uses AsNoTracking for read-only performance.
+        /// </summary>
+        public async Task<IEnumerable<Attempt>> GetSubmittedAsync(int? quizId, DateTime? since)
+        {
+            var query = _context.Attempts.Where(a => a.SubmittedAt != null && a.Quiz!.Status == QuizStatus.Published);
+
+            if (quizId != null)
+                query = query.Where(a => a.QuizId == quizId);
+
+            if (since != null)
+                query = query.Where(a => a.SubmittedAt >= since);
+
+            return await query
+                .Include(a => a.User)
+                .Include(a => a.Quiz)
+                .AsNoTracking()
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// Retrieves all submitted attempts at a quiz, including the answer given to each question.
+        /// Used for the quiz statistics on the admin analytics page. Uses AsNoTracking for read-only performance.
+        /// </summary>
+        public async Task<IEnumerable<Attempt>> GetSubmittedWithAnswersAsync(int quizId)
+        {
+            return await _context.Attempts
+                .Where(a => a.QuizId == quizId && a.SubmittedAt != null)
+                .Include(a => a.Answers)
+                .AsNoTracking()
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// Adds a new attempt, together with its answers, to the database.
+        /// </summary>
+        public async Task AddAsync(Attempt attempt)
+        {
+            _context.Attempts.Add(attempt);
+            await _context.SaveChangesAsync();
+        }
+
+        /// <summary>
+        /// Saves changes to an attempt, such as its answers and score when it is submitted.
+        /// </summary>
+        public async Task UpdateAsync(Attempt attempt)
+        {
+            _context.Attempts.Update(attempt);
+            await _context.SaveChangesAsync();
+        }
+
+        /// <summary>
+        /// Deletes an attempt and its answers. Used to discard an unfinished attempt the player chose not to resume.
+        /// </summary>
+        public async Task DeleteAsync(Attempt attempt)
+        {
+            _context.Attempts.Remove(attempt);
+            await _context.SaveChangesAsync();
+        }
+    }
+}
@@ -19,13 +19,13 @@ namespace QuizApp.Data.Repositories.Implementations
         }
 
         /// <summary>
-        /// Retrieves a single question by ID, including all its answer options and the parent quiz.
+        /// Retrieves a single question by ID, including all its answer options (in their set order) and the parent quiz.
         /// Used when displaying, editing, or deleting a question.
         /// </summary>
         public async Task<Question?> GetByIdAsync(int id)
         {
             return await _context.Questions
-                .Include(q => q.Options)
+                .Include(q => q.Options.OrderBy(o => o.Order).ThenBy(o => o.Id))
                 .Include(q => q.Quiz)
                 .FirstOrDefaultAsync(q => q.Id == id);
         }
@@ -38,7 +38,7 @@ namespace QuizApp.Data.Repositories.Implementations
         {
             return await _context.Questions
                 .Where(q => q.QuizId == quizId)
-                .Include(q => q.Options)
+                .Include(q => q.Options.OrderBy(o => o.Order).ThenBy(o => o.Id))
                 .AsNoTracking()
                 .ToListAsync();
         }
@@ -28,7 +28,16 @@ namespace QuizApp.Data.Repositories.Implementations
         }
 
         /// <summary>
-        /// Retrieves a single quiz by ID, including all its questions and their answer options.
+        /// Retrieves the quizzes players can see and take (see <see cref="QuizStatus"/>). Used by the quiz list page for players.
+        /// </summary>
+        public async Task<IEnumerable<Quiz>> GetPublishedAsync()
+        {
+            return await _context.Quizzes.AsNoTracking().Where(q => q.Status == QuizStatus.Published).ToListAsync();
+        }
+
+        /// <summary>
+        /// Retrieves a single quiz by ID, including all its questions and their answer options (in their set order)
+        /// and its grade scale.
         /// Used when displaying quiz details, taking a quiz, or editing a quiz.
         /// Uses eager loading (Include) to load related data in one database query.
         /// </summary>
@@ -36,7 +45,8 @@ namespace QuizApp.Data.Repositories.Implementations
         {
             return await _context.Quizzes
                 .Include(q => q.Questions)
-                .ThenInclude(q => q.Options)
+                .ThenInclude(q => q.Options.OrderBy(o => o.Order).ThenBy(o => o.Id))
+                .Include(q => q.GradeBands.OrderByDescending(b => b.MinPercent))
                 .FirstOrDefaultAsync(q => q.QuizId == id);
         }
 
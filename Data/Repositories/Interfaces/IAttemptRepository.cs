@@ -0,0 +1,16 @@
+using QuizApp.Models;
+
+namespace QuizApp.Data.Repositories.Interfaces
+{
+    public interface IAttemptRepository
+    {
+        Task<Attempt?> GetByIdAsync(int id);
+        Task<IEnumerable<Attempt>> GetByUserIdAsync(string userId);
+        Task<Attempt?> GetOpenAsync(string userId, int quizId);
+        Task<IEnumerable<Attempt>> GetSubmittedAsync(int? quizId, DateTime? since);
+        Task<IEnumerable<Attempt>> GetSubmittedWithAnswersAsync(int quizId);
+        Task AddAsync(Attempt attempt);
+        Task UpdateAsync(Attempt attempt);
+        Task DeleteAsync(Attempt attempt);
+    }
+}
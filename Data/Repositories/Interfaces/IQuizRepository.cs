@@ -5,6 +5,7 @@ namespace QuizApp.Data.Repositories.Interfaces
     public interface IQuizRepository
     {
         Task<IEnumerable<Quiz>> GetAllAsync();
+        Task<IEnumerable<Quiz>> GetPublishedAsync();
         Task<Quiz?> GetByIdAsync(int id);
         Task AddAsync(Quiz quiz);
         Task UpdateAsync(Quiz quiz);
@@ -0,0 +1,18 @@
+using Microsoft.EntityFrameworkCore.Storage.ValueConversion;
+
+namespace QuizApp.Data
+{
+    /// <summary>
+    /// Stores DateTime values as UTC and marks them as UTC when read back.
+    /// SQLite keeps no time zone, so without this the API would send timestamps the browser reads as local time.
+    /// </summary>
+    public class UtcDateTimeConverter : ValueConverter<DateTime, DateTime>
+    {
+        public UtcDateTimeConverter()
+            : base(
+                v => v.ToUniversalTime(),
+                v => DateTime.SpecifyKind(v, DateTimeKind.Utc))
+        {
+        }
+    }
+}
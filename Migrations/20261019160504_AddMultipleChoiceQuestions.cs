@@ -0,0 +1,101 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace QuizApp.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddMultipleChoiceQuestions : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "Type",
+                table: "Questions",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<int>(
+                name: "ScoringMode",
+                table: "Questions",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<string>(
+                name: "SelectedOptionIds",
+                table: "AttemptAnswers",
+                type: "TEXT",
+                nullable: false,
+                defaultValue: "[]");
+
+            // Carry the single selected option of existing answers over to the new list column
+            migrationBuilder.Sql(
+                "UPDATE AttemptAnswers SET SelectedOptionIds = '[' || SelectedOptionId || ']' WHERE SelectedOptionId IS NOT NULL;");
+
+            migrationBuilder.DropColumn(
+                name: "SelectedOptionId",
+                table: "AttemptAnswers");
+
+            migrationBuilder.AlterColumn<double>(
+                name: "PointsAwarded",
+                table: "AttemptAnswers",
+                type: "REAL",
+                nullable: false,
+                oldClrType: typeof(int),
+                oldType: "INTEGER");
+
+            migrationBuilder.AlterColumn<double>(
+                name: "EarnedPoints",
+                table: "Attempts",
+                type: "REAL",
+                nullable: false,
+                oldClrType: typeof(int),
+                oldType: "INTEGER");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "SelectedOptionId",
+                table: "AttemptAnswers",
+                type: "INTEGER",
+                nullable: true);
+
+            // Only the first selected option fits in the old column
+            migrationBuilder.Sql(
+                "UPDATE AttemptAnswers SET SelectedOptionId = json_extract(SelectedOptionIds, '$[0]');");
+
+            migrationBuilder.DropColumn(
+                name: "SelectedOptionIds",
+                table: "AttemptAnswers");
+
+            migrationBuilder.DropColumn(
+                name: "Type",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "ScoringMode",
+                table: "Questions");
+
+            migrationBuilder.AlterColumn<int>(
+                name: "PointsAwarded",
+                table: "AttemptAnswers",
+                type: "INTEGER",
+                nullable: false,
+                oldClrType: typeof(double),
+                oldType: "REAL");
+
+            migrationBuilder.AlterColumn<int>(
+                name: "EarnedPoints",
+                table: "Attempts",
+                type: "INTEGER",
+                nullable: false,
+                oldClrType: typeof(double),
+                oldType: "REAL");
+        }
+    }
+}
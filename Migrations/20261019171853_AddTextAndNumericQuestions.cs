@@ -0,0 +1,72 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace QuizApp.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddTextAndNumericQuestions : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "AnswerPattern",
+                table: "Questions",
+                type: "TEXT",
+                maxLength: 200,
+                nullable: true);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "CaseSensitive",
+                table: "Questions",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<double>(
+                name: "NumericAnswer",
+                table: "Questions",
+                type: "REAL",
+                nullable: true);
+
+            migrationBuilder.AddColumn<double>(
+                name: "Tolerance",
+                table: "Questions",
+                type: "REAL",
+                nullable: false,
+                defaultValue: 0.0);
+
+            migrationBuilder.AddColumn<string>(
+                name: "TextResponse",
+                table: "AttemptAnswers",
+                type: "TEXT",
+                maxLength: 500,
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "AnswerPattern",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "CaseSensitive",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "NumericAnswer",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "Tolerance",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "TextResponse",
+                table: "AttemptAnswers");
+        }
+    }
+}
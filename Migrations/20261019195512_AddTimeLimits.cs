@@ -0,0 +1,85 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace QuizApp.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddTimeLimits : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AlterColumn<DateTime>(
+                name: "SubmittedAt",
+                table: "Attempts",
+                type: "TEXT",
+                nullable: true,
+                oldClrType: typeof(DateTime),
+                oldType: "TEXT");
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "StartedAt",
+                table: "Attempts",
+                type: "TEXT",
+                nullable: false,
+                defaultValue: new DateTime(1, 1, 1, 0, 0, 0, 0, DateTimeKind.Unspecified));
+
+            migrationBuilder.AddColumn<bool>(
+                name: "TimedOut",
+                table: "Attempts",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<int>(
+                name: "TimeLimitSeconds",
+                table: "Questions",
+                type: "INTEGER",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "TimeLimitMinutes",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: true);
+
+            // Attempts stored before this migration were submitted in one go
+            migrationBuilder.Sql("UPDATE \"Attempts\" SET \"StartedAt\" = \"SubmittedAt\";");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            // Attempts that were started but never submitted cannot be represented without a submission time
+            migrationBuilder.Sql("DELETE FROM \"Attempts\" WHERE \"SubmittedAt\" IS NULL;");
+
+            migrationBuilder.DropColumn(
+                name: "StartedAt",
+                table: "Attempts");
+
+            migrationBuilder.DropColumn(
+                name: "TimedOut",
+                table: "Attempts");
+
+            migrationBuilder.DropColumn(
+                name: "TimeLimitSeconds",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "TimeLimitMinutes",
+                table: "Quizzes");
+
+            migrationBuilder.AlterColumn<DateTime>(
+                name: "SubmittedAt",
+                table: "Attempts",
+                type: "TEXT",
+                nullable: false,
+                defaultValue: new DateTime(1, 1, 1, 0, 0, 0, 0, DateTimeKind.Unspecified),
+                oldClrType: typeof(DateTime),
+                oldType: "TEXT",
+                oldNullable: true);
+        }
+    }
+}
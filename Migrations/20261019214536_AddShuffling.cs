@@ -0,0 +1,51 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace QuizApp.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddShuffling : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<bool>(
+                name: "ShuffleOptions",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "ShuffleQuestions",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<int>(
+                name: "ShuffleSeed",
+                table: "Attempts",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: 0);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "ShuffleOptions",
+                table: "Quizzes");
+
+            migrationBuilder.DropColumn(
+                name: "ShuffleQuestions",
+                table: "Quizzes");
+
+            migrationBuilder.DropColumn(
+                name: "ShuffleSeed",
+                table: "Attempts");
+        }
+    }
+}
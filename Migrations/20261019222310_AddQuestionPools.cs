@@ -0,0 +1,62 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace QuizApp.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddQuestionPools : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "DrawCount",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: true);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "DrawPerTag",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<string>(
+                name: "Tag",
+                table: "Questions",
+                type: "TEXT",
+                maxLength: 50,
+                nullable: true);
+
+            // Existing attempts used every question, which an empty list stands for
+            migrationBuilder.AddColumn<string>(
+                name: "QuestionIds",
+                table: "Attempts",
+                type: "TEXT",
+                nullable: false,
+                defaultValue: "[]");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "DrawCount",
+                table: "Quizzes");
+
+            migrationBuilder.DropColumn(
+                name: "DrawPerTag",
+                table: "Quizzes");
+
+            migrationBuilder.DropColumn(
+                name: "Tag",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "QuestionIds",
+                table: "Attempts");
+        }
+    }
+}
@@ -0,0 +1,49 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace QuizApp.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddAttemptLimits : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "CooldownMinutes",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "GradingPolicy",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<int>(
+                name: "MaxAttempts",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "CooldownMinutes",
+                table: "Quizzes");
+
+            migrationBuilder.DropColumn(
+                name: "GradingPolicy",
+                table: "Quizzes");
+
+            migrationBuilder.DropColumn(
+                name: "MaxAttempts",
+                table: "Quizzes");
+        }
+    }
+}
@@ -0,0 +1,81 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace QuizApp.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddNegativeMarking : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "PenaltyFloor",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<int>(
+                name: "PenaltyPercent",
+                table: "Quizzes",
+                type: "INTEGER",
+                nullable: true);
+
+            migrationBuilder.AlterColumn<double>(
+                name: "Points",
+                table: "Questions",
+                type: "REAL",
+                nullable: false,
+                oldClrType: typeof(int),
+                oldType: "INTEGER");
+
+            migrationBuilder.AddColumn<double>(
+                name: "Penalty",
+                table: "Questions",
+                type: "REAL",
+                nullable: true);
+
+            migrationBuilder.AlterColumn<double>(
+                name: "TotalPoints",
+                table: "Attempts",
+                type: "REAL",
+                nullable: false,
+                oldClrType: typeof(int),
+                oldType: "INTEGER");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "PenaltyFloor",
+                table: "Quizzes");
+
+            migrationBuilder.DropColumn(
+                name: "PenaltyPercent",
+                table: "Quizzes");
+
+            migrationBuilder.DropColumn(
+                name: "Penalty",
+                table: "Questions");
+
+            migrationBuilder.AlterColumn<int>(
+                name: "Points",
+                table: "Questions",
+                type: "INTEGER",
+                nullable: false,
+                oldClrType: typeof(double),
+                oldType: "REAL");
+
+            migrationBuilder.AlterColumn<int>(
+                name: "TotalPoints",
+                table: "Attempts",
+                type: "INTEGER",
+                nullable: false,
+                oldClrType: typeof(double),
+                oldType: "REAL");
+        }
+    }
+}
@@ -0,0 +1,62 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace QuizApp.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddQuestionHints : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "Hint",
+                table: "Questions",
+                type: "TEXT",
+                maxLength: 500,
+                nullable: true);
+
+            migrationBuilder.AddColumn<double>(
+                name: "HintCost",
+                table: "Questions",
+                type: "REAL",
+                nullable: false,
+                defaultValue: 0.0);
+
+            migrationBuilder.AddColumn<string>(
+                name: "HintQuestionIds",
+                table: "Attempts",
+                type: "TEXT",
+                nullable: false,
+                defaultValue: "[]");
+
+            migrationBuilder.AddColumn<double>(
+                name: "HintCost",
+                table: "AttemptAnswers",
+                type: "REAL",
+                nullable: false,
+                defaultValue: 0.0);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "Hint",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "HintCost",
+                table: "Questions");
+
+            migrationBuilder.DropColumn(
+                name: "HintQuestionIds",
+                table: "Attempts");
+
+            migrationBuilder.DropColumn(
+                name: "HintCost",
+                table: "AttemptAnswers");
+        }
+    }
+}
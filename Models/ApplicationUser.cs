@@ -4,6 +4,6 @@ namespace QuizApp.Models
 {
     public class ApplicationUser : IdentityUser
     {
-        
+        public List<Attempt> Attempts { get; set; } = new();
     }
 }
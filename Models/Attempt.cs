@@ -0,0 +1,48 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// A quiz attempt by a user. Started when the player opens the quiz and submitted once they finish;
+    /// stores the score at the time of submission so the player's history stays the same even if the quiz is edited later.
+    /// </summary>
+    public class Attempt
+    {
+        public int Id { get; set; }
+
+        public int QuizId { get; set; }
+        public Quiz? Quiz { get; set; }
+
+        [Required]
+        public string UserId { get; set; } = "";
+        public ApplicationUser? User { get; set; }
+
+        // Time limits are counted from here, using the server clock
+        public DateTime StartedAt { get; set; }
+
+        // Null while the attempt is still in progress
+        public DateTime? SubmittedAt { get; set; }
+
+        // Set when the attempt was submitted after its deadline; the late answers were not counted
+        public bool TimedOut { get; set; }
+
+        // Seeds the question and option order of this attempt, so resuming and reviewing show the order the player saw
+        public int ShuffleSeed { get; set; }
+
+        // The questions drawn for this attempt when the quiz uses a question pool. Empty when it shows every question
+        public List<int> QuestionIds { get; set; } = new();
+
+        // Questions whose hint the player revealed during the attempt; each costs the question's HintCost when scored
+        public List<int> HintQuestionIds { get; set; } = new();
+
+        public double EarnedPoints { get; set; }
+        public double TotalPoints { get; set; }
+
+        // Outcome against the quiz's pass mark and grade scale at submission time. Null when the quiz had none
+        public bool? Passed { get; set; }
+        [StringLength(20)]
+        public string? Grade { get; set; }
+
+        public List<AttemptAnswer> Answers { get; set; } = new();
+    }
+}
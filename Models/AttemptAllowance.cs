@@ -0,0 +1,20 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// Whether a player may start another attempt at a quiz, given its attempt limit and cooldown (see <see cref="Quiz.MaxAttempts"/>).
+    /// Produced by the attempt service; Reason is null when a new attempt can be started now.
+    /// </summary>
+    public class AttemptAllowance
+    {
+        // Submitted attempts so far
+        public int AttemptsUsed { get; set; }
+        public int? MaxAttempts { get; set; }
+
+        // Set while the cooldown after the last submitted attempt is still running
+        public DateTime? NextAttemptAt { get; set; }
+
+        public string? Reason { get; set; }
+
+        public bool CanStart => Reason == null;
+    }
+}
@@ -0,0 +1,35 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// The answer given to one question within an attempt, together with the points it earned.
+    /// Until the attempt is submitted this is the autosaved draft answer, and is not graded yet.
+    /// </summary>
+    public class AttemptAnswer
+    {
+        public int Id { get; set; }
+
+        public int AttemptId { get; set; }
+        public Attempt? Attempt { get; set; }
+
+        public int QuestionId { get; set; }
+        public Question? Question { get; set; }
+
+        // Kept as plain ids so the answer survives options being edited or removed
+        public List<int> SelectedOptionIds { get; set; } = new();
+
+        // Matching questions: the text matched to each of SelectedOptionIds, in the same order
+        public List<string> MatchedTexts { get; set; } = new();
+
+        // What the player typed, for short text and numeric questions
+        [StringLength(500)]
+        public string? TextResponse { get; set; }
+
+        public bool IsCorrect { get; set; }
+        public double PointsAwarded { get; set; }
+
+        // Points taken off for revealing the question's hint; already included in PointsAwarded
+        public double HintCost { get; set; }
+    }
+}
@@ -0,0 +1,17 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// JSON body posted by a player when they open a quiz. Starts the attempt on the server,
+    /// so time limits are measured from the server's clock rather than the browser's.
+    /// </summary>
+    public class AttemptStart
+    {
+        [Range(1, int.MaxValue, ErrorMessage = "Quiz id is required")]
+        public int QuizId { get; set; }
+
+        // Discards the player's unfinished attempt at the quiz, with its saved answers, instead of resuming it
+        public bool StartOver { get; set; }
+    }
+}
@@ -0,0 +1,34 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// JSON body posted by a player when submitting a quiz attempt.
+    /// Contains only the player's choices; correctness is decided on the server.
+    /// </summary>
+    public class AttemptSubmission
+    {
+        [Range(1, int.MaxValue, ErrorMessage = "Quiz id is required")]
+        public int QuizId { get; set; }
+
+        public List<AnswerSubmission> Answers { get; set; } = new();
+    }
+
+    /// <summary>
+    /// The option(s) a player picked for a single question, or the text they typed for short text
+    /// and numeric questions. Unanswered questions may be left out. Single choice questions use the first id only,
+    /// ordering questions send every option id in the player's order.
+    /// </summary>
+    public class AnswerSubmission
+    {
+        public int QuestionId { get; set; }
+
+        public List<int> OptionIds { get; set; } = new();
+
+        [StringLength(500)]
+        public string? Text { get; set; }
+
+        // Matching questions: option id -> the match text the player chose for it
+        public Dictionary<int, string> Matches { get; set; } = new();
+    }
+}
@@ -0,0 +1,22 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// One step of a quiz's letter-grade scale, e.g. "B" from 70%.
+    /// A result gets the band with the highest MinPercent it reaches; results below every band get the lowest one.
+    /// </summary>
+    public class GradeBand
+    {
+        public int Id { get; set; }
+
+        [Required, StringLength(20)]
+        public string Label { get; set; } = "";
+
+        [Range(0, 100)]
+        public int MinPercent { get; set; }
+
+        public int QuizId { get; set; }
+        public Quiz? Quiz { get; set; }
+    }
+}
@@ -0,0 +1,17 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// Which of a player's submitted attempts at a quiz counts for their result, e.g. on the leaderboards.
+    /// </summary>
+    public enum GradingPolicy
+    {
+        // The highest share of the points, the shortest time breaking a tie
+        Best = 0,
+
+        // The most recently submitted attempt
+        Latest = 1,
+
+        // The average share of the points over all attempts
+        Average = 2
+    }
+}
@@ -0,0 +1,24 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// One row of a leaderboard: a player's result on a quiz (by its grading policy), or their results added up across all quizzes.
+    /// Produced by the leaderboard service from submitted attempts.
+    /// </summary>
+    public class LeaderboardEntry
+    {
+        public int Rank { get; set; }
+        public string UserId { get; set; } = "";
+        public string UserName { get; set; } = "";
+
+        public double EarnedPoints { get; set; }
+        public double TotalPoints { get; set; }
+
+        // Time from start to submit of the counted attempt(s); the shorter time wins a tie. Null when an attempt was
+        // submitted in one go, without a start, so its time is unknown; such entries come after timed ones in a tie
+        public TimeSpan? Duration { get; set; }
+
+        // Number of quizzes the entry is made of: always 1 on a quiz leaderboard
+        public int QuizCount { get; set; }
+        public DateTime SubmittedAt { get; set; }
+    }
+}
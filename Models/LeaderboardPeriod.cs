@@ -0,0 +1,13 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// Which attempts a leaderboard is built from, by the time they were submitted.
+    /// </summary>
+    public enum LeaderboardPeriod
+    {
+        AllTime = 0,
+
+        // Since Monday 00:00 UTC of the current week
+        Week = 1
+    }
+}
@@ -9,6 +9,17 @@ namespace QuizApp.Models
 
         public bool IsCorrect { get; set; }
 
+        // Position within the question. For ordering questions this is the correct order
+        public int Order { get; set; }
+
+        // Matching questions: the right-hand text this option should be matched to
+        [StringLength(200)]
+        public string? MatchText { get; set; }
+
+        // Shown to players who picked this option, once their attempt is submitted
+        [StringLength(500)]
+        public string? Feedback { get; set; }
+
         public int QuestionId { get; set; }
         public Question? Question { get; set; }
     }
@@ -0,0 +1,14 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// How far wrong-answer penalties (see <see cref="Quiz.PenaltyPercent"/>) can bring a score down.
+    /// </summary>
+    public enum PenaltyFloor
+    {
+        // Questions can score below zero and take points from the rest of the quiz, but the total never goes below zero
+        PerQuiz = 0,
+
+        // A penalty only takes away points earned on the same question, e.g. partial credit; no question scores below zero
+        PerQuestion = 1
+    }
+}
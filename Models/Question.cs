@@ -9,8 +9,51 @@ namespace QuizApp.Models
         [Required, StringLength(200)]
         public string Text { get; set; } = "";
 
-        [Range(0, 5)]
-        public int Points { get; set; } = 1;
+        public QuestionType Type { get; set; } = QuestionType.SingleChoice;
+
+        // Used by multiple choice, ordering and matching questions
+        public ScoringMode ScoringMode { get; set; } = ScoringMode.AllOrNothing;
+
+        // Short text questions: answers are compared ignoring case unless this is set
+        public bool CaseSensitive { get; set; }
+
+        // Short text questions: optional regular expression a whole answer may match instead of an accepted answer
+        [StringLength(200)]
+        public string? AnswerPattern { get; set; }
+
+        // Numeric questions: the expected value and how far off an answer may be
+        public double? NumericAnswer { get; set; }
+
+        [Range(0, double.MaxValue)]
+        public double Tolerance { get; set; }
+
+        // Points can be fractional, e.g. 0.5
+        [Range(0, 100)]
+        public double Points { get; set; } = 1;
+
+        // Optional points taken off for a wrong answer, instead of the quiz's penalty (see Quiz.PenaltyPercent). 0 turns it off for this question
+        [Range(0, 100)]
+        public double? Penalty { get; set; }
+
+        // Optional time limit for this question. Shown as a countdown in the SPA; when every question has one
+        // and the quiz itself has no limit, their sum becomes the attempt's server-side deadline
+        [Range(5, 3600)]
+        public int? TimeLimitSeconds { get; set; }
+
+        // Optional category, used by quizzes that draw a number of questions per tag on each attempt
+        [StringLength(50)]
+        public string? Tag { get; set; }
+
+        // Optional text shown to players when they review their answers after submitting
+        [StringLength(1000)]
+        public string? Explanation { get; set; }
+
+        // Optional hint players can reveal while taking the quiz, for HintCost points off the question
+        [StringLength(500)]
+        public string? Hint { get; set; }
+
+        [Range(0, 100)]
+        public double HintCost { get; set; }
 
         public int QuizId { get; set; }
         public Quiz? Quiz { get; set; }
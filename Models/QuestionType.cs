@@ -0,0 +1,26 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// How a question is answered. Stored as an integer, sent to the SPA as its name.
+    /// </summary>
+    public enum QuestionType
+    {
+        // Exactly one option is correct; players pick one (radio buttons)
+        SingleChoice = 0,
+
+        // One or more options are correct; players "select all that apply" (checkboxes)
+        MultipleChoice = 1,
+
+        // Players type a short answer; the options hold the accepted answers
+        ShortText = 2,
+
+        // Players type a number; graded against NumericAnswer give or take Tolerance
+        Numeric = 3,
+
+        // Players put the options in order; the correct order is the options' Order
+        Ordering = 4,
+
+        // Players match each option to its MatchText
+        Matching = 5
+    }
+}
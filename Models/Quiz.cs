@@ -9,6 +9,50 @@ namespace QuizApp.Models
         public String Title { get; set; } = "";
         
         [StringLength(500)] public String? Description { get; set; } = "";
+
+        // Players only see and take published quizzes (see QuizStatus)
+        public QuizStatus Status { get; set; } = QuizStatus.Draft;
+
+        // Optional opening hours (UTC): players can only start the quiz in between, and attempts end at the closing time
+        public DateTime? OpensAt { get; set; }
+        public DateTime? ClosesAt { get; set; }
+
+        // Optional time limit for the whole quiz, counted from when the attempt is started
+        [Range(1, 600)]
+        public int? TimeLimitMinutes { get; set; }
+
+        // Show players one question at a time, with navigation between them, instead of all questions on one page
+        public bool OneQuestionPerPage { get; set; }
+
+        // Show the questions, and the options of choice and matching questions, in a different order on every attempt
+        public bool ShuffleQuestions { get; set; }
+        public bool ShuffleOptions { get; set; }
+
+        // Question pool: when set, each attempt gets this many questions drawn at random instead of all of them,
+        // or this many from every tag when DrawPerTag is set (untagged questions count as one more tag)
+        [Range(1, 500)]
+        public int? DrawCount { get; set; }
+        public bool DrawPerTag { get; set; }
+
+        // Optional limit on the number of attempts per player and minimum wait after submitting one,
+        // and which of a player's attempts counts for their result
+        [Range(1, 100)]
+        public int? MaxAttempts { get; set; }
+        [Range(1, 10080)]
+        public int? CooldownMinutes { get; set; }
+        public GradingPolicy GradingPolicy { get; set; } = GradingPolicy.Best;
+
+        // Optional pass mark (percentage of the total points) and letter-grade scale shown with each result
+        [Range(1, 100)]
+        public int? PassPercent { get; set; }
+        public List<GradeBand> GradeBands { get; set; } = new();
+
+        // Optional negative marking: the share of a question's points taken off for a wrong answer, unless the question
+        // sets its own penalty, and whether that stops at zero per question or for the quiz as a whole
+        [Range(1, 100)]
+        public int? PenaltyPercent { get; set; }
+        public PenaltyFloor PenaltyFloor { get; set; } = PenaltyFloor.PerQuiz;
+
         public List<Question> Questions { get; set; } = new();
     }
 
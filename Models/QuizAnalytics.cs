@@ -0,0 +1,53 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// Statistics for one quiz, computed from its submitted attempts. Shown to admins on the analytics page
+    /// to find questions that are too hard or too easy and answer options nobody falls for.
+    /// </summary>
+    public class QuizAnalytics
+    {
+        public int QuizId { get; set; }
+        public int AttemptCount { get; set; }
+        public int PlayerCount { get; set; }
+
+        // Average share of the points, 0-100
+        public double AverageScorePercent { get; set; }
+
+        // Number of attempts per score band: 0-9%, 10-19%, ... 90-100%
+        public List<int> ScoreDistribution { get; set; } = new();
+
+        public List<QuestionAnalytics> Questions { get; set; } = new();
+    }
+
+    /// <summary>
+    /// How one question fared. Only attempts the question was part of count, which matters for quizzes with a question pool.
+    /// </summary>
+    public class QuestionAnalytics
+    {
+        public int QuestionId { get; set; }
+        public string Text { get; set; } = "";
+        public QuestionType Type { get; set; }
+
+        public int AnswerCount { get; set; }
+        public int SkippedCount { get; set; }
+
+        // Share of the attempts that got the question fully right, and the average share of its points (partial credit included), 0-100
+        public double PercentCorrect { get; set; }
+        public double AveragePointsPercent { get; set; }
+
+        // Single and multiple choice questions only
+        public List<OptionAnalytics> Options { get; set; } = new();
+    }
+
+    /// <summary>
+    /// How often an answer option of a choice question was picked, out of the attempts that had the question.
+    /// </summary>
+    public class OptionAnalytics
+    {
+        public int OptionId { get; set; }
+        public string Text { get; set; } = "";
+        public bool IsCorrect { get; set; }
+        public int PickCount { get; set; }
+        public double PickPercent { get; set; }
+    }
+}
@@ -0,0 +1,107 @@
+using System.Text.Json.Serialization;
+
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// A quiz with all its questions and options as a self-contained document, for exporting and importing quizzes.
+    /// Version tells readers which layout the document uses; the current one is <see cref="CurrentVersion"/>.
+    /// Question types, scoring modes, the grading policy and the penalty floor are written by name so the documents can be authored by hand.
+    /// </summary>
+    public class QuizDocument
+    {
+        public const int CurrentVersion = 1;
+
+        public int Version { get; set; }
+
+        public string? Title { get; set; }
+        public string? Description { get; set; }
+        public int? TimeLimitMinutes { get; set; }
+        public bool OneQuestionPerPage { get; set; }
+        public bool ShuffleQuestions { get; set; }
+        public bool ShuffleOptions { get; set; }
+        public int? DrawCount { get; set; }
+        public bool DrawPerTag { get; set; }
+        public int? MaxAttempts { get; set; }
+        public int? CooldownMinutes { get; set; }
+        public string? GradingPolicy { get; set; }
+        public int? PassPercent { get; set; }
+        public List<GradeBandDocument> GradeBands { get; set; } = new();
+        public int? PenaltyPercent { get; set; }
+        public string? PenaltyFloor { get; set; }
+
+        public List<QuestionDocument> Questions { get; set; } = new();
+    }
+
+    /// <summary>
+    /// One grade of a <see cref="QuizDocument"/>'s grade scale.
+    /// </summary>
+    public class GradeBandDocument
+    {
+        public string? Label { get; set; }
+        public int MinPercent { get; set; }
+    }
+
+    /// <summary>
+    /// One question of a <see cref="QuizDocument"/>. Options are listed in order, which is the correct order for ordering questions.
+    /// </summary>
+    public class QuestionDocument
+    {
+        public string? Text { get; set; }
+        public string? Type { get; set; }
+        public string? ScoringMode { get; set; }
+        public bool CaseSensitive { get; set; }
+        public string? AnswerPattern { get; set; }
+        public double? NumericAnswer { get; set; }
+        public double Tolerance { get; set; }
+        public double Points { get; set; } = 1;
+        public double? Penalty { get; set; }
+        public int? TimeLimitSeconds { get; set; }
+        public string? Tag { get; set; }
+        public string? Explanation { get; set; }
+        public string? Hint { get; set; }
+        public double HintCost { get; set; }
+
+        public List<OptionDocument> Options { get; set; } = new();
+
+        // Line of the imported file the question starts on, for the import preview. Not part of the document itself
+        [JsonIgnore]
+        public int? Line { get; set; }
+    }
+
+    /// <summary>
+    /// One answer option of a <see cref="QuestionDocument"/>.
+    /// </summary>
+    public class OptionDocument
+    {
+        public string? Text { get; set; }
+        public bool IsCorrect { get; set; }
+        public string? MatchText { get; set; }
+        public string? Feedback { get; set; }
+    }
+
+    /// <summary>
+    /// Result of reading an import file: the document as it was understood, for the preview, and the quiz ready to be saved,
+    /// or the problems that stop it from being imported. Each problem and warning points at the line of the file it was found on,
+    /// when known, and at the field as a JSON path. Warnings are about parts of the file that were left out or changed.
+    /// </summary>
+    public class QuizImport
+    {
+        public QuizDocument? Document { get; set; }
+        public Quiz? Quiz { get; set; }
+        public List<ImportError> Errors { get; set; } = new();
+        public List<ImportError> Warnings { get; set; } = new();
+
+        // Line each JSON path of the document starts on in the file, filled in by the reader of the file's format
+        public Dictionary<string, int> Lines { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// One problem or warning found while reading an import file. Line is 1-based; Path looks like "$.questions[2].options[0].text".
+    /// </summary>
+    public class ImportError
+    {
+        public int? Line { get; set; }
+        public string Path { get; set; } = "";
+        public string Message { get; set; } = "";
+    }
+}
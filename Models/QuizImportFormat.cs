@@ -0,0 +1,20 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// File formats quizzes can be imported from. Picked from the file extension unless the uploader says otherwise.
+    /// </summary>
+    public enum QuizImportFormat
+    {
+        // QuizApp's own quiz document, as exported (.json)
+        Json = 0,
+
+        // Spreadsheet with a header row and one question per row (.csv)
+        Csv = 1,
+
+        // Moodle GIFT text format (.gift, .txt)
+        Gift = 2,
+
+        // Moodle XML question export (.xml)
+        MoodleXml = 3
+    }
+}
@@ -0,0 +1,85 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// JSON body accepted by the quiz API when creating or updating a quiz.
+    /// Mirrors the editable fields of <see cref="Quiz"/> so clients cannot overwrite questions or ids.
+    /// </summary>
+    public class QuizInputModel : IValidatableObject
+    {
+        public int QuizId { get; set; }
+
+        [Required(ErrorMessage = "Title is required")]
+        [StringLength(100, ErrorMessage = "Title must be 100 characters or less")]
+        public string Title { get; set; } = "";
+
+        [StringLength(500, ErrorMessage = "Description must be 500 characters or less")]
+        public string? Description { get; set; }
+
+        [Range(1, 600, ErrorMessage = "Time limit must be between 1 and 600 minutes")]
+        public int? TimeLimitMinutes { get; set; }
+
+        public bool OneQuestionPerPage { get; set; }
+
+        public bool ShuffleQuestions { get; set; }
+
+        public bool ShuffleOptions { get; set; }
+
+        [Range(1, 500, ErrorMessage = "Questions per attempt must be between 1 and 500")]
+        public int? DrawCount { get; set; }
+
+        public bool DrawPerTag { get; set; }
+
+        [Range(1, 100, ErrorMessage = "Attempts per player must be between 1 and 100")]
+        public int? MaxAttempts { get; set; }
+
+        [Range(1, 10080, ErrorMessage = "Cooldown must be between 1 minute and 7 days (10080 minutes)")]
+        public int? CooldownMinutes { get; set; }
+
+        // Sent by name ("Best", "Latest", "Average"), as the API returns it
+        [JsonConverter(typeof(JsonStringEnumConverter))]
+        public GradingPolicy GradingPolicy { get; set; }
+
+        [Range(1, 100, ErrorMessage = "Pass mark must be between 1 and 100%")]
+        public int? PassPercent { get; set; }
+
+        public List<GradeBandInput> GradeBands { get; set; } = new();
+
+        [Range(1, 100, ErrorMessage = "Penalty must be between 1 and 100% of a question's points")]
+        public int? PenaltyPercent { get; set; }
+
+        // Sent by name ("PerQuiz", "PerQuestion"), as the API returns it
+        [JsonConverter(typeof(JsonStringEnumConverter))]
+        public PenaltyFloor PenaltyFloor { get; set; }
+
+        public DateTime? OpensAt { get; set; }
+
+        public DateTime? ClosesAt { get; set; }
+
+        public IEnumerable<ValidationResult> Validate(ValidationContext validationContext)
+        {
+            if (OpensAt != null && ClosesAt != null && ClosesAt <= OpensAt)
+                yield return new ValidationResult("Closing time must be after the opening time", new[] { nameof(ClosesAt) });
+
+            // Checked here rather than per band so the form gets one message for the whole scale
+            if (GradeBands.Any(b => string.IsNullOrWhiteSpace(b.Label) || b.Label.Trim().Length > 20))
+                yield return new ValidationResult("Every grade needs a label of up to 20 characters", new[] { nameof(GradeBands) });
+            else if (GradeBands.Any(b => b.MinPercent < 0 || b.MinPercent > 100))
+                yield return new ValidationResult("Grade thresholds must be between 0 and 100%", new[] { nameof(GradeBands) });
+            else if (GradeBands.Select(b => b.MinPercent).Distinct().Count() != GradeBands.Count)
+                yield return new ValidationResult("Each grade needs a different threshold", new[] { nameof(GradeBands) });
+        }
+    }
+
+    /// <summary>
+    /// One grade of the scale sent with <see cref="QuizInputModel"/>: its label and the lowest percentage that earns it.
+    /// </summary>
+    public class GradeBandInput
+    {
+        public string Label { get; set; } = "";
+
+        public int MinPercent { get; set; }
+    }
+}
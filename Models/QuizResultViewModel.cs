@@ -3,7 +3,7 @@ namespace QuizApp.Models
     public class QuizResultViewModel
     {
         public string QuizTitle { get; set; } = "";
-        public int TotalPoints { get; set; }
-        public int EarnedPoints { get; set; }
+        public double TotalPoints { get; set; }
+        public double EarnedPoints { get; set; }
     }
 }
@@ -0,0 +1,55 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// A quiz laid out for printing: one or more variants of the question sheet, each with its own answer key.
+    /// Options are lettered (A, B, C...) so players can write their answers on paper.
+    /// </summary>
+    public class QuizSheet
+    {
+        public const int MaxVariants = 4;
+
+        public int QuizId { get; set; }
+        public string Title { get; set; } = "";
+        public string? Description { get; set; }
+        public double TotalPoints { get; set; }
+
+        public List<SheetVariant> Variants { get; set; } = new();
+    }
+
+    /// <summary>
+    /// One printed version of the quiz. With several variants every one has the questions and options in its own order,
+    /// so neighbours in an exam room do not share answers; a single sheet keeps the authored order.
+    /// </summary>
+    public class SheetVariant
+    {
+        // "A", "B", ... or null when only one sheet is printed
+        public string? Name { get; set; }
+
+        public List<SheetQuestion> Questions { get; set; } = new();
+    }
+
+    public class SheetQuestion
+    {
+        // 1-based position on this variant's sheet
+        public int Number { get; set; }
+        public int QuestionId { get; set; }
+        public string Text { get; set; } = "";
+        public QuestionType Type { get; set; }
+        public double Points { get; set; }
+
+        // Choice, ordering and matching questions; matching questions list the items to match here
+        public List<SheetOption> Options { get; set; } = new();
+
+        // Matching questions: the numbered texts the lettered items are matched to
+        public List<string> MatchChoices { get; set; } = new();
+
+        // The answer key entry, e.g. "B", "A, C", "C, A, B" (ordering), "A-2, B-1" (matching) or "3.14 (± 0.01)"
+        public string Answer { get; set; } = "";
+    }
+
+    public class SheetOption
+    {
+        public string Letter { get; set; } = "";
+        public string Text { get; set; } = "";
+    }
+}
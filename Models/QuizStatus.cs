@@ -0,0 +1,18 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// Where a quiz is in its life cycle. Only published quizzes are listed for players and can be started;
+    /// admins see and can try out quizzes in any status.
+    /// </summary>
+    public enum QuizStatus
+    {
+        // Being written; new and imported quizzes start here
+        Draft = 0,
+
+        // Listed and open to players
+        Published = 1,
+
+        // Retired: hidden from players, but its attempts and results are kept
+        Archived = 2
+    }
+}
@@ -0,0 +1,41 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// Outcome of scoring a set of answers against a quiz.
+    /// Produced by the scoring service and shared by the MVC and API submission paths.
+    /// </summary>
+    public class ScoreResult
+    {
+        public double EarnedPoints { get; set; }
+        public double TotalPoints { get; set; }
+
+        // Share of the total points earned, 0-100. Passed and Grade are only set when the quiz has a pass mark or grade scale
+        public double Percent => TotalPoints == 0 ? 0 : Math.Round(EarnedPoints * 100 / TotalPoints, 2);
+        public bool? Passed { get; set; }
+        public string? Grade { get; set; }
+
+        public List<QuestionScore> Questions { get; set; } = new();
+    }
+
+    /// <summary>
+    /// Score for one question: what the player picked and how many points it earned.
+    /// PointsAwarded can be fractional when the question gives partial credit, and below zero when a wrong answer was penalized
+    /// and the quiz only floors the total (see <see cref="PenaltyFloor"/>).
+    /// </summary>
+    public class QuestionScore
+    {
+        public int QuestionId { get; set; }
+        public List<int> SelectedOptionIds { get; set; } = new();
+        public List<string> MatchedTexts { get; set; } = new();
+        public string? TextResponse { get; set; }
+        public bool IsCorrect { get; set; }
+        public double Points { get; set; }
+        public double PointsAwarded { get; set; }
+
+        // Points taken off for a wrong answer; already included in PointsAwarded
+        public double Penalty { get; set; }
+
+        // Points taken off for revealing the hint; also included in PointsAwarded
+        public double HintCost { get; set; }
+    }
+}
@@ -0,0 +1,16 @@
+namespace QuizApp.Models
+{
+    /// <summary>
+    /// How points are awarded for questions with more than one part to get right:
+    /// multiple choice options, ordering positions and matching pairs.
+    /// </summary>
+    public enum ScoringMode
+    {
+        // Full points only when exactly the correct options are selected
+        AllOrNothing = 0,
+
+        // A share of the points per correct part. Multiple choice also takes a share off
+        // per wrong option (never below zero)
+        PartialCredit = 1
+    }
+}
@@ -1,10 +1,14 @@
 using Microsoft.AspNetCore.Identity;
 using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
 using QuizApp.Data;
 using QuizApp.Data.Repositories.Interfaces;
 using QuizApp.Data.Repositories.Implementations;
 using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+using QuizApp.Services.Implementations;
+using System.Text.Json;
 
 /// <summary>
 /// Application startup and configuration. Sets up dependency injection, database, authentication,
@@ -42,7 +46,20 @@ builder.Services.ConfigureApplicationCookie(options =>
 });
 
 // Register MVC controllers and Razor Pages
-builder.Services.AddControllersWithViews();
+// API controllers report validation failures as { message, errors } so the SPA can show them per field
+builder.Services.AddControllersWithViews()
+    .ConfigureApiBehaviorOptions(options =>
+    {
+        options.InvalidModelStateResponseFactory = context => new BadRequestObjectResult(new
+        {
+            message = "Please correct the highlighted fields.",
+            errors = context.ModelState
+                .Where(entry => entry.Value?.Errors.Count > 0)
+                .ToDictionary(
+                    entry => JsonNamingPolicy.CamelCase.ConvertName(entry.Key),
+                    entry => entry.Value!.Errors.Select(e => e.ErrorMessage).ToArray())
+        });
+    });
 builder.Services.AddRazorPages();
 
 // SPA: allow our Vue dev server (Vite) to call the API
@@ -63,6 +80,15 @@ builder.Services.AddCors(options =>
 builder.Services.AddScoped<IQuizRepository, QuizRepository>();
 builder.Services.AddScoped<IQuestionRepository, QuestionRepository>();
 builder.Services.AddScoped<IOptionRepository, OptionRepository>();
+builder.Services.AddScoped<IAttemptRepository, AttemptRepository>();
+
+// Register application services (business logic shared by MVC and API controllers)
+builder.Services.AddScoped<IScoringService, ScoringService>();
+builder.Services.AddScoped<IAttemptService, AttemptService>();
+builder.Services.AddScoped<ILeaderboardService, LeaderboardService>();
+builder.Services.AddScoped<IAnalyticsService, AnalyticsService>();
+builder.Services.AddScoped<IQuizTransferService, QuizTransferService>();
+builder.Services.AddScoped<IQuizSheetService, QuizSheetService>();
 
 var app = builder.Build();
 
@@ -0,0 +1,108 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.EntityFrameworkCore;
+using QuizApp.Data;
+using QuizApp.Data.Repositories.Implementations;
+using QuizApp.Models;
+using QuizApp.Tests.TestHelpers;
+using Xunit;
+
+namespace QuizApp.Tests.Repositories
+{
+    public class AttemptRepositoryTests
+    {
+        [Fact]
+        public async Task AddAttempt_ShouldSaveAttemptWithAnswers()
+        {
+            using var context = TestDbContextFactory.Create();
+            var repo = new AttemptRepository(context);
+
+            var quiz = new Quiz { Title = "Quiz" };
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = new Attempt
+            {
+                QuizId = quiz.QuizId,
+                UserId = "user-1",
+                SubmittedAt = DateTime.UtcNow,
+                EarnedPoints = 1,
+                TotalPoints = 2,
+                Answers = new List<AttemptAnswer>
+                {
+                    new AttemptAnswer { QuestionId = 1, SelectedOptionIds = new List<int> { 10 }, IsCorrect = true, PointsAwarded = 1 },
+                    new AttemptAnswer { QuestionId = 2 }
+                }
+            };
+
+            await repo.AddAsync(attempt);
+
+            var fromDb = await repo.GetByIdAsync(attempt.Id);
+            Assert.NotNull(fromDb);
+            Assert.Equal("Quiz", fromDb!.Quiz!.Title);
+            Assert.Equal(2, fromDb.Answers.Count);
+            Assert.Equal(2, await context.AttemptAnswers.CountAsync());
+        }
+
+        [Fact]
+        public async Task GetByUserId_ShouldReturnOnlyUsersAttempts_NewestFirst()
+        {
+            using var context = TestDbContextFactory.Create();
+            var repo = new AttemptRepository(context);
+
+            var quiz = new Quiz { Title = "Quiz" };
+            context.Quizzes.Add(quiz);
+            context.Attempts.AddRange(
+                new Attempt { Quiz = quiz, UserId = "user-1", SubmittedAt = new DateTime(2025, 1, 1, 0, 0, 0, DateTimeKind.Utc) },
+                new Attempt { Quiz = quiz, UserId = "user-1", SubmittedAt = new DateTime(2025, 2, 1, 0, 0, 0, DateTimeKind.Utc) },
+                new Attempt { Quiz = quiz, UserId = "user-2", SubmittedAt = new DateTime(2025, 3, 1, 0, 0, 0, DateTimeKind.Utc) }
+            );
+            await context.SaveChangesAsync();
+
+            var result = (await repo.GetByUserIdAsync("user-1")).ToList();
+
+            Assert.Equal(2, result.Count);
+            Assert.All(result, a => Assert.Equal("user-1", a.UserId));
+            Assert.Equal(2, result[0].SubmittedAt!.Value.Month);
+            Assert.Equal("Quiz", result[0].Quiz!.Title);
+        }
+
+        [Fact]
+        public async Task GetOpen_ShouldReturnUnsubmittedAttempt_ForUserAndQuiz()
+        {
+            using var context = TestDbContextFactory.Create();
+            var repo = new AttemptRepository(context);
+
+            var quiz = new Quiz { Title = "Quiz" };
+            var other = new Quiz { Title = "Other" };
+            context.Quizzes.AddRange(quiz, other);
+            context.Attempts.AddRange(
+                new Attempt { Quiz = quiz, UserId = "user-1", StartedAt = DateTime.UtcNow, SubmittedAt = DateTime.UtcNow },
+                new Attempt { Quiz = quiz, UserId = "user-2", StartedAt = DateTime.UtcNow },
+                new Attempt { Quiz = other, UserId = "user-1", StartedAt = DateTime.UtcNow },
+                new Attempt { Quiz = quiz, UserId = "user-1", StartedAt = DateTime.UtcNow }
+            );
+            await context.SaveChangesAsync();
+
+            var open = await repo.GetOpenAsync("user-1", quiz.QuizId);
+
+            Assert.NotNull(open);
+            Assert.Null(open!.SubmittedAt);
+            Assert.Equal("user-1", open.UserId);
+            Assert.Equal(quiz.QuizId, open.QuizId);
+        }
+
+        [Fact]
+        public async Task GetById_ShouldReturnNull_WhenNotFound()
+        {
+            using var context = TestDbContextFactory.Create();
+            var repo = new AttemptRepository(context);
+
+            var result = await repo.GetByIdAsync(999);
+
+            Assert.Null(result);
+        }
+    }
+}
@@ -1,3 +1,4 @@
+using System.Collections.Generic;
 using System.Linq;
 using System.Threading.Tasks;
 using Microsoft.EntityFrameworkCore;
@@ -48,6 +49,24 @@ namespace QuizApp.Tests.Repositories
             Assert.Equal("Existing", result.Title);
         }
 
+        [Fact]
+        public async Task GetPublished_ShouldLeaveOutDraftsAndArchivedQuizzes()
+        {
+            using var context = TestDbContextFactory.Create();
+            var repo = new QuizRepository(context);
+
+            context.Quizzes.AddRange(
+                new Quiz { Title = "Draft" },
+                new Quiz { Title = "Live", Status = QuizStatus.Published },
+                new Quiz { Title = "Old", Status = QuizStatus.Archived });
+            await context.SaveChangesAsync();
+
+            var result = await repo.GetPublishedAsync();
+
+            Assert.Equal("Live", Assert.Single(result).Title);
+            Assert.Equal(3, (await repo.GetAllAsync()).Count());
+        }
+
         [Fact]
         public async Task GetById_ShouldReturnNull_WhenNotFound()
         {
@@ -99,6 +118,26 @@ namespace QuizApp.Tests.Repositories
             Assert.Equal("New desc", fromDb.Description);
         }
 
+        [Fact]
+        public async Task UpdateQuiz_ShouldReplaceGradeScale()
+        {
+            using var context = TestDbContextFactory.Create();
+            var repo = new QuizRepository(context);
+
+            var quiz = new Quiz { Title = "Graded", GradeBands = new List<GradeBand> { new GradeBand { Label = "Pass", MinPercent = 50 } } };
+            await repo.AddAsync(quiz);
+
+            var stored = await repo.GetByIdAsync(quiz.QuizId);
+            stored!.GradeBands = new List<GradeBand>
+            {
+                new GradeBand { Label = "A", MinPercent = 80 },
+                new GradeBand { Label = "F", MinPercent = 0 }
+            };
+            await repo.UpdateAsync(stored);
+
+            Assert.Equal(new[] { "A", "F" }, context.GradeBands.OrderBy(b => b.Label).Select(b => b.Label));
+        }
+
         [Fact]
         public async Task DeleteQuiz_ShouldRemoveQuiz_WhenExists()
         {
@@ -0,0 +1,108 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using QuizApp.Data.Repositories.Implementations;
+using QuizApp.Models;
+using QuizApp.Services.Implementations;
+using QuizApp.Tests.TestHelpers;
+using Xunit;
+
+namespace QuizApp.Tests.Services
+{
+    public class AnalyticsServiceTests
+    {
+        private static Quiz CreateQuiz()
+        {
+            return new Quiz
+            {
+                Title = "Capitals",
+                Questions = new List<Question>
+                {
+                    new Question
+                    {
+                        Text = "Capital of Norway?",
+                        Points = 2,
+                        Options = new List<Option>
+                        {
+                            new Option { Text = "Oslo", IsCorrect = true },
+                            new Option { Text = "Bergen" },
+                            new Option { Text = "Narvik" }
+                        }
+                    }
+                }
+            };
+        }
+
+        private static Attempt CreateAttempt(Quiz quiz, string userId, int? optionIndex, DateTime? submittedAt)
+        {
+            var question = quiz.Questions.Single();
+            var option = optionIndex == null ? null : question.Options[optionIndex.Value];
+            var correct = option?.IsCorrect == true;
+            return new Attempt
+            {
+                QuizId = quiz.QuizId,
+                UserId = userId,
+                SubmittedAt = submittedAt,
+                EarnedPoints = correct ? 2 : 0,
+                TotalPoints = 2,
+                Answers = new List<AttemptAnswer>
+                {
+                    new AttemptAnswer
+                    {
+                        QuestionId = question.Id,
+                        SelectedOptionIds = option == null ? new List<int>() : new List<int> { option.Id },
+                        IsCorrect = correct,
+                        PointsAwarded = correct ? 2 : 0
+                    }
+                }
+            };
+        }
+
+        [Fact]
+        public async Task GetQuizAnalyticsAsync_ShouldSummarizeSubmittedAttempts()
+        {
+            using var context = TestDbContextFactory.Create();
+            var quiz = CreateQuiz();
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+            context.Attempts.AddRange(
+                CreateAttempt(quiz, "user-1", 0, DateTime.UtcNow),
+                CreateAttempt(quiz, "user-1", 1, DateTime.UtcNow),
+                CreateAttempt(quiz, "user-2", 1, DateTime.UtcNow),
+                CreateAttempt(quiz, "user-3", null, DateTime.UtcNow),
+                CreateAttempt(quiz, "user-4", 0, null));
+            await context.SaveChangesAsync();
+            var service = new AnalyticsService(new AttemptRepository(context));
+
+            var stats = await service.GetQuizAnalyticsAsync(quiz);
+
+            var question = stats.Questions.Single();
+            Assert.Equal(4, stats.AttemptCount);
+            Assert.Equal(3, stats.PlayerCount);
+            Assert.Equal(25, stats.AverageScorePercent);
+            Assert.Equal(new[] { 3, 0, 0, 0, 0, 0, 0, 0, 0, 1 }, stats.ScoreDistribution);
+            Assert.Equal(4, question.AnswerCount);
+            Assert.Equal(1, question.SkippedCount);
+            Assert.Equal(25, question.PercentCorrect);
+            Assert.Equal(new[] { 25.0, 50.0, 0.0 }, question.Options.Select(o => o.PickPercent));
+        }
+
+        [Fact]
+        public async Task GetQuizAnalyticsAsync_ShouldReturnEmptyStats_WhenNoAttempts()
+        {
+            using var context = TestDbContextFactory.Create();
+            var quiz = CreateQuiz();
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+            var service = new AnalyticsService(new AttemptRepository(context));
+
+            var stats = await service.GetQuizAnalyticsAsync(quiz);
+
+            Assert.Equal(0, stats.AttemptCount);
+            Assert.Equal(0, stats.AverageScorePercent);
+            Assert.All(stats.ScoreDistribution, count => Assert.Equal(0, count));
+            Assert.All(stats.Questions.Single().Options, o => Assert.Equal(0, o.PickPercent));
+        }
+    }
+}
@@ -0,0 +1,499 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using QuizApp.Data.Repositories.Implementations;
+using QuizApp.Models;
+using QuizApp.Services.Implementations;
+using QuizApp.Tests.TestHelpers;
+using Xunit;
+
+namespace QuizApp.Tests.Services
+{
+    public class AttemptServiceTests
+    {
+        private static Quiz CreateQuiz(int? timeLimitMinutes = null)
+        {
+            return new Quiz
+            {
+                Title = "Capitals",
+                TimeLimitMinutes = timeLimitMinutes,
+                Questions = new List<Question>
+                {
+                    new Question
+                    {
+                        Text = "Capital of Norway?",
+                        Points = 2,
+                        Options = new List<Option>
+                        {
+                            new Option { Text = "Oslo", IsCorrect = true },
+                            new Option { Text = "Bergen" }
+                        }
+                    }
+                }
+            };
+        }
+
+        [Fact]
+        public async Task FinishAsync_ShouldScoreAnswers_WhenWithinTimeLimit()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz(timeLimitMinutes: 5);
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            var question = quiz.Questions.Single();
+            var correct = question.Options.Single(o => o.IsCorrect);
+            await service.FinishAsync(attempt, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = question.Id, OptionIds = new List<int> { correct.Id } }
+            });
+
+            Assert.False(attempt.TimedOut);
+            Assert.NotNull(attempt.SubmittedAt);
+            Assert.Equal(2, attempt.EarnedPoints);
+        }
+
+        [Fact]
+        public async Task FinishAsync_ShouldDropAnswers_WhenPastDeadline()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz(timeLimitMinutes: 1);
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            attempt.StartedAt = DateTime.UtcNow.AddMinutes(-2);
+            var question = quiz.Questions.Single();
+            var correct = question.Options.Single(o => o.IsCorrect);
+            await service.FinishAsync(attempt, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = question.Id, OptionIds = new List<int> { correct.Id } }
+            });
+
+            Assert.True(attempt.TimedOut);
+            Assert.Equal(0, attempt.EarnedPoints);
+            Assert.Equal(2, attempt.TotalPoints);
+            Assert.Empty(attempt.Answers.Single().SelectedOptionIds);
+        }
+
+        [Fact]
+        public async Task FinishAsync_ShouldCountSavedDraft_WhenPastDeadline()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz(timeLimitMinutes: 1);
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            var question = quiz.Questions.Single();
+            var correct = question.Options.Single(o => o.IsCorrect);
+            var saved = await service.SaveDraftAsync(attempt, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = question.Id, OptionIds = new List<int> { correct.Id } }
+            });
+            attempt.StartedAt = DateTime.UtcNow.AddMinutes(-2);
+            await service.FinishAsync(attempt, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = question.Id, OptionIds = new List<int> { correct.Id + 1 } }
+            });
+
+            Assert.True(saved);
+            Assert.True(attempt.TimedOut);
+            Assert.Equal(2, attempt.EarnedPoints);
+            Assert.Single(context.AttemptAnswers);
+        }
+
+        [Fact]
+        public async Task FinishAsync_ShouldKeepSavedDraft_ForQuestionPastItsOwnTimeLimit()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz();
+            quiz.Questions.Add(new Question
+            {
+                Text = "Capital of Sweden?",
+                Points = 3,
+                TimeLimitSeconds = 30,
+                Options = new List<Option>
+                {
+                    new Option { Text = "Stockholm", IsCorrect = true },
+                    new Option { Text = "Malmö" }
+                }
+            });
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            var untimed = quiz.Questions[0];
+            var timed = quiz.Questions[1];
+            await service.SaveDraftAsync(attempt, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = timed.Id, OptionIds = new List<int> { timed.Options.Single(o => !o.IsCorrect).Id } }
+            });
+            attempt.StartedAt = DateTime.UtcNow.AddMinutes(-2);
+            await service.FinishAsync(attempt, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = untimed.Id, OptionIds = new List<int> { untimed.Options.Single(o => o.IsCorrect).Id } },
+                new AnswerSubmission { QuestionId = timed.Id, OptionIds = new List<int> { timed.Options.Single(o => o.IsCorrect).Id } }
+            });
+
+            Assert.True(service.RequiresStart(quiz));
+            Assert.False(attempt.TimedOut);
+            Assert.Equal(2, attempt.EarnedPoints);
+            Assert.Equal(5, attempt.TotalPoints);
+        }
+
+        [Fact]
+        public async Task FinishAsync_ShouldRunQuestionLimitsOneAfterTheOther()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = new Quiz { Title = "Quick fire" };
+            for (var i = 1; i <= 3; i++)
+            {
+                quiz.Questions.Add(new Question
+                {
+                    Text = $"Question {i}",
+                    TimeLimitSeconds = 60,
+                    Options = new List<Option>
+                    {
+                        new Option { Text = "Right", IsCorrect = true },
+                        new Option { Text = "Wrong" }
+                    }
+                });
+            }
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            // 90 seconds in: the first question's minute is over, the second one's is running and the third one's is still to come
+            var attempt = await service.StartAsync(quiz, "user-1");
+            attempt.StartedAt = DateTime.UtcNow.AddSeconds(-90);
+            var answers = quiz.Questions
+                .Select(q => new AnswerSubmission { QuestionId = q.Id, OptionIds = new List<int> { q.Options.Single(o => o.IsCorrect).Id } })
+                .ToList();
+
+            var saved = await service.SaveDraftAsync(attempt, quiz, answers);
+            Assert.True(saved);
+            Assert.Empty(attempt.Answers.Single(a => a.QuestionId == quiz.Questions[0].Id).SelectedOptionIds);
+            Assert.Single(attempt.Answers.Single(a => a.QuestionId == quiz.Questions[1].Id).SelectedOptionIds);
+
+            await service.FinishAsync(attempt, quiz, answers);
+
+            Assert.False(attempt.TimedOut);
+            Assert.Equal(2, attempt.EarnedPoints);
+            Assert.Equal(3, attempt.TotalPoints);
+        }
+
+        [Fact]
+        public async Task FinishAsync_ShouldTakeOffHintCost_OnceForRevealedHint()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz();
+            var question = quiz.Questions.Single();
+            question.Hint = "It's on the east coast";
+            question.HintCost = 0.5;
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            await service.RevealHintAsync(attempt, quiz, question);
+            await service.RevealHintAsync(attempt, quiz, question);
+            var correct = question.Options.Single(o => o.IsCorrect);
+            await service.FinishAsync(attempt, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = question.Id, OptionIds = new List<int> { correct.Id } }
+            });
+
+            Assert.Equal(new List<int> { question.Id }, attempt.HintQuestionIds);
+            Assert.Equal(1.5, attempt.EarnedPoints);
+            Assert.Equal(0.5, attempt.Answers.Single().HintCost);
+            Assert.True(attempt.Answers.Single().IsCorrect);
+        }
+
+        [Fact]
+        public async Task SaveDraftAsync_ShouldStoreAnswersWithoutGrading()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz();
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            var question = quiz.Questions.Single();
+            var correct = question.Options.Single(o => o.IsCorrect);
+            await service.SaveDraftAsync(attempt, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = question.Id, OptionIds = new List<int> { correct.Id } }
+            });
+
+            var draft = service.GetDraftAnswers(attempt).Single();
+            Assert.Null(attempt.SubmittedAt);
+            Assert.False(attempt.Answers.Single().IsCorrect);
+            Assert.Equal(new List<int> { correct.Id }, draft.OptionIds);
+        }
+
+        [Fact]
+        public async Task StartAsync_ShouldResumeUnfinishedAttempt_OnSameQuiz()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz();
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var first = await service.StartAsync(quiz, "user-1");
+            var question = quiz.Questions.Single();
+            await service.SaveDraftAsync(first, quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = question.Id, OptionIds = new List<int> { question.Options[0].Id } }
+            });
+            var second = await service.StartAsync(quiz, "user-1");
+
+            Assert.Equal(first.Id, second.Id);
+            Assert.Single(context.Attempts);
+            Assert.Single(context.AttemptAnswers);
+        }
+
+        [Fact]
+        public async Task StartOverAsync_ShouldDiscardUnfinishedAttempt_OnSameQuiz()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz();
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var first = await service.StartAsync(quiz, "user-1");
+            var second = await service.StartOverAsync(quiz, "user-1");
+
+            Assert.Equal(second.Id, context.Attempts.Single().Id);
+            Assert.NotEqual(first.Id, second.Id);
+        }
+
+        private static Quiz CreateShuffledQuiz(bool shuffle)
+        {
+            var quiz = new Quiz { Title = "Shuffled", ShuffleQuestions = shuffle, ShuffleOptions = shuffle };
+            for (var i = 1; i <= 8; i++)
+            {
+                quiz.Questions.Add(new Question
+                {
+                    Id = i,
+                    Text = $"Question {i}",
+                    Options = Enumerable.Range(1, 4).Select(j => new Option { Id = i * 10 + j, Text = $"Option {j}" }).ToList()
+                });
+            }
+            return quiz;
+        }
+
+        [Fact]
+        public void OrderQuestions_ShouldGiveSameOrder_ForSameSeed()
+        {
+            var service = new AttemptService(new AttemptRepository(TestDbContextFactory.Create()), new ScoringService());
+            var quiz = CreateShuffledQuiz(shuffle: true);
+            var attempt = new Attempt { ShuffleSeed = 12345 };
+
+            var first = service.OrderQuestions(quiz, attempt).Select(q => q.Id).ToList();
+            var second = service.OrderQuestions(quiz, new Attempt { ShuffleSeed = 12345 }).Select(q => q.Id).ToList();
+            var options = service.OrderOptions(quiz, quiz.Questions[0], attempt).Select(o => o.Id).ToList();
+
+            Assert.Equal(first, second);
+            Assert.Equal(Enumerable.Range(1, 8), first.OrderBy(id => id));
+            Assert.Equal(options, service.OrderOptions(quiz, quiz.Questions[0], attempt).Select(o => o.Id));
+        }
+
+        [Fact]
+        public void OrderQuestions_ShouldKeepAuthoredOrder_WhenNotShuffled()
+        {
+            var service = new AttemptService(new AttemptRepository(TestDbContextFactory.Create()), new ScoringService());
+            var quiz = CreateShuffledQuiz(shuffle: false);
+            var attempt = new Attempt { ShuffleSeed = 12345 };
+
+            Assert.Equal(Enumerable.Range(1, 8), service.OrderQuestions(quiz, attempt).Select(q => q.Id));
+            Assert.Equal(new[] { 11, 12, 13, 14 }, service.OrderOptions(quiz, quiz.Questions[0], attempt).Select(o => o.Id));
+        }
+
+        private static Quiz CreatePooledQuiz(int drawCount, bool perTag)
+        {
+            var quiz = new Quiz { Title = "Pool", DrawCount = drawCount, DrawPerTag = perTag };
+            for (var i = 1; i <= 9; i++)
+            {
+                quiz.Questions.Add(new Question
+                {
+                    Text = $"Question {i}",
+                    Points = 1,
+                    Tag = i <= 3 ? "Geography" : i <= 6 ? "history" : null,
+                    Options = new List<Option>
+                    {
+                        new Option { Text = "Right", IsCorrect = true },
+                        new Option { Text = "Wrong" }
+                    }
+                });
+            }
+            return quiz;
+        }
+
+        [Fact]
+        public async Task StartAsync_ShouldDrawQuestions_WhenQuizHasPool()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreatePooledQuiz(drawCount: 4, perTag: false);
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+
+            Assert.Equal(4, attempt.QuestionIds.Distinct().Count());
+            Assert.All(attempt.QuestionIds, id => Assert.Contains(quiz.Questions, q => q.Id == id));
+            Assert.Equal(4, service.OrderQuestions(quiz, attempt).Count);
+            Assert.True(service.RequiresStart(quiz));
+        }
+
+        [Fact]
+        public async Task StartAsync_ShouldDrawFromEveryTag_WhenDrawingPerTag()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreatePooledQuiz(drawCount: 2, perTag: true);
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            var drawn = service.GetAttemptQuestions(quiz, attempt);
+
+            Assert.Equal(6, drawn.Count);
+            Assert.Equal(2, drawn.Count(q => q.Tag == "Geography"));
+            Assert.Equal(2, drawn.Count(q => q.Tag == "history"));
+            Assert.Equal(2, drawn.Count(q => q.Tag == null));
+        }
+
+        [Fact]
+        public async Task FinishAsync_ShouldOnlyCountDrawnQuestions()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreatePooledQuiz(drawCount: 3, perTag: false);
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            // Answer every question correctly, drawn or not
+            var answers = quiz.Questions.Select(q => new AnswerSubmission
+            {
+                QuestionId = q.Id,
+                OptionIds = new List<int> { q.Options.Single(o => o.IsCorrect).Id }
+            });
+            await service.FinishAsync(attempt, quiz, answers);
+
+            Assert.Equal(3, attempt.TotalPoints);
+            Assert.Equal(3, attempt.EarnedPoints);
+            Assert.Equal(attempt.QuestionIds.OrderBy(id => id), attempt.Answers.Select(a => a.QuestionId).OrderBy(id => id));
+        }
+
+        [Fact]
+        public void GetTimeLimit_ShouldSumQuestionLimits_WhenEveryQuestionIsTimed()
+        {
+            var service = new AttemptService(new AttemptRepository(TestDbContextFactory.Create()), new ScoringService());
+            var quiz = new Quiz
+            {
+                Title = "Quick fire",
+                Questions = new List<Question>
+                {
+                    new Question { Text = "One", TimeLimitSeconds = 20 },
+                    new Question { Text = "Two", TimeLimitSeconds = 40 }
+                }
+            };
+
+            Assert.Equal(TimeSpan.FromSeconds(60), service.GetTimeLimit(quiz));
+
+            quiz.Questions.Add(new Question { Text = "Three" });
+            Assert.Null(service.GetTimeLimit(quiz));
+
+            quiz.TimeLimitMinutes = 10;
+            Assert.Equal(TimeSpan.FromMinutes(10), service.GetTimeLimit(quiz));
+        }
+
+        [Fact]
+        public void GetClosedReason_ShouldOnlyAllowPublishedQuizzes_WithinOpeningHours()
+        {
+            var service = new AttemptService(new AttemptRepository(TestDbContextFactory.Create()), new ScoringService());
+            var quiz = CreateQuiz();
+
+            Assert.Equal("This quiz is not open to players.", service.GetClosedReason(quiz));
+
+            quiz.Status = QuizStatus.Published;
+            quiz.OpensAt = DateTime.UtcNow.AddHours(2);
+            Assert.Equal("This quiz is not open yet.", service.GetClosedReason(quiz));
+
+            quiz.OpensAt = DateTime.UtcNow.AddHours(-2);
+            quiz.ClosesAt = DateTime.UtcNow.AddHours(1);
+            Assert.Null(service.GetClosedReason(quiz));
+            Assert.True(service.IsOpen(quiz));
+            Assert.True(service.RequiresStart(quiz));
+
+            quiz.ClosesAt = DateTime.UtcNow.AddMinutes(-1);
+            Assert.Equal("This quiz has closed.", service.GetClosedReason(quiz));
+        }
+
+        [Fact]
+        public async Task GetAllowanceAsync_ShouldEnforceAttemptLimitAndCooldown()
+        {
+            using var context = TestDbContextFactory.Create();
+            var service = new AttemptService(new AttemptRepository(context), new ScoringService());
+            var quiz = CreateQuiz();
+            quiz.MaxAttempts = 2;
+            quiz.CooldownMinutes = 10;
+            context.Quizzes.Add(quiz);
+            await context.SaveChangesAsync();
+
+            Assert.True((await service.GetAllowanceAsync(quiz, "user-1")).CanStart);
+
+            var attempt = await service.StartAsync(quiz, "user-1");
+            Assert.Equal("Finish the attempt you already started first.", (await service.GetAllowanceAsync(quiz, "user-1")).Reason);
+
+            await service.FinishAsync(attempt, quiz, new List<AnswerSubmission>());
+            var cooling = await service.GetAllowanceAsync(quiz, "user-1");
+            Assert.False(cooling.CanStart);
+            Assert.Equal(1, cooling.AttemptsUsed);
+            Assert.Equal(attempt.SubmittedAt!.Value.AddMinutes(10), cooling.NextAttemptAt);
+
+            attempt.SubmittedAt = DateTime.UtcNow.AddMinutes(-11);
+            await context.SaveChangesAsync();
+            Assert.True((await service.GetAllowanceAsync(quiz, "user-1")).CanStart);
+
+            await service.SubmitAsync(quiz, "user-1", new List<AnswerSubmission>());
+            var used = await service.GetAllowanceAsync(quiz, "user-1");
+            Assert.Equal("You have used all 2 attempts at this quiz.", used.Reason);
+            Assert.True((await service.GetAllowanceAsync(quiz, "user-2")).CanStart);
+        }
+
+        [Fact]
+        public void GetDeadline_ShouldEndAtClosingTime_WhenQuizClosesFirst()
+        {
+            var service = new AttemptService(new AttemptRepository(TestDbContextFactory.Create()), new ScoringService());
+            var startedAt = new DateTime(2026, 10, 20, 9, 0, 0, DateTimeKind.Utc);
+            var attempt = new Attempt { StartedAt = startedAt };
+            var quiz = CreateQuiz(timeLimitMinutes: 60);
+
+            quiz.ClosesAt = startedAt.AddMinutes(30);
+            Assert.Equal(startedAt.AddMinutes(30), service.GetDeadline(attempt, quiz));
+
+            quiz.ClosesAt = startedAt.AddHours(2);
+            Assert.Equal(startedAt.AddHours(1), service.GetDeadline(attempt, quiz));
+
+            quiz.TimeLimitMinutes = null;
+            Assert.Equal(startedAt.AddHours(2), service.GetDeadline(attempt, quiz));
+
+            // Started after closing, as only admins can
+            quiz.ClosesAt = startedAt.AddMinutes(-5);
+            Assert.Null(service.GetDeadline(attempt, quiz));
+        }
+    }
+}
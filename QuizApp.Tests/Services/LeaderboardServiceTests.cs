@@ -0,0 +1,161 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using QuizApp.Data;
+using QuizApp.Data.Repositories.Implementations;
+using QuizApp.Models;
+using QuizApp.Services.Implementations;
+using QuizApp.Tests.TestHelpers;
+using Xunit;
+
+namespace QuizApp.Tests.Services
+{
+    public class LeaderboardServiceTests
+    {
+        private static void AddAttempt(QuizContext context, int quizId, string userId, double earned, int total, int minutes, int daysAgo = 0)
+        {
+            var submittedAt = DateTime.UtcNow.AddDays(-daysAgo);
+            context.Attempts.Add(new Attempt
+            {
+                QuizId = quizId,
+                UserId = userId,
+                StartedAt = submittedAt.AddMinutes(-minutes),
+                SubmittedAt = submittedAt,
+                EarnedPoints = earned,
+                TotalPoints = total
+            });
+        }
+
+        private static async Task<(Quiz First, Quiz Second)> SeedAsync(QuizContext context)
+        {
+            var first = new Quiz { Title = "Capitals", Status = QuizStatus.Published };
+            var second = new Quiz { Title = "Rivers", Status = QuizStatus.Published };
+            context.Quizzes.AddRange(first, second);
+            context.Users.AddRange(
+                new ApplicationUser { Id = "ann", UserName = "ann@example.com" },
+                new ApplicationUser { Id = "bob", UserName = "bob" },
+                new ApplicationUser { Id = "cid", UserName = "cid@example.com" });
+            await context.SaveChangesAsync();
+            return (first, second);
+        }
+
+        [Fact]
+        public async Task GetQuizLeaderboardAsync_ShouldRankBestAttempts_ThenByTime()
+        {
+            using var context = TestDbContextFactory.Create();
+            var (quiz, other) = await SeedAsync(context);
+            AddAttempt(context, quiz.QuizId, "ann", 4, 5, minutes: 3);
+            AddAttempt(context, quiz.QuizId, "ann", 5, 5, minutes: 9);
+            AddAttempt(context, quiz.QuizId, "bob", 5, 5, minutes: 4);
+            AddAttempt(context, quiz.QuizId, "cid", 2, 5, minutes: 1);
+            AddAttempt(context, other.QuizId, "cid", 9, 10, minutes: 1);
+            await context.SaveChangesAsync();
+            var service = new LeaderboardService(new AttemptRepository(context));
+
+            var entries = await service.GetQuizLeaderboardAsync(quiz.QuizId, LeaderboardPeriod.AllTime, 10);
+
+            Assert.Equal(new[] { "bob", "ann", "cid" }, entries.Select(e => e.UserName));
+            Assert.Equal(new[] { 1, 2, 3 }, entries.Select(e => e.Rank));
+            Assert.Equal(TimeSpan.FromMinutes(9), entries[1].Duration);
+        }
+
+        [Fact]
+        public async Task GetGlobalLeaderboardAsync_ShouldAddUpBestAttemptPerQuiz()
+        {
+            using var context = TestDbContextFactory.Create();
+            var (first, second) = await SeedAsync(context);
+            AddAttempt(context, first.QuizId, "ann", 3, 5, minutes: 2);
+            AddAttempt(context, first.QuizId, "ann", 5, 5, minutes: 2);
+            AddAttempt(context, second.QuizId, "ann", 2, 10, minutes: 2);
+            AddAttempt(context, first.QuizId, "bob", 5, 5, minutes: 1);
+            AddAttempt(context, second.QuizId, "bob", 1, 10, minutes: 1);
+            await context.SaveChangesAsync();
+            var service = new LeaderboardService(new AttemptRepository(context));
+
+            var entries = await service.GetGlobalLeaderboardAsync(LeaderboardPeriod.AllTime, 1);
+
+            var top = Assert.Single(entries);
+            Assert.Equal("ann", top.UserName);
+            Assert.Equal(7, top.EarnedPoints);
+            Assert.Equal(15, top.TotalPoints);
+            Assert.Equal(2, top.QuizCount);
+        }
+
+        [Fact]
+        public async Task GetQuizLeaderboardAsync_ShouldOnlyCountThisWeek_WhenPeriodIsWeek()
+        {
+            using var context = TestDbContextFactory.Create();
+            var (quiz, _) = await SeedAsync(context);
+            AddAttempt(context, quiz.QuizId, "ann", 5, 5, minutes: 1, daysAgo: 8);
+            AddAttempt(context, quiz.QuizId, "bob", 1, 5, minutes: 1);
+            await context.SaveChangesAsync();
+            var service = new LeaderboardService(new AttemptRepository(context));
+
+            var entries = await service.GetQuizLeaderboardAsync(quiz.QuizId, LeaderboardPeriod.Week, 10);
+
+            Assert.Equal("bob", Assert.Single(entries).UserName);
+            Assert.Equal(new DateTime(2026, 10, 19, 0, 0, 0, DateTimeKind.Utc),
+                service.GetPeriodStart(LeaderboardPeriod.Week, new DateTime(2026, 10, 25, 23, 0, 0, DateTimeKind.Utc)));
+        }
+
+        [Fact]
+        public async Task GetQuizLeaderboardAsync_ShouldPutUntimedAttemptsAfterTimedOnes_OnEqualScores()
+        {
+            using var context = TestDbContextFactory.Create();
+            var (quiz, _) = await SeedAsync(context);
+            AddAttempt(context, quiz.QuizId, "ann", 5, 5, minutes: 0);
+            AddAttempt(context, quiz.QuizId, "bob", 5, 5, minutes: 7);
+            await context.SaveChangesAsync();
+            var service = new LeaderboardService(new AttemptRepository(context));
+
+            var entries = await service.GetQuizLeaderboardAsync(quiz.QuizId, LeaderboardPeriod.AllTime, 10);
+
+            Assert.Equal(new[] { "bob", "ann" }, entries.Select(e => e.UserName));
+            Assert.Null(entries[1].Duration);
+        }
+
+        [Fact]
+        public async Task GetGlobalLeaderboardAsync_ShouldLeaveOutQuizzesThatAreNotPublished()
+        {
+            using var context = TestDbContextFactory.Create();
+            var (first, second) = await SeedAsync(context);
+            AddAttempt(context, first.QuizId, "ann", 2, 5, minutes: 2);
+            AddAttempt(context, second.QuizId, "bob", 10, 10, minutes: 2);
+            second.Status = QuizStatus.Draft;
+            await context.SaveChangesAsync();
+            var service = new LeaderboardService(new AttemptRepository(context));
+
+            var entries = await service.GetGlobalLeaderboardAsync(LeaderboardPeriod.AllTime, 10);
+
+            Assert.Equal("ann", Assert.Single(entries).UserName);
+        }
+
+        [Fact]
+        public async Task GetQuizLeaderboardAsync_ShouldCountAttemptsByGradingPolicy()
+        {
+            using var context = TestDbContextFactory.Create();
+            var (quiz, _) = await SeedAsync(context);
+            AddAttempt(context, quiz.QuizId, "ann", 5, 5, minutes: 2, daysAgo: 2);
+            AddAttempt(context, quiz.QuizId, "ann", 2, 5, minutes: 4);
+            AddAttempt(context, quiz.QuizId, "bob", 4, 5, minutes: 5);
+            await context.SaveChangesAsync();
+            var service = new LeaderboardService(new AttemptRepository(context));
+
+            quiz.GradingPolicy = GradingPolicy.Latest;
+            await context.SaveChangesAsync();
+            var latest = await service.GetQuizLeaderboardAsync(quiz.QuizId, LeaderboardPeriod.AllTime, 10);
+
+            Assert.Equal(new[] { "bob", "ann" }, latest.Select(e => e.UserName));
+            Assert.Equal(2, latest[1].EarnedPoints);
+
+            quiz.GradingPolicy = GradingPolicy.Average;
+            await context.SaveChangesAsync();
+            var average = await service.GetQuizLeaderboardAsync(quiz.QuizId, LeaderboardPeriod.AllTime, 10);
+
+            Assert.Equal(new[] { "bob", "ann" }, average.Select(e => e.UserName));
+            Assert.Equal(3.5, average[1].EarnedPoints);
+            Assert.Equal(TimeSpan.FromMinutes(3), average[1].Duration);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+using System.Collections.Generic;
+using System.Linq;
+using System.Text;
+using QuizApp.Data.Repositories.Implementations;
+using QuizApp.Models;
+using QuizApp.Services.Implementations;
+using QuizApp.Tests.TestHelpers;
+using Xunit;
+
+namespace QuizApp.Tests.Services
+{
+    public class QuizSheetServiceTests
+    {
+        private static QuizSheetService CreateService()
+        {
+            return new QuizSheetService(new AttemptService(new AttemptRepository(TestDbContextFactory.Create()), new ScoringService()));
+        }
+
+        private static Quiz CreateQuiz()
+        {
+            var quiz = new Quiz { QuizId = 7, Title = "Nordics" };
+            for (var i = 1; i <= 6; i++)
+            {
+                quiz.Questions.Add(new Question
+                {
+                    Id = i,
+                    Text = $"Question {i}",
+                    Points = 2,
+                    Options = Enumerable.Range(1, 4).Select(j => new Option { Id = i * 10 + j, Text = $"Option {j}", IsCorrect = j == 3 }).ToList()
+                });
+            }
+            quiz.Questions.Add(new Question
+            {
+                Id = 7,
+                Text = "Order from north to south",
+                Type = QuestionType.Ordering,
+                Options = new List<Option>
+                {
+                    new Option { Id = 71, Text = "Tromsø" },
+                    new Option { Id = 72, Text = "Oslo" }
+                }
+            });
+            return quiz;
+        }
+
+        [Fact]
+        public void Build_ShouldKeepAuthoredOrder_WhenPrintingOneSheet()
+        {
+            var sheet = CreateService().Build(CreateQuiz(), 1);
+
+            var variant = Assert.Single(sheet.Variants);
+            Assert.Null(variant.Name);
+            Assert.Equal(13, sheet.TotalPoints);
+            Assert.Equal(Enumerable.Range(1, 7), variant.Questions.Select(q => q.QuestionId));
+            Assert.Equal(new[] { "A", "B", "C", "D" }, variant.Questions[0].Options.Select(o => o.Letter));
+            Assert.Equal("C", variant.Questions[0].Answer);
+        }
+
+        [Fact]
+        public void Build_ShouldShuffleVariants_WithMatchingAnswerKeys()
+        {
+            var service = CreateService();
+            var sheet = service.Build(CreateQuiz(), 2);
+            var again = service.Build(CreateQuiz(), 2);
+
+            Assert.Equal(new[] { "A", "B" }, sheet.Variants.Select(v => v.Name));
+            Assert.NotEqual(sheet.Variants[0].Questions.Select(q => q.QuestionId), sheet.Variants[1].Questions.Select(q => q.QuestionId));
+            Assert.Equal(sheet.Variants[1].Questions.Select(q => q.Answer), again.Variants[1].Questions.Select(q => q.Answer));
+
+            foreach (var question in sheet.Variants.SelectMany(v => v.Questions))
+            {
+                if (question.Type == QuestionType.Ordering)
+                {
+                    var expected = string.Join(", ", new[] { "Tromsø", "Oslo" }.Select(t => question.Options.Single(o => o.Text == t).Letter));
+                    Assert.Equal(expected, question.Answer);
+                }
+                else
+                {
+                    Assert.Equal(question.Options.Single(o => o.Text == "Option 3").Letter, question.Answer);
+                }
+            }
+        }
+
+        [Fact]
+        public void RenderPdf_ShouldWriteVariantsAndKeys()
+        {
+            var service = CreateService();
+
+            var pdf = service.RenderPdf(service.Build(CreateQuiz(), 2));
+            var text = Encoding.Latin1.GetString(pdf);
+
+            Assert.StartsWith("%PDF-1.4", text);
+            Assert.EndsWith("%%EOF\n", text);
+            Assert.Contains("(Nordics - Variant B)", text);
+            Assert.Contains("(Answer key: Nordics - Variant A)", text);
+            Assert.Contains("Tromsø", text);
+        }
+    }
+}
@@ -0,0 +1,214 @@
+using System.Collections.Generic;
+using System.Linq;
+using QuizApp.Models;
+using QuizApp.Services.Implementations;
+using Xunit;
+
+namespace QuizApp.Tests.Services
+{
+    public class QuizTransferServiceTests
+    {
+        [Fact]
+        public void ReadJson_ShouldRecreateExportedQuiz()
+        {
+            var service = new QuizTransferService();
+            var quiz = new Quiz
+            {
+                Title = "Nordics",
+                DrawCount = 1,
+                MaxAttempts = 3,
+                GradingPolicy = GradingPolicy.Latest,
+                PassPercent = 50,
+                PenaltyPercent = 25,
+                PenaltyFloor = PenaltyFloor.PerQuestion,
+                GradeBands = new List<GradeBand>
+                {
+                    new GradeBand { Label = "Pass", MinPercent = 50 },
+                    new GradeBand { Label = "Merit", MinPercent = 75 }
+                },
+                Questions = new List<Question>
+                {
+                    new Question
+                    {
+                        Text = "Order from north to south",
+                        Type = QuestionType.Ordering,
+                        ScoringMode = ScoringMode.PartialCredit,
+                        Points = 2.5,
+                        Penalty = 0.5,
+                        Tag = "geography",
+                        Options = new List<Option>
+                        {
+                            new Option { Text = "Oslo", Order = 1 },
+                            new Option { Text = "Tromsø", Order = 0, Feedback = "The furthest north of the two" }
+                        }
+                    },
+                    new Question
+                    {
+                        Text = "Pi to two decimals?",
+                        Type = QuestionType.Numeric,
+                        NumericAnswer = 3.14,
+                        Tolerance = 0.01
+                    }
+                }
+            };
+
+            var import = service.ReadJson(service.ToJson(service.Export(quiz)));
+
+            Assert.Empty(import.Errors);
+            var copy = import.Quiz!;
+            Assert.Equal("Nordics", copy.Title);
+            Assert.Equal(1, copy.DrawCount);
+            Assert.Equal(3, copy.MaxAttempts);
+            Assert.Equal(GradingPolicy.Latest, copy.GradingPolicy);
+            Assert.Equal(50, copy.PassPercent);
+            Assert.Equal(25, copy.PenaltyPercent);
+            Assert.Equal(PenaltyFloor.PerQuestion, copy.PenaltyFloor);
+            Assert.Equal(2.5, copy.Questions[0].Points);
+            Assert.Equal(0.5, copy.Questions[0].Penalty);
+            Assert.Equal(new[] { "Merit", "Pass" }, copy.GradeBands.Select(b => b.Label));
+            Assert.Equal(QuestionType.Ordering, copy.Questions[0].Type);
+            Assert.Equal(ScoringMode.PartialCredit, copy.Questions[0].ScoringMode);
+            Assert.Equal("geography", copy.Questions[0].Tag);
+            Assert.Equal(new[] { "Tromsø", "Oslo" }, copy.Questions[0].Options.OrderBy(o => o.Order).Select(o => o.Text));
+            Assert.Equal("The furthest north of the two", copy.Questions[0].Options.Single(o => o.Text == "Tromsø").Feedback);
+            Assert.Equal(3.14, copy.Questions[1].NumericAnswer);
+        }
+
+        [Fact]
+        public void ReadJson_ShouldReportLineOfInvalidValues()
+        {
+            var service = new QuizTransferService();
+            var json = string.Join("\n",
+                "{",
+                "  \"version\": 1,",
+                "  \"title\": \"Capitals\",",
+                "  \"questions\": [",
+                "    {",
+                "      \"text\": \"Capital of Norway?\",",
+                "      \"points\": 900,",
+                "      \"options\": [",
+                "        { \"text\": \"Oslo\", \"isCorrect\": true },",
+                "        { \"text\": \"\" }",
+                "      ]",
+                "    },",
+                "    { \"text\": \"Capital of Sweden?\", \"type\": \"Essay\" }",
+                "  ]",
+                "}");
+
+            var import = service.ReadJson(json);
+
+            Assert.Null(import.Quiz);
+            Assert.Contains(import.Errors, e => e.Line == 7 && e.Path == "$.questions[0].points");
+            Assert.Contains(import.Errors, e => e.Line == 10 && e.Path == "$.questions[0].options[1].text");
+            Assert.Contains(import.Errors, e => e.Line == 13 && e.Path == "$.questions[1].type");
+        }
+
+        [Fact]
+        public void ReadJson_ShouldReportLine_WhenJsonIsMalformed()
+        {
+            var service = new QuizTransferService();
+
+            var import = service.ReadJson("{\n  \"version\": 1,\n  \"title\": \"Capitals\"\n  \"questions\": []\n}");
+
+            var error = Assert.Single(import.Errors);
+            Assert.Null(import.Quiz);
+            Assert.Equal(4, error.Line);
+        }
+
+        [Fact]
+        public void Read_ShouldReadCsvRows_WhenAnswersAreLetters()
+        {
+            var service = new QuizTransferService();
+            var csv = string.Join("\n",
+                "Question,Type,Option A,Option B,Option C,Answer,Points",
+                "Capital of Norway?,,Oslo,Bergen,,A,2",
+                "\"Nordic capitals?\",multiple,Oslo,Stockholm,Berlin,A;B,1",
+                "Pi to two decimals?,numeric,,,,\"3,14\",1",
+                "Capital of Denmark?,,Copenhagen,Aarhus,,Z,1");
+
+            var import = service.Read(csv, QuizImportFormat.Csv, "Capitals");
+
+            Assert.Null(import.Quiz);
+            var questions = import.Document!.Questions;
+            Assert.Equal(4, questions.Count);
+            Assert.Equal("SingleChoice", questions[0].Type);
+            Assert.Equal(new[] { true, false }, questions[0].Options.Select(o => o.IsCorrect));
+            Assert.Equal(2, questions[0].Points);
+            Assert.Equal(new[] { true, true, false }, questions[1].Options.Select(o => o.IsCorrect));
+            Assert.Equal(3.14, questions[2].NumericAnswer);
+            Assert.All(import.Errors, e => Assert.Equal(5, e.Line));
+            Assert.NotEmpty(import.Errors);
+        }
+
+        [Fact]
+        public void Read_ShouldReadGiftQuestions_AndWarnAboutSkippedOnes()
+        {
+            var service = new QuizTransferService();
+            var gift = string.Join("\n",
+                "// Geography",
+                "$CATEGORY: $course$/top/Geography",
+                "",
+                "::Q1:: Capital of Norway? {=Oslo ~Bergen#Too far west}",
+                "",
+                "Oslo is the capital of Norway. {T}",
+                "",
+                "Pi to two decimals? {#3.14:0.005}",
+                "",
+                "Match the capitals. {",
+                "  =Norway -> Oslo",
+                "  =Sweden -> Stockholm",
+                "}",
+                "",
+                "Describe a fjord. {}");
+
+            var import = service.Read(gift, QuizImportFormat.Gift, "Geography");
+
+            Assert.Empty(import.Errors);
+            var quiz = import.Quiz!;
+            Assert.Equal(new[] { QuestionType.SingleChoice, QuestionType.SingleChoice, QuestionType.Numeric, QuestionType.Matching },
+                quiz.Questions.Select(q => q.Type));
+            Assert.Equal("Capital of Norway?", quiz.Questions[0].Text);
+            Assert.All(quiz.Questions, q => Assert.Equal("Geography", q.Tag));
+            Assert.Equal("Oslo", quiz.Questions[3].Options[0].MatchText);
+            Assert.Equal(10, import.Lines["$.questions[3]"]);
+            Assert.Equal("Too far west", quiz.Questions[0].Options[1].Feedback);
+            Assert.Null(quiz.Questions[0].Options[0].Feedback);
+            Assert.Contains(import.Warnings, w => w.Line == 15 && w.Message.Contains("essay"));
+        }
+
+        [Fact]
+        public void Read_ShouldReadMoodleXml_AndSkipUnsupportedTypes()
+        {
+            var service = new QuizTransferService();
+            var xml = string.Join("\n",
+                "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+                "<quiz>",
+                "  <question type=\"multichoice\">",
+                "    <name><text>Nordic capitals</text></name>",
+                "    <questiontext format=\"html\"><text><![CDATA[<p>Which are <b>Nordic</b> capitals?</p>]]></text></questiontext>",
+                "    <defaultgrade>2</defaultgrade>",
+                "    <single>false</single>",
+                "    <answer fraction=\"50\"><text>Oslo</text></answer>",
+                "    <answer fraction=\"50\"><text>Helsinki</text></answer>",
+                "    <answer fraction=\"-50\"><text>Berlin</text></answer>",
+                "  </question>",
+                "  <question type=\"essay\">",
+                "    <name><text>Fjords</text></name>",
+                "    <questiontext format=\"html\"><text>Describe a fjord.</text></questiontext>",
+                "  </question>",
+                "</quiz>");
+
+            var import = service.Read(xml, QuizImportFormat.MoodleXml, "Nordics");
+
+            Assert.Empty(import.Errors);
+            var question = Assert.Single(import.Quiz!.Questions);
+            Assert.Equal("Which are Nordic capitals?", question.Text);
+            Assert.Equal(QuestionType.MultipleChoice, question.Type);
+            Assert.Equal(ScoringMode.PartialCredit, question.ScoringMode);
+            Assert.Equal(2, question.Points);
+            Assert.Equal(new[] { true, true, false }, question.Options.Select(o => o.IsCorrect));
+            Assert.Contains(import.Warnings, w => w.Line == 3 && w.Message.Contains("HTML"));
+            Assert.Contains(import.Warnings, w => w.Line == 12 && w.Message.Contains("essay"));
+        }
+    }
+}
@@ -0,0 +1,430 @@
+using System.Collections.Generic;
+using System.Linq;
+using QuizApp.Models;
+using QuizApp.Services.Implementations;
+using Xunit;
+
+namespace QuizApp.Tests.Services
+{
+    public class ScoringServiceTests
+    {
+        private static Quiz CreateQuiz()
+        {
+            return new Quiz
+            {
+                QuizId = 1,
+                Title = "Capitals",
+                Questions = new List<Question>
+                {
+                    new Question
+                    {
+                        Id = 10,
+                        Text = "Capital of Norway?",
+                        Points = 2,
+                        Options = new List<Option>
+                        {
+                            new Option { Id = 100, Text = "Oslo", IsCorrect = true },
+                            new Option { Id = 101, Text = "Bergen" }
+                        }
+                    },
+                    new Question
+                    {
+                        Id = 11,
+                        Text = "Capital of Sweden?",
+                        Points = 3,
+                        Options = new List<Option>
+                        {
+                            new Option { Id = 110, Text = "Gothenburg" },
+                            new Option { Id = 111, Text = "Stockholm", IsCorrect = true }
+                        }
+                    }
+                }
+            };
+        }
+
+        [Fact]
+        public void Score_ShouldAwardPoints_ForCorrectAnswers()
+        {
+            var service = new ScoringService();
+
+            var result = service.Score(CreateQuiz(), new[]
+            {
+                new AnswerSubmission { QuestionId = 10, OptionIds = new List<int> { 100 } },
+                new AnswerSubmission { QuestionId = 11, OptionIds = new List<int> { 110 } }
+            });
+
+            Assert.Equal(5, result.TotalPoints);
+            Assert.Equal(2, result.EarnedPoints);
+            Assert.True(result.Questions.Single(q => q.QuestionId == 10).IsCorrect);
+            Assert.False(result.Questions.Single(q => q.QuestionId == 11).IsCorrect);
+        }
+
+        [Fact]
+        public void Score_ShouldCountUnansweredQuestions_InTotal()
+        {
+            var service = new ScoringService();
+
+            var result = service.Score(CreateQuiz(), new[]
+            {
+                new AnswerSubmission { QuestionId = 11, OptionIds = new List<int> { 111 } }
+            });
+
+            Assert.Equal(5, result.TotalPoints);
+            Assert.Equal(3, result.EarnedPoints);
+            Assert.Empty(result.Questions.Single(q => q.QuestionId == 10).SelectedOptionIds);
+        }
+
+        [Fact]
+        public void Score_ShouldIgnoreOptions_FromOtherQuestions()
+        {
+            var service = new ScoringService();
+
+            var result = service.Score(CreateQuiz(), new[]
+            {
+                new AnswerSubmission { QuestionId = 10, OptionIds = new List<int> { 111 } },
+                new AnswerSubmission { QuestionId = 999, OptionIds = new List<int> { 100 } }
+            });
+
+            Assert.Equal(0, result.EarnedPoints);
+            Assert.Equal(2, result.Questions.Count);
+            Assert.Empty(result.Questions.Single(q => q.QuestionId == 10).SelectedOptionIds);
+        }
+
+        private static Quiz CreateMultipleChoiceQuiz(ScoringMode mode)
+        {
+            return new Quiz
+            {
+                QuizId = 2,
+                Title = "Nordics",
+                Questions = new List<Question>
+                {
+                    new Question
+                    {
+                        Id = 20,
+                        Text = "Which are Nordic countries?",
+                        Type = QuestionType.MultipleChoice,
+                        ScoringMode = mode,
+                        Points = 4,
+                        Options = new List<Option>
+                        {
+                            new Option { Id = 200, Text = "Norway", IsCorrect = true },
+                            new Option { Id = 201, Text = "Finland", IsCorrect = true },
+                            new Option { Id = 202, Text = "Iceland", IsCorrect = true },
+                            new Option { Id = 203, Text = "Poland" }
+                        }
+                    }
+                }
+            };
+        }
+
+        [Fact]
+        public void Score_ShouldRequireEveryCorrectOption_WhenAllOrNothing()
+        {
+            var service = new ScoringService();
+            var quiz = CreateMultipleChoiceQuiz(ScoringMode.AllOrNothing);
+
+            var partial = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 20, OptionIds = new List<int> { 200, 201 } }
+            });
+            var full = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 20, OptionIds = new List<int> { 202, 201, 200 } }
+            });
+
+            Assert.Equal(0, partial.EarnedPoints);
+            Assert.False(partial.Questions.Single().IsCorrect);
+            Assert.Equal(4, full.EarnedPoints);
+            Assert.True(full.Questions.Single().IsCorrect);
+        }
+
+        [Fact]
+        public void Score_ShouldAwardShares_WhenPartialCredit()
+        {
+            var service = new ScoringService();
+            var quiz = CreateMultipleChoiceQuiz(ScoringMode.PartialCredit);
+
+            var twoOfThree = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 20, OptionIds = new List<int> { 200, 201 } }
+            });
+            var twoAndOneWrong = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 20, OptionIds = new List<int> { 200, 201, 203 } }
+            });
+            var onlyWrong = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 20, OptionIds = new List<int> { 203 } }
+            });
+
+            Assert.Equal(2.67, twoOfThree.EarnedPoints);
+            Assert.False(twoOfThree.Questions.Single().IsCorrect);
+            Assert.Equal(1.33, twoAndOneWrong.EarnedPoints);
+            Assert.Equal(0, onlyWrong.EarnedPoints);
+        }
+
+        [Fact]
+        public void Score_ShouldUseFirstOption_ForSingleChoiceQuestions()
+        {
+            var service = new ScoringService();
+
+            var result = service.Score(CreateQuiz(), new[]
+            {
+                new AnswerSubmission { QuestionId = 10, OptionIds = new List<int> { 101, 100 } }
+            });
+
+            Assert.Equal(0, result.EarnedPoints);
+            Assert.Equal(new List<int> { 101 }, result.Questions.Single(q => q.QuestionId == 10).SelectedOptionIds);
+        }
+
+        private static Quiz CreateTypedAnswerQuiz()
+        {
+            return new Quiz
+            {
+                QuizId = 3,
+                Title = "Typed answers",
+                Questions = new List<Question>
+                {
+                    new Question
+                    {
+                        Id = 30,
+                        Text = "Largest city in Norway?",
+                        Type = QuestionType.ShortText,
+                        Points = 1,
+                        Options = new List<Option>
+                        {
+                            new Option { Id = 300, Text = "Oslo", IsCorrect = true },
+                            new Option { Id = 301, Text = "Kristiania", IsCorrect = true }
+                        }
+                    },
+                    new Question
+                    {
+                        Id = 31,
+                        Text = "Name a colour of the Norwegian flag",
+                        Type = QuestionType.ShortText,
+                        AnswerPattern = "red|white|blue",
+                        Points = 1
+                    },
+                    new Question
+                    {
+                        Id = 32,
+                        Text = "Value of pi to two decimals?",
+                        Type = QuestionType.Numeric,
+                        NumericAnswer = 3.14,
+                        Tolerance = 0.01,
+                        Points = 2
+                    }
+                }
+            };
+        }
+
+        [Fact]
+        public void Score_ShouldNormalizeTextAnswers()
+        {
+            var service = new ScoringService();
+
+            var result = service.Score(CreateTypedAnswerQuiz(), new[]
+            {
+                new AnswerSubmission { QuestionId = 30, Text = "  oSLo " },
+                new AnswerSubmission { QuestionId = 31, Text = "Blue" }
+            });
+
+            Assert.True(result.Questions.Single(q => q.QuestionId == 30).IsCorrect);
+            Assert.Equal("oSLo", result.Questions.Single(q => q.QuestionId == 30).TextResponse);
+            Assert.True(result.Questions.Single(q => q.QuestionId == 31).IsCorrect);
+        }
+
+        [Fact]
+        public void Score_ShouldRespectCaseSensitivity_AndWholeMatchPatterns()
+        {
+            var service = new ScoringService();
+            var quiz = CreateTypedAnswerQuiz();
+            quiz.Questions[0].CaseSensitive = true;
+
+            var result = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 30, Text = "oslo" },
+                new AnswerSubmission { QuestionId = 31, Text = "reddish" }
+            });
+
+            Assert.False(result.Questions.Single(q => q.QuestionId == 30).IsCorrect);
+            Assert.False(result.Questions.Single(q => q.QuestionId == 31).IsCorrect);
+        }
+
+        [Fact]
+        public void Score_ShouldAcceptNumbers_WithinTolerance()
+        {
+            var service = new ScoringService();
+            var quiz = CreateTypedAnswerQuiz();
+
+            var within = service.Score(quiz, new[] { new AnswerSubmission { QuestionId = 32, Text = "3,15" } });
+            var outside = service.Score(quiz, new[] { new AnswerSubmission { QuestionId = 32, Text = "3.2" } });
+            var notANumber = service.Score(quiz, new[] { new AnswerSubmission { QuestionId = 32, Text = "pi" } });
+
+            Assert.Equal(2, within.EarnedPoints);
+            Assert.Equal(0, outside.EarnedPoints);
+            Assert.False(notANumber.Questions.Single(q => q.QuestionId == 32).IsCorrect);
+        }
+
+        private static Quiz CreateArrangeQuiz(ScoringMode mode)
+        {
+            return new Quiz
+            {
+                QuizId = 4,
+                Title = "Arrange",
+                Questions = new List<Question>
+                {
+                    new Question
+                    {
+                        Id = 40,
+                        Text = "Order from north to south",
+                        Type = QuestionType.Ordering,
+                        ScoringMode = mode,
+                        Points = 3,
+                        Options = new List<Option>
+                        {
+                            new Option { Id = 402, Text = "Oslo", Order = 2 },
+                            new Option { Id = 400, Text = "Tromsø", Order = 0 },
+                            new Option { Id = 401, Text = "Trondheim", Order = 1 }
+                        }
+                    },
+                    new Question
+                    {
+                        Id = 41,
+                        Text = "Match country to capital",
+                        Type = QuestionType.Matching,
+                        ScoringMode = mode,
+                        Points = 2,
+                        Options = new List<Option>
+                        {
+                            new Option { Id = 410, Text = "Norway", MatchText = "Oslo" },
+                            new Option { Id = 411, Text = "Sweden", MatchText = "Stockholm" }
+                        }
+                    }
+                }
+            };
+        }
+
+        [Fact]
+        public void Score_ShouldCompareOrder_ByOptionOrder()
+        {
+            var service = new ScoringService();
+
+            var result = service.Score(CreateArrangeQuiz(ScoringMode.AllOrNothing), new[]
+            {
+                new AnswerSubmission { QuestionId = 40, OptionIds = new List<int> { 400, 401, 402 } },
+                new AnswerSubmission
+                {
+                    QuestionId = 41,
+                    Matches = new Dictionary<int, string> { [410] = " oslo", [411] = "Oslo" }
+                }
+            });
+
+            Assert.True(result.Questions.Single(q => q.QuestionId == 40).IsCorrect);
+            Assert.False(result.Questions.Single(q => q.QuestionId == 41).IsCorrect);
+            Assert.Equal(3, result.EarnedPoints);
+        }
+
+        [Fact]
+        public void Score_ShouldAwardPerPositionAndPerPair_WhenPartialCredit()
+        {
+            var service = new ScoringService();
+
+            var result = service.Score(CreateArrangeQuiz(ScoringMode.PartialCredit), new[]
+            {
+                new AnswerSubmission { QuestionId = 40, OptionIds = new List<int> { 400, 402, 401 } },
+                new AnswerSubmission
+                {
+                    QuestionId = 41,
+                    Matches = new Dictionary<int, string> { [410] = "Oslo", [411] = "Oslo" }
+                }
+            });
+
+            var matching = result.Questions.Single(q => q.QuestionId == 41);
+            Assert.Equal(1, result.Questions.Single(q => q.QuestionId == 40).PointsAwarded);
+            Assert.Equal(1, matching.PointsAwarded);
+            Assert.Equal(new List<int> { 410, 411 }, matching.SelectedOptionIds);
+            Assert.Equal(new List<string> { "Oslo", "Oslo" }, matching.MatchedTexts);
+        }
+
+        [Fact]
+        public void Score_ShouldGradeAgainstPassMarkAndScale()
+        {
+            var service = new ScoringService();
+            var quiz = CreateQuiz();
+            quiz.PassPercent = 60;
+            quiz.GradeBands = new List<GradeBand>
+            {
+                new GradeBand { Label = "C", MinPercent = 50 },
+                new GradeBand { Label = "A", MinPercent = 80 },
+                new GradeBand { Label = "D", MinPercent = 20 }
+            };
+
+            var passed = service.Score(quiz, new[] { new AnswerSubmission { QuestionId = 11, OptionIds = new List<int> { 111 } } });
+            var failed = service.Score(quiz, new AnswerSubmission[0]);
+
+            Assert.Equal(60, passed.Percent);
+            Assert.True(passed.Passed);
+            Assert.Equal("C", passed.Grade);
+            Assert.False(failed.Passed);
+            Assert.Equal("D", failed.Grade);
+        }
+
+        [Fact]
+        public void Score_ShouldLeaveGradeEmpty_WhenQuizHasNoPassMarkOrScale()
+        {
+            var result = new ScoringService().Score(CreateQuiz(), new AnswerSubmission[0]);
+
+            Assert.Null(result.Passed);
+            Assert.Null(result.Grade);
+        }
+
+        [Fact]
+        public void Score_ShouldTakePointsOffForWrongAnswers_DownToZeroForTheQuiz()
+        {
+            var service = new ScoringService();
+            var quiz = CreateQuiz();
+            quiz.PenaltyPercent = 50;
+
+            var oneRightOneWrong = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 10, OptionIds = new List<int> { 100 } },
+                new AnswerSubmission { QuestionId = 11, OptionIds = new List<int> { 110 } }
+            });
+            var onlyWrong = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 11, OptionIds = new List<int> { 110 } }
+            });
+
+            var wrong = oneRightOneWrong.Questions.Single(q => q.QuestionId == 11);
+            Assert.Equal(-1.5, wrong.PointsAwarded);
+            Assert.Equal(1.5, wrong.Penalty);
+            Assert.Equal(0.5, oneRightOneWrong.EarnedPoints);
+            Assert.Equal(0, onlyWrong.Questions.Single(q => q.QuestionId == 10).Penalty);
+            Assert.Equal(0, onlyWrong.EarnedPoints);
+        }
+
+        [Fact]
+        public void Score_ShouldUseQuestionPenalty_DownToZeroPerQuestion()
+        {
+            var service = new ScoringService();
+            var quiz = CreateMultipleChoiceQuiz(ScoringMode.PartialCredit);
+            quiz.PenaltyPercent = 100;
+            quiz.PenaltyFloor = PenaltyFloor.PerQuestion;
+            quiz.Questions[0].Penalty = 1;
+
+            var twoOfThree = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 20, OptionIds = new List<int> { 200, 201 } }
+            });
+            var onlyWrong = service.Score(quiz, new[]
+            {
+                new AnswerSubmission { QuestionId = 20, OptionIds = new List<int> { 203 } }
+            });
+
+            Assert.Equal(1.67, twoOfThree.EarnedPoints);
+            Assert.Equal(0, onlyWrong.EarnedPoints);
+            Assert.Equal(0, onlyWrong.Questions.Single().PointsAwarded);
+        }
+    }
+}
@@ -1,7 +1,7 @@
 import axios from 'axios';
 
 const api = axios.create({
-  baseURL: 'https://localhost:5001/api/quiz', // adjust port if needed
+  baseURL: 'https://localhost:5001/api', // adjust port if needed
   withCredentials: true
 });
 
@@ -9,34 +9,96 @@ export interface QuizSummary {
   quizId: number;
   title: string;
   description: string | null;
+  timeLimitMinutes: number | null;
 }
 
+// Player-facing option: the server never says which option is correct
 export interface QuizOption {
   id: number;
   text: string;
-  isCorrect: boolean;
 }
 
+export type QuestionType = 'SingleChoice' | 'MultipleChoice' | 'ShortText' | 'Numeric' | 'Ordering' | 'Matching';
+
 export interface QuizQuestion {
   id: number;
   text: string;
+  type: QuestionType;
+  scoringMode: 'AllOrNothing' | 'PartialCredit';
   points: number;
+  // Counted from the start of the attempt
+  timeLimitSeconds: number | null;
   options: QuizOption[];
+  // Matching questions only: the right-hand texts, shuffled
+  matchChoices: string[];
 }
 
 export interface QuizDetail {
   quizId: number;
   title: string;
   description: string | null;
+  timeLimitMinutes: number | null;
+  questionCount: number;
   questions: QuizQuestion[];
 }
 
+// Single choice questions send one id, multiple choice questions every ticked option, ordering questions
+// every option in the chosen order, short text and numeric questions the typed text and matching questions
+// the match chosen per option
+export interface AnswerSubmission {
+  questionId: number;
+  optionIds?: number[];
+  text?: string;
+  matches?: Record<number, string>;
+}
+
+// deadline is null for untimed quizzes; compare it with serverNow rather than the local clock
+export interface StartedAttempt {
+  attemptId: number;
+  quizId: number;
+  startedAt: string;
+  deadline: string | null;
+  serverNow: string;
+}
+
+// An unfinished attempt with the answers saved so far (every field is filled in; the question type says which counts)
+export interface OpenAttempt extends StartedAttempt {
+  answers: { questionId: number; optionIds: number[]; text: string | null; matches: Record<number, string> }[];
+}
+
+export interface AttemptResult {
+  attemptId: number;
+  quizId: number;
+  quizTitle: string;
+  earnedPoints: number;
+  totalPoints: number;
+  // True when the attempt was submitted after its deadline; only the answers saved before then were scored
+  timedOut: boolean;
+}
+
 export async function getQuizzes(): Promise<QuizSummary[]> {
-  const res = await api.get<QuizSummary[]>('/');
+  const res = await api.get<QuizSummary[]>('/QuizApi');
+  return res.data;
+}
+
+// With an attemptId, questions and options come in the order that attempt shows them (quizzes may shuffle both)
+export async function getQuiz(id: number, attemptId?: number): Promise<QuizDetail> {
+  const res = await api.get<QuizDetail>(`/QuizApi/${id}`, { params: { attemptId } });
+  return res.data;
+}
+
+// The player's unfinished attempt at the quiz, or null when there is none to resume
+export async function getOpenAttempt(quizId: number): Promise<OpenAttempt | null> {
+  const res = await api.get<OpenAttempt | ''>('/attempts/open', { params: { quizId } });
+  return res.status === 204 || !res.data ? null : res.data;
+}
+
+export async function startAttempt(quizId: number): Promise<StartedAttempt> {
+  const res = await api.post<StartedAttempt>('/attempts/start', { quizId });
   return res.data;
 }
 
-export async function getQuiz(id: number): Promise<QuizDetail> {
-  const res = await api.get<QuizDetail>(`/${id}`);
+export async function submitAttempt(attemptId: number, quizId: number, answers: AnswerSubmission[]): Promise<AttemptResult> {
+  const res = await api.post<AttemptResult>(`/attempts/${attemptId}/submit`, { quizId, answers });
   return res.data;
 }
\ No newline at end of file
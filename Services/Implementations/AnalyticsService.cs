@@ -0,0 +1,98 @@
+using QuizApp.Data.Repositories.Interfaces;
+using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Computes quiz statistics for admins from the answers stored with submitted attempts: overall scores,
+    /// how often each question was answered correctly and how often each option was picked.
+    /// Attempts in progress are not counted.
+    /// </summary>
+    public class AnalyticsService : IAnalyticsService
+    {
+        private const int ScoreBands = 10;
+
+        private readonly IAttemptRepository _attempts;
+
+        public AnalyticsService(IAttemptRepository attempts)
+        {
+            _attempts = attempts;
+        }
+
+        /// <summary>
+        /// Returns the statistics of a quiz. The quiz must be loaded with its questions and options;
+        /// answers to questions that have since been deleted are ignored.
+        /// </summary>
+        public async Task<QuizAnalytics> GetQuizAnalyticsAsync(Quiz quiz)
+        {
+            var attempts = (await _attempts.GetSubmittedWithAnswersAsync(quiz.QuizId)).ToList();
+
+            var distribution = new List<int>(new int[ScoreBands]);
+            foreach (var attempt in attempts)
+                distribution[ScoreBand(Percent(attempt.EarnedPoints, attempt.TotalPoints))]++;
+
+            var answersByQuestion = attempts
+                .SelectMany(a => a.Answers)
+                .ToLookup(a => a.QuestionId);
+
+            return new QuizAnalytics
+            {
+                QuizId = quiz.QuizId,
+                AttemptCount = attempts.Count,
+                PlayerCount = attempts.Select(a => a.UserId).Distinct().Count(),
+                AverageScorePercent = attempts.Count == 0
+                    ? 0
+                    : Math.Round(attempts.Average(a => Percent(a.EarnedPoints, a.TotalPoints)), 1),
+                ScoreDistribution = distribution,
+                Questions = quiz.Questions.Select(q => AnalyzeQuestion(q, answersByQuestion[q.Id].ToList())).ToList()
+            };
+        }
+
+        private static QuestionAnalytics AnalyzeQuestion(Question question, List<AttemptAnswer> answers)
+        {
+            var result = new QuestionAnalytics
+            {
+                QuestionId = question.Id,
+                Text = question.Text,
+                Type = question.Type,
+                AnswerCount = answers.Count,
+                SkippedCount = answers.Count(a => a.SelectedOptionIds.Count == 0 && string.IsNullOrEmpty(a.TextResponse)),
+                PercentCorrect = Percent(answers.Count(a => a.IsCorrect), answers.Count),
+                AveragePointsPercent = answers.Count == 0 || question.Points == 0
+                    ? 0
+                    : Math.Round(answers.Average(a => Percent(a.PointsAwarded, question.Points)), 1)
+            };
+
+            // Pick rates only say something for choice questions; ordering and matching use every option in each answer
+            if (question.Type is QuestionType.SingleChoice or QuestionType.MultipleChoice)
+            {
+                result.Options = question.Options.Select(o =>
+                {
+                    var picks = answers.Count(a => a.SelectedOptionIds.Contains(o.Id));
+                    return new OptionAnalytics
+                    {
+                        OptionId = o.Id,
+                        Text = o.Text,
+                        IsCorrect = o.IsCorrect,
+                        PickCount = picks,
+                        PickPercent = Percent(picks, answers.Count)
+                    };
+                }).ToList();
+            }
+
+            return result;
+        }
+
+        private static double Percent(double part, double whole)
+        {
+            return whole == 0 ? 0 : Math.Round(part / whole * 100, 1);
+        }
+
+        // A perfect score falls into the top band rather than a band of its own
+        private static int ScoreBand(double percent)
+        {
+            return Math.Clamp((int)(percent / (100 / ScoreBands)), 0, ScoreBands - 1);
+        }
+    }
+}
@@ -0,0 +1,421 @@
+using QuizApp.Data.Repositories.Interfaces;
+using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Records quiz attempts. Scores the answers with the scoring service and stores the attempt
+    /// with one answer row per question, so results can be listed and reviewed later.
+    /// While an attempt is in progress the same rows hold the player's autosaved draft answers.
+    /// Time limits are enforced here, against the time the attempt was started on the server, and so are quiz opening hours.
+    /// Per-question limits run one after the other from the same start, in the order the attempt shows the questions,
+    /// so answers to a question given after its own time is up don't count.
+    /// Quizzes with a question pool get their questions drawn here when the attempt starts.
+    /// </summary>
+    public class AttemptService : IAttemptService
+    {
+        // Allowance for the time the final request spends on the network after the countdown hits zero
+        private static readonly TimeSpan SubmitGrace = TimeSpan.FromSeconds(5);
+
+        private readonly IAttemptRepository _attempts;
+        private readonly IScoringService _scoring;
+
+        public AttemptService(IAttemptRepository attempts, IScoringService scoring)
+        {
+            _attempts = attempts;
+            _scoring = scoring;
+        }
+
+        /// <summary>
+        /// Starts an attempt for the given user, or returns the unfinished one they already have on this quiz,
+        /// so reloading the page resumes it with its saved answers. The start time is what any time limit is measured from.
+        /// When the quiz draws from a question pool, the questions for a new attempt are picked now.
+        /// </summary>
+        public async Task<Attempt> StartAsync(Quiz quiz, string userId)
+        {
+            return await _attempts.GetOpenAsync(userId, quiz.QuizId) ?? await StartNewAsync(quiz, userId);
+        }
+
+        /// <summary>
+        /// Discards the user's unfinished attempt on this quiz, if any, with its saved answers, and starts a new one.
+        /// There is only ever one attempt to resume.
+        /// </summary>
+        public async Task<Attempt> StartOverAsync(Quiz quiz, string userId)
+        {
+            var open = await _attempts.GetOpenAsync(userId, quiz.QuizId);
+            if (open != null)
+                await _attempts.DeleteAsync(open);
+
+            return await StartNewAsync(quiz, userId);
+        }
+
+        /// <summary>
+        /// Scores the answers for a quiz and saves the attempt for the given user in one go, without a separate start.
+        /// Only meant for quizzes that don't need a start (see <see cref="RequiresStart"/>). The quiz must be loaded with its questions and options.
+        /// </summary>
+        public async Task<Attempt> SubmitAsync(Quiz quiz, string userId, IEnumerable<AnswerSubmission> answers)
+        {
+            var now = DateTime.UtcNow;
+            var attempt = new Attempt
+            {
+                QuizId = quiz.QuizId,
+                UserId = userId,
+                StartedAt = now
+            };
+
+            ApplyScore(attempt, _scoring.Score(quiz, answers), now);
+
+            await _attempts.AddAsync(attempt);
+
+            return attempt;
+        }
+
+        /// <summary>
+        /// Scores and submits an attempt that was started earlier. If the quiz is timed and the deadline
+        /// (plus a few seconds' grace) has passed, the submitted answers are dropped in favour of the last draft
+        /// saved in time, and the attempt is marked as timed out. The same goes for each question whose own time limit has passed.
+        /// The quiz must be loaded with its questions and options.
+        /// </summary>
+        public async Task<Attempt> FinishAsync(Attempt attempt, Quiz quiz, IEnumerable<AnswerSubmission> answers)
+        {
+            var now = DateTime.UtcNow;
+
+            attempt.TimedOut = IsPastDeadline(attempt, quiz, now);
+            var counted = attempt.TimedOut ? GetDraftAnswers(attempt) : KeepInTime(attempt, quiz, answers, now);
+
+            var score = _scoring.Score(quiz, GetAttemptQuestions(quiz, attempt), counted, attempt.HintQuestionIds);
+            ApplyScore(attempt, _scoring.Grade(quiz, score), now);
+
+            await _attempts.UpdateAsync(attempt);
+
+            return attempt;
+        }
+
+        /// <summary>
+        /// Stores the player's answers so far on an attempt that is still in progress, without grading them.
+        /// Returns false, and saves nothing, once the attempt's deadline has passed.
+        /// Questions whose own time limit has passed keep the answer saved for them in time.
+        /// </summary>
+        public async Task<bool> SaveDraftAsync(Attempt attempt, Quiz quiz, IEnumerable<AnswerSubmission> answers)
+        {
+            var now = DateTime.UtcNow;
+            if (IsPastDeadline(attempt, quiz, now))
+                return false;
+
+            answers = KeepInTime(attempt, quiz, answers, now);
+
+            // Scoring cleans the answers up the same way as on submit (one answer per question, only the question's own options),
+            // but the grade itself is not kept until the attempt is submitted
+            var score = _scoring.Score(quiz, GetAttemptQuestions(quiz, attempt), answers, attempt.HintQuestionIds);
+            attempt.Answers = score.Questions.Select(q => new AttemptAnswer
+            {
+                QuestionId = q.QuestionId,
+                SelectedOptionIds = q.SelectedOptionIds,
+                MatchedTexts = q.MatchedTexts,
+                TextResponse = q.TextResponse
+            }).ToList();
+
+            await _attempts.UpdateAsync(attempt);
+
+            return true;
+        }
+
+        /// <summary>
+        /// Records that the player revealed the question's hint, so its cost is taken off when the attempt is scored.
+        /// Revealing the same hint again costs nothing more. Returns false, and records nothing, once the attempt's deadline
+        /// or the question's own time limit has passed. The question must be one of the attempt's questions and have a hint.
+        /// </summary>
+        public async Task<bool> RevealHintAsync(Attempt attempt, Quiz quiz, Question question)
+        {
+            var now = DateTime.UtcNow;
+            if (IsPastDeadline(attempt, quiz, now) || IsPastQuestionLimit(attempt, quiz, question, now))
+                return false;
+
+            if (!attempt.HintQuestionIds.Contains(question.Id))
+            {
+                attempt.HintQuestionIds.Add(question.Id);
+                await _attempts.UpdateAsync(attempt);
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// Turns the answers stored on an attempt back into submissions, e.g. to restore a draft in the browser.
+        /// Every field is filled in; which one counts depends on the question type, as when submitting.
+        /// </summary>
+        public List<AnswerSubmission> GetDraftAnswers(Attempt attempt)
+        {
+            return attempt.Answers.Select(a => new AnswerSubmission
+            {
+                QuestionId = a.QuestionId,
+                OptionIds = a.SelectedOptionIds.ToList(),
+                Text = a.TextResponse,
+                Matches = a.SelectedOptionIds
+                    .Zip(a.MatchedTexts)
+                    .ToDictionary(pair => pair.First, pair => pair.Second)
+            }).ToList();
+        }
+
+        /// <summary>
+        /// Returns how long a player has for the quiz: its own time limit, or the sum of the question limits
+        /// when every question has one. Null when the quiz is not timed.
+        /// </summary>
+        public TimeSpan? GetTimeLimit(Quiz quiz)
+        {
+            return GetTimeLimit(quiz, quiz.Questions);
+        }
+
+        /// <summary>
+        /// Returns true when players have to start the quiz before submitting it, because it or any of its questions is timed,
+        /// it has a closing time or it draws its questions from a pool. Such quizzes can't be submitted in one go.
+        /// </summary>
+        public bool RequiresStart(Quiz quiz)
+        {
+            return quiz.DrawCount != null || quiz.ClosesAt != null || GetTimeLimit(quiz) != null
+                || quiz.Questions.Any(q => q.TimeLimitSeconds != null);
+        }
+
+        /// <summary>
+        /// Returns true when players can start or submit new attempts at the quiz right now (see <see cref="GetClosedReason"/>).
+        /// </summary>
+        public bool IsOpen(Quiz quiz)
+        {
+            return GetClosedReason(quiz) == null;
+        }
+
+        /// <summary>
+        /// Returns why players can't start or submit new attempts at the quiz right now, or null when they can:
+        /// the quiz has to be published and, when it has opening hours, between its opening and closing time.
+        /// Attempts started before the quiz was unpublished can still be finished; closing ends them (see <see cref="GetDeadline"/>).
+        /// </summary>
+        public string? GetClosedReason(Quiz quiz)
+        {
+            var now = DateTime.UtcNow;
+
+            if (quiz.Status != QuizStatus.Published)
+                return "This quiz is not open to players.";
+            if (quiz.OpensAt != null && now < quiz.OpensAt.Value)
+                return "This quiz is not open yet.";
+            if (quiz.ClosesAt != null && now >= quiz.ClosesAt.Value)
+                return "This quiz has closed.";
+
+            return null;
+        }
+
+        /// <summary>
+        /// Works out whether the user may start another attempt at the quiz, given its attempt limit and cooldown.
+        /// On quizzes with either, an unfinished attempt has to be submitted before another one can be started,
+        /// so starting over doesn't get around them.
+        /// </summary>
+        public async Task<AttemptAllowance> GetAllowanceAsync(Quiz quiz, string userId)
+        {
+            var submitted = (await _attempts.GetByUserIdAsync(userId)).Where(a => a.QuizId == quiz.QuizId).ToList();
+            var allowance = new AttemptAllowance { AttemptsUsed = submitted.Count, MaxAttempts = quiz.MaxAttempts };
+
+            if (quiz.MaxAttempts == null && quiz.CooldownMinutes == null)
+                return allowance;
+
+            if (quiz.CooldownMinutes != null && submitted.Count > 0)
+            {
+                var next = submitted.Max(a => a.SubmittedAt!.Value).AddMinutes(quiz.CooldownMinutes.Value);
+                if (next > DateTime.UtcNow)
+                    allowance.NextAttemptAt = next;
+            }
+
+            if (quiz.MaxAttempts != null && submitted.Count >= quiz.MaxAttempts.Value)
+                allowance.Reason = quiz.MaxAttempts == 1 ? "You have already taken this quiz." : $"You have used all {quiz.MaxAttempts} attempts at this quiz.";
+            else if (allowance.NextAttemptAt != null)
+                allowance.Reason = "Your next attempt at this quiz is not available yet.";
+            else if (await _attempts.GetOpenAsync(userId, quiz.QuizId) != null)
+                allowance.Reason = "Finish the attempt you already started first.";
+
+            return allowance;
+        }
+
+        /// <summary>
+        /// Returns when the attempt's time runs out, or null when the quiz is not timed and has no closing time.
+        /// With a question pool, only the question limits of the questions drawn for the attempt add up.
+        /// Attempts started before the quiz closes end at the closing time at the latest.
+        /// </summary>
+        public DateTime? GetDeadline(Attempt attempt, Quiz quiz)
+        {
+            var limit = GetTimeLimit(quiz, GetAttemptQuestions(quiz, attempt));
+            DateTime? deadline = limit == null ? null : attempt.StartedAt + limit.Value;
+
+            // Admins trying out a quiz after it closed are not cut off
+            if (quiz.ClosesAt != null && attempt.StartedAt < quiz.ClosesAt.Value && (deadline == null || quiz.ClosesAt.Value < deadline.Value))
+                deadline = quiz.ClosesAt.Value;
+
+            return deadline;
+        }
+
+        /// <summary>
+        /// Returns the questions the attempt is made of, in authored order: the ones drawn for it from the question pool,
+        /// or all of the quiz's questions when it has no pool. Questions deleted since the draw are left out.
+        /// </summary>
+        public List<Question> GetAttemptQuestions(Quiz quiz, Attempt attempt)
+        {
+            if (attempt.QuestionIds.Count == 0)
+                return quiz.Questions.ToList();
+
+            return quiz.Questions.Where(q => attempt.QuestionIds.Contains(q.Id)).ToList();
+        }
+
+        /// <summary>
+        /// Returns the quiz's questions in the order the attempt shows them: shuffled with the attempt's seed
+        /// when the quiz shuffles questions, otherwise as authored. The same attempt always gets the same order.
+        /// </summary>
+        public List<Question> OrderQuestions(Quiz quiz, Attempt attempt)
+        {
+            var questions = GetAttemptQuestions(quiz, attempt);
+            if (!quiz.ShuffleQuestions)
+                return questions;
+
+            return questions.OrderBy(q => ShuffleKey(attempt.ShuffleSeed, q.Id)).ToList();
+        }
+
+        /// <summary>
+        /// Returns a question's options in the order the attempt shows them. Ordering questions are always shuffled,
+        /// since their authored order is the answer; choice and matching questions only when the quiz shuffles options.
+        /// </summary>
+        public List<Option> OrderOptions(Quiz quiz, Question question, Attempt attempt)
+        {
+            var shuffle = question.Type == QuestionType.Ordering
+                || (quiz.ShuffleOptions && question.Type is QuestionType.SingleChoice or QuestionType.MultipleChoice or QuestionType.Matching);
+
+            if (!shuffle)
+                return question.Options.ToList();
+
+            return question.Options.OrderBy(o => ShuffleKey(attempt.ShuffleSeed, o.Id)).ToList();
+        }
+
+        /// <summary>
+        /// Returns the distinct match texts of a matching question in the order the attempt shows them.
+        /// Always shuffled, and differently from the options, so the two columns never line up with the answers.
+        /// </summary>
+        public List<string> OrderMatchChoices(Question question, Attempt attempt)
+        {
+            return question.Options
+                .Where(o => o.MatchText != null)
+                .OrderBy(o => ShuffleKey(~attempt.ShuffleSeed, o.Id))
+                .Select(o => o.MatchText!)
+                .Distinct()
+                .ToList();
+        }
+
+        // The key only depends on the seed and the item's own id, so questions or options added to the quiz later
+        // don't move the others around. Seeded System.Random gives the same sequence on every run.
+        private static int ShuffleKey(int seed, int id)
+        {
+            return new Random(unchecked(seed * 397) ^ id).Next();
+        }
+
+        private async Task<Attempt> StartNewAsync(Quiz quiz, string userId)
+        {
+            var attempt = new Attempt
+            {
+                QuizId = quiz.QuizId,
+                UserId = userId,
+                StartedAt = DateTime.UtcNow,
+                ShuffleSeed = Random.Shared.Next(),
+                QuestionIds = DrawQuestions(quiz)
+            };
+
+            await _attempts.AddAsync(attempt);
+
+            return attempt;
+        }
+
+        // Picks DrawCount questions at random, from the whole quiz or from every tag. An empty list means all questions,
+        // which is also what a pool at least as big as the quiz comes down to.
+        private static List<int> DrawQuestions(Quiz quiz)
+        {
+            if (quiz.DrawCount == null)
+                return new List<int>();
+
+            var groups = quiz.DrawPerTag
+                ? quiz.Questions.GroupBy(q => q.Tag?.Trim().ToLowerInvariant() ?? "").Select(g => g.ToList())
+                : new[] { quiz.Questions.ToList() };
+
+            var drawn = groups
+                .SelectMany(g => g.OrderBy(_ => Random.Shared.Next()).Take(quiz.DrawCount.Value))
+                .Select(q => q.Id)
+                .ToList();
+
+            return drawn.Count == quiz.Questions.Count ? new List<int>() : drawn;
+        }
+
+        private static TimeSpan? GetTimeLimit(Quiz quiz, List<Question> questions)
+        {
+            if (quiz.TimeLimitMinutes != null)
+                return TimeSpan.FromMinutes(quiz.TimeLimitMinutes.Value);
+
+            if (questions.Count > 0 && questions.All(q => q.TimeLimitSeconds != null))
+                return TimeSpan.FromSeconds(questions.Sum(q => q.TimeLimitSeconds!.Value));
+
+            return null;
+        }
+
+        private bool IsPastDeadline(Attempt attempt, Quiz quiz, DateTime now)
+        {
+            var deadline = GetDeadline(attempt, quiz);
+            return deadline != null && now > deadline.Value + SubmitGrace;
+        }
+
+        // When each timed question's own time runs out, by question id. The limits follow each other in the order the attempt
+        // shows the questions (drawn and shuffled), starting when the attempt does; untimed questions take no time of their own.
+        // The clients count down the same way.
+        private Dictionary<int, DateTime> GetQuestionDeadlines(Quiz quiz, Attempt attempt)
+        {
+            var deadlines = new Dictionary<int, DateTime>();
+            var end = attempt.StartedAt;
+            foreach (var question in OrderQuestions(quiz, attempt).Where(q => q.TimeLimitSeconds != null))
+            {
+                end = end.AddSeconds(question.TimeLimitSeconds!.Value);
+                deadlines[question.Id] = end;
+            }
+
+            return deadlines;
+        }
+
+        private bool IsPastQuestionLimit(Attempt attempt, Quiz quiz, Question question, DateTime now)
+        {
+            return GetQuestionDeadlines(quiz, attempt).TryGetValue(question.Id, out var end) && now > end + SubmitGrace;
+        }
+
+        // Swaps the answers to questions whose own time is up for what was saved for them in time; with no draft, they go unanswered
+        private List<AnswerSubmission> KeepInTime(Attempt attempt, Quiz quiz, IEnumerable<AnswerSubmission> answers, DateTime now)
+        {
+            var expired = GetQuestionDeadlines(quiz, attempt)
+                .Where(d => now > d.Value + SubmitGrace)
+                .Select(d => d.Key)
+                .ToHashSet();
+
+            return answers
+                .Where(a => !expired.Contains(a.QuestionId))
+                .Concat(GetDraftAnswers(attempt).Where(a => expired.Contains(a.QuestionId)))
+                .ToList();
+        }
+
+        private static void ApplyScore(Attempt attempt, ScoreResult score, DateTime submittedAt)
+        {
+            attempt.SubmittedAt = submittedAt;
+            attempt.EarnedPoints = score.EarnedPoints;
+            attempt.TotalPoints = score.TotalPoints;
+            attempt.Passed = score.Passed;
+            attempt.Grade = score.Grade;
+            attempt.Answers = score.Questions.Select(q => new AttemptAnswer
+            {
+                QuestionId = q.QuestionId,
+                SelectedOptionIds = q.SelectedOptionIds,
+                MatchedTexts = q.MatchedTexts,
+                TextResponse = q.TextResponse,
+                IsCorrect = q.IsCorrect,
+                PointsAwarded = q.PointsAwarded,
+                HintCost = q.HintCost
+            }).ToList();
+        }
+    }
+}
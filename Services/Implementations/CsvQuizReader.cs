@@ -0,0 +1,364 @@
+using System.Text;
+using QuizApp.Models;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Reads a spreadsheet of questions saved as CSV into a quiz document. The first row names the columns;
+    /// every other row is a question. Recognised columns are question, type, option columns (option 1, option A, ...),
+    /// answer, points, penalty, tag, explanation, tolerance, time limit, scoring mode and case sensitive. Others are ignored with a warning.
+    /// Commas, semicolons and tabs are accepted as separators, picked from the header row.
+    /// </summary>
+    public class CsvQuizReader
+    {
+        private enum Column { Text, Type, Option, Answer, Points, Penalty, Tag, Explanation, Tolerance, TimeLimit, ScoringMode, CaseSensitive }
+
+        private static readonly Dictionary<string, Column> ColumnNames = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["question"] = Column.Text,
+            ["text"] = Column.Text,
+            ["questiontext"] = Column.Text,
+            ["type"] = Column.Type,
+            ["questiontype"] = Column.Type,
+            ["answer"] = Column.Answer,
+            ["answers"] = Column.Answer,
+            ["correct"] = Column.Answer,
+            ["correctanswer"] = Column.Answer,
+            ["points"] = Column.Points,
+            ["score"] = Column.Points,
+            ["marks"] = Column.Points,
+            ["penalty"] = Column.Penalty,
+            ["negativemarks"] = Column.Penalty,
+            ["tag"] = Column.Tag,
+            ["category"] = Column.Tag,
+            ["explanation"] = Column.Explanation,
+            ["feedback"] = Column.Explanation,
+            ["tolerance"] = Column.Tolerance,
+            ["timelimit"] = Column.TimeLimit,
+            ["timelimitseconds"] = Column.TimeLimit,
+            ["seconds"] = Column.TimeLimit,
+            ["scoringmode"] = Column.ScoringMode,
+            ["scoring"] = Column.ScoringMode,
+            ["casesensitive"] = Column.CaseSensitive
+        };
+
+        // Spellings teachers use for the type column, mapped to question types. True/false becomes a two-option single choice
+        private static readonly Dictionary<string, string> TypeNames = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["single"] = nameof(QuestionType.SingleChoice),
+            ["singlechoice"] = nameof(QuestionType.SingleChoice),
+            ["choice"] = nameof(QuestionType.SingleChoice),
+            ["multiple"] = nameof(QuestionType.MultipleChoice),
+            ["multiplechoice"] = nameof(QuestionType.MultipleChoice),
+            ["multi"] = nameof(QuestionType.MultipleChoice),
+            ["short"] = nameof(QuestionType.ShortText),
+            ["shorttext"] = nameof(QuestionType.ShortText),
+            ["shortanswer"] = nameof(QuestionType.ShortText),
+            ["numeric"] = nameof(QuestionType.Numeric),
+            ["number"] = nameof(QuestionType.Numeric),
+            ["numerical"] = nameof(QuestionType.Numeric),
+            ["ordering"] = nameof(QuestionType.Ordering),
+            ["order"] = nameof(QuestionType.Ordering),
+            ["matching"] = nameof(QuestionType.Matching),
+            ["match"] = nameof(QuestionType.Matching)
+        };
+
+        private static readonly HashSet<string> TrueFalseNames = new(StringComparer.OrdinalIgnoreCase) { "truefalse", "tf", "boolean" };
+
+        /// <summary>
+        /// Reads the CSV text. The document has no title; the caller supplies one, e.g. from the file name.
+        /// </summary>
+        public QuizImport Read(string content)
+        {
+            var document = new QuizDocument { Version = QuizDocument.CurrentVersion };
+            var import = new QuizImport { Document = document };
+
+            var records = ParseRecords(content.TrimStart('\uFEFF'), DetectDelimiter(content));
+            if (records.Count == 0)
+            {
+                import.Errors.Add(new ImportError { Line = 1, Path = "$", Message = "The file is empty." });
+                return import;
+            }
+
+            var (headerLine, header) = records[0];
+            var columns = new Column?[header.Count];
+            for (var c = 0; c < header.Count; c++)
+            {
+                var name = header[c].Replace(" ", "").Replace("_", "").Replace("-", "");
+                if (ColumnNames.TryGetValue(name, out var column))
+                    columns[c] = column;
+                else if (IsOptionColumn(name))
+                    columns[c] = Column.Option;
+                else if (name.Length > 0)
+                    import.Warnings.Add(new ImportError { Line = headerLine, Path = "$", Message = $"Column \"{header[c]}\" is not recognised and was ignored." });
+            }
+
+            if (!columns.Contains(Column.Text))
+            {
+                import.Errors.Add(new ImportError { Line = headerLine, Path = "$", Message = "The first row must name the columns, including a \"question\" column." });
+                return import;
+            }
+
+            foreach (var (line, fields) in records.Skip(1))
+            {
+                if (fields.All(string.IsNullOrWhiteSpace))
+                    continue;
+
+                var path = $"$.questions[{document.Questions.Count}]";
+                import.Lines[path] = line;
+                document.Questions.Add(ReadQuestion(fields, columns, line, path, import));
+            }
+
+            return import;
+        }
+
+        private static QuestionDocument ReadQuestion(List<string> fields, Column?[] columns, int line, string path, QuizImport import)
+        {
+            string Cell(Column column)
+            {
+                var index = Array.IndexOf(columns, column);
+                return index >= 0 && index < fields.Count ? fields[index].Trim() : "";
+            }
+
+            void Error(string field, string message) =>
+                import.Errors.Add(new ImportError { Line = line, Path = $"{path}.{field}", Message = message });
+
+            var question = new QuestionDocument
+            {
+                Line = line,
+                Text = Cell(Column.Text),
+                Tag = Cell(Column.Tag),
+                Explanation = Cell(Column.Explanation),
+                ScoringMode = Cell(Column.ScoringMode) is { Length: > 0 } mode ? mode.Replace(" ", "") : null,
+                CaseSensitive = Cell(Column.CaseSensitive).ToLowerInvariant() is "true" or "yes" or "1" or "y"
+            };
+
+            var points = Cell(Column.Points);
+            if (points.Length > 0)
+            {
+                if (ImportText.TryParseNumber(points, out var value))
+                    question.Points = value;
+                else
+                    Error("points", $"Points must be a number, not \"{points}\".");
+            }
+
+            var penalty = Cell(Column.Penalty);
+            if (penalty.Length > 0)
+            {
+                // Written either way round: "0.5" or "-0.5" both take half a point off
+                if (ImportText.TryParseNumber(penalty, out var value))
+                    question.Penalty = Math.Abs(value);
+                else
+                    Error("penalty", $"The penalty must be a number, not \"{penalty}\".");
+            }
+
+            var timeLimit = Cell(Column.TimeLimit);
+            if (timeLimit.Length > 0)
+            {
+                if (int.TryParse(timeLimit, out var seconds))
+                    question.TimeLimitSeconds = seconds;
+                else
+                    Error("timeLimitSeconds", $"The time limit must be a whole number of seconds, not \"{timeLimit}\".");
+            }
+
+            // Empty option cells are kept until answers given as letters or numbers are resolved, so the positions line up
+            var optionCells = fields
+                .Where((_, c) => c < columns.Length && columns[c] == Column.Option)
+                .Select(f => f.Trim())
+                .ToList();
+            var answer = Cell(Column.Answer);
+
+            var type = Cell(Column.Type).Replace(" ", "").Replace("_", "").Replace("-", "").Replace("/", "");
+            if (TrueFalseNames.Contains(type))
+            {
+                question.Type = nameof(QuestionType.SingleChoice);
+                var isTrue = answer.ToLowerInvariant() is "true" or "t" or "yes" or "1";
+                if (!isTrue && answer.ToLowerInvariant() is not ("false" or "f" or "no" or "0"))
+                    Error("options", $"The answer of a true/false question must be true or false, not \"{answer}\".");
+                question.Options.Add(new OptionDocument { Text = "True", IsCorrect = isTrue });
+                question.Options.Add(new OptionDocument { Text = "False", IsCorrect = !isTrue });
+                return question;
+            }
+
+            if (type.Length > 0)
+                question.Type = TypeNames.TryGetValue(type, out var known) ? known : Cell(Column.Type);
+            else
+                question.Type = InferType(optionCells, answer);
+
+            switch (question.Type)
+            {
+                case nameof(QuestionType.ShortText):
+                    // Both the option cells and the answer cell (several answers separated by |) are accepted answers
+                    foreach (var text in optionCells.Concat(answer.Split('|')).Select(t => t.Trim()).Where(t => t.Length > 0))
+                        question.Options.Add(new OptionDocument { Text = text, IsCorrect = true });
+                    break;
+
+                case nameof(QuestionType.Numeric):
+                    if (ImportText.TryParseNumber(answer, out var number))
+                        question.NumericAnswer = number;
+                    else if (answer.Length > 0)
+                        Error("numericAnswer", $"The answer of a numeric question must be a number, not \"{answer}\".");
+
+                    var tolerance = Cell(Column.Tolerance);
+                    if (ImportText.TryParseNumber(tolerance, out var within))
+                        question.Tolerance = within;
+                    else if (tolerance.Length > 0)
+                        Error("tolerance", $"The tolerance must be a number, not \"{tolerance}\".");
+                    break;
+
+                case nameof(QuestionType.Matching):
+                    // Pairs are written "item = match" or "item -> match"
+                    foreach (var cell in optionCells.Where(c => c.Length > 0))
+                    {
+                        var arrow = cell.IndexOf("->", StringComparison.Ordinal);
+                        var separator = arrow >= 0 ? arrow : cell.IndexOf('=');
+                        var width = arrow >= 0 ? 2 : 1;
+                        question.Options.Add(separator < 0
+                            ? new OptionDocument { Text = cell }
+                            : new OptionDocument { Text = cell[..separator].Trim(), MatchText = cell[(separator + width)..].Trim() });
+                    }
+                    break;
+
+                case nameof(QuestionType.Ordering):
+                    // The option columns are the correct order
+                    foreach (var cell in optionCells.Where(c => c.Length > 0))
+                        question.Options.Add(new OptionDocument { Text = cell });
+                    break;
+
+                default:
+                    var correct = ResolveAnswers(answer, optionCells);
+                    if (correct == null)
+                        Error("options", $"The answer \"{answer}\" does not match any option. Use the option's letter, number or text.");
+
+                    for (var i = 0; i < optionCells.Count; i++)
+                    {
+                        if (optionCells[i].Length > 0)
+                            question.Options.Add(new OptionDocument { Text = optionCells[i], IsCorrect = correct?.Contains(i) == true });
+                    }
+
+                    if (type.Length == 0 && correct?.Count > 1)
+                        question.Type = nameof(QuestionType.MultipleChoice);
+                    break;
+            }
+
+            return question;
+        }
+
+        // Without a type column: options make it a choice question, otherwise a number answer makes it numeric
+        private static string InferType(List<string> optionCells, string answer)
+        {
+            if (optionCells.Any(c => c.Length > 0))
+                return nameof(QuestionType.SingleChoice);
+
+            return ImportText.TryParseNumber(answer, out _) ? nameof(QuestionType.Numeric) : nameof(QuestionType.ShortText);
+        }
+
+        // Answers refer to options by letter ("B"), number ("2") or text, several separated by ; | or ,
+        // Returns the indexes of the correct options, or null when one of them matches no option
+        private static HashSet<int>? ResolveAnswers(string answer, List<string> options)
+        {
+            var whole = options.FindIndex(o => o.Length > 0 && o.Equals(answer, StringComparison.OrdinalIgnoreCase));
+            if (whole >= 0)
+                return new HashSet<int> { whole };
+
+            var correct = new HashSet<int>();
+            foreach (var token in answer.Split(new[] { ';', '|', ',' }, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+            {
+                int index;
+                if (token.Length == 1 && char.IsLetter(token[0]))
+                    index = char.ToUpperInvariant(token[0]) - 'A';
+                else if (int.TryParse(token, out var number))
+                    index = number - 1;
+                else
+                    index = options.FindIndex(o => o.Equals(token, StringComparison.OrdinalIgnoreCase));
+
+                if (index < 0 || index >= options.Count || options[index].Length == 0)
+                    return null;
+                correct.Add(index);
+            }
+
+            return correct;
+        }
+
+        // "Option 1", "option_a", "Choice B", or a lone letter column such as "A"
+        private static bool IsOptionColumn(string name)
+        {
+            return name.StartsWith("option", StringComparison.OrdinalIgnoreCase)
+                || name.StartsWith("choice", StringComparison.OrdinalIgnoreCase)
+                || (name.Length == 1 && char.IsLetter(name[0]));
+        }
+
+        private static char DetectDelimiter(string content)
+        {
+            var header = content.Split('\n', 2)[0];
+            return new[] { ',', ';', '\t' }.OrderByDescending(d => header.Count(c => c == d)).First();
+        }
+
+        // RFC 4180: fields may be quoted, quoted fields may contain separators, doubled quotes and line breaks.
+        // Each record comes with the line it starts on.
+        private static List<(int Line, List<string> Fields)> ParseRecords(string content, char delimiter)
+        {
+            var records = new List<(int, List<string>)>();
+            var fields = new List<string>();
+            var field = new StringBuilder();
+            var quoted = false;
+            var line = 1;
+            var recordLine = 1;
+
+            for (var i = 0; i < content.Length; i++)
+            {
+                var c = content[i];
+                if (quoted)
+                {
+                    if (c == '"' && i + 1 < content.Length && content[i + 1] == '"')
+                    {
+                        field.Append('"');
+                        i++;
+                    }
+                    else if (c == '"')
+                    {
+                        quoted = false;
+                    }
+                    else
+                    {
+                        if (c == '\n')
+                            line++;
+                        field.Append(c);
+                    }
+                }
+                else if (c == '"' && field.Length == 0)
+                {
+                    quoted = true;
+                }
+                else if (c == delimiter)
+                {
+                    fields.Add(field.ToString());
+                    field.Clear();
+                }
+                else if (c == '\n' || c == '\r')
+                {
+                    if (c == '\r' && i + 1 < content.Length && content[i + 1] == '\n')
+                        i++;
+                    fields.Add(field.ToString());
+                    field.Clear();
+                    records.Add((recordLine, fields));
+                    fields = new List<string>();
+                    line++;
+                    recordLine = line;
+                }
+                else
+                {
+                    field.Append(c);
+                }
+            }
+
+            if (field.Length > 0 || fields.Count > 0)
+            {
+                fields.Add(field.ToString());
+                records.Add((recordLine, fields));
+            }
+
+            return records.Where(r => r.Item2.Any(f => f.Length > 0)).ToList();
+        }
+    }
+}
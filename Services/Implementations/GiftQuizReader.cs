@@ -0,0 +1,344 @@
+using System.Text;
+using QuizApp.Models;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Reads Moodle's GIFT text format into a quiz document. Questions are separated by blank lines and their answers
+    /// are written in braces: {=right ~wrong}, {T}, {=accepted =also accepted}, {#3.14:0.01}, {=item -> match}, and
+    /// {~%50%right ~%50%right ~wrong} for several correct answers. $CATEGORY lines tag the questions that follow.
+    /// Feedback after an answer's # stays with its option. Essays, descriptions and feedback on short text or numeric
+    /// answers have no counterpart here; they are left out with a warning.
+    /// </summary>
+    public class GiftQuizReader
+    {
+        // A question block with the line it starts on; Text has comments removed but escapes still in place
+        private record Block(int Line, string Text);
+
+        // One answer inside the braces: '=' or '~', an optional %weight%, the text and the feedback after its #
+        private record Answer(char Marker, double? Weight, string Text, string? Feedback);
+
+        /// <summary>
+        /// Reads the GIFT text. The document has no title; the caller supplies one, e.g. from the file name.
+        /// </summary>
+        public QuizImport Read(string content)
+        {
+            var document = new QuizDocument { Version = QuizDocument.CurrentVersion };
+            var import = new QuizImport { Document = document };
+            string? tag = null;
+
+            foreach (var block in SplitBlocks(content.TrimStart('\uFEFF')))
+            {
+                var text = block.Text.Trim();
+                if (text.StartsWith("$CATEGORY:", StringComparison.OrdinalIgnoreCase))
+                {
+                    tag = ImportText.CategoryTag(text["$CATEGORY:".Length..].Trim());
+                    continue;
+                }
+
+                var path = $"$.questions[{document.Questions.Count}]";
+                var question = ReadQuestion(block, path, import);
+                if (question == null)
+                    continue;
+
+                question.Tag = tag;
+                import.Lines[path] = block.Line;
+                document.Questions.Add(question);
+            }
+
+            return import;
+        }
+
+        private static QuestionDocument? ReadQuestion(Block block, string path, QuizImport import)
+        {
+            void Warn(string message) =>
+                import.Warnings.Add(new ImportError { Line = block.Line, Path = path, Message = message });
+
+            var text = block.Text.Trim();
+
+            // Optional ::name:: before the question; the app has no separate question names
+            if (text.StartsWith("::"))
+            {
+                var end = IndexOfUnescaped(text, "::", 2);
+                if (end > 0)
+                    text = text[(end + 2)..].TrimStart();
+            }
+
+            // Optional text format such as [html] or [markdown]
+            var html = false;
+            if (text.StartsWith('['))
+            {
+                var end = text.IndexOf(']');
+                if (end > 0)
+                {
+                    html = text[1..end].Equals("html", StringComparison.OrdinalIgnoreCase);
+                    text = text[(end + 1)..].TrimStart();
+                }
+            }
+
+            var open = IndexOfUnescaped(text, "{", 0);
+            var close = open < 0 ? -1 : IndexOfUnescaped(text, "}", open + 1);
+            if (open < 0 || close < 0)
+            {
+                Warn("A question without answers (a description) was skipped.");
+                return null;
+            }
+
+            // Answers in the middle of the text (missing word questions) leave a blank where they were
+            var before = text[..open].Trim();
+            var after = text[(close + 1)..].Trim();
+            var questionText = Unescape(after.Length > 0 ? $"{before} _____ {after}" : before);
+            if (html)
+            {
+                questionText = ImportText.StripHtml(questionText, out var hadMarkup);
+                if (hadMarkup)
+                    Warn("HTML formatting in the question text was removed.");
+            }
+
+            var body = text[(open + 1)..close].Trim();
+            var question = new QuestionDocument { Line = block.Line, Text = questionText };
+
+            // General feedback after #### becomes the explanation
+            var feedbackAt = IndexOfUnescaped(body, "####", 0);
+            if (feedbackAt >= 0)
+            {
+                question.Explanation = Unescape(body[(feedbackAt + 4)..].Trim());
+                body = body[..feedbackAt].Trim();
+            }
+
+            if (body.Length == 0)
+            {
+                Warn("An essay question was skipped; only questions with answers that can be checked are imported.");
+                return null;
+            }
+
+            if (body.StartsWith('#'))
+                return ReadNumeric(question, body[1..].Trim(), Warn);
+
+            var trueFalse = StripFeedback(body, out var trueFalseFeedback).Trim().ToUpperInvariant();
+            if (trueFalse is "T" or "TRUE" or "F" or "FALSE")
+            {
+                // {T#shown when wrong#shown when right}
+                var second = trueFalseFeedback == null ? -1 : IndexOfUnescaped(trueFalseFeedback, "#", 0);
+                var wrongFeedback = second < 0 ? trueFalseFeedback : trueFalseFeedback![..second];
+                var rightFeedback = second < 0 ? null : trueFalseFeedback![(second + 1)..];
+                var isTrue = trueFalse.StartsWith('T');
+                question.Type = nameof(QuestionType.SingleChoice);
+                question.Options.Add(new OptionDocument { Text = "True", IsCorrect = isTrue, Feedback = FeedbackText(isTrue ? rightFeedback : wrongFeedback) });
+                question.Options.Add(new OptionDocument { Text = "False", IsCorrect = !isTrue, Feedback = FeedbackText(isTrue ? wrongFeedback : rightFeedback) });
+                return question;
+            }
+
+            var answers = SplitAnswers(body);
+
+            if (answers.Count > 0 && answers.All(a => a.Marker == '=') && answers.Any(a => a.Text.Contains("->")))
+            {
+                question.Type = nameof(QuestionType.Matching);
+                foreach (var answer in answers)
+                {
+                    var arrow = answer.Text.IndexOf("->", StringComparison.Ordinal);
+                    question.Options.Add(arrow < 0
+                        ? new OptionDocument { Text = answer.Text, Feedback = answer.Feedback }
+                        : new OptionDocument { Text = answer.Text[..arrow].Trim(), MatchText = answer.Text[(arrow + 2)..].Trim(), Feedback = answer.Feedback });
+                }
+                return question;
+            }
+
+            if (answers.All(a => a.Marker == '='))
+            {
+                question.Type = nameof(QuestionType.ShortText);
+                if (answers.Any(a => a.Weight is > 0 and < 100))
+                    Warn("Answers worth part of the points were imported as fully correct.");
+                if (answers.Any(a => a.Feedback != null))
+                    Warn("Feedback on accepted answers is not imported.");
+                foreach (var answer in answers.Where(a => a.Weight is null or > 0))
+                    question.Options.Add(new OptionDocument { Text = answer.Text, IsCorrect = true });
+                return question;
+            }
+
+            // Weighted answers (~%50%) mean several correct options; otherwise '=' marks the correct one
+            var weighted = answers.Any(a => a.Weight != null);
+            var correctCount = answers.Count(a => IsCorrect(a, weighted));
+            question.Type = weighted || correctCount > 1 ? nameof(QuestionType.MultipleChoice) : nameof(QuestionType.SingleChoice);
+            if (weighted)
+                question.ScoringMode = nameof(ScoringMode.PartialCredit);
+            if (answers.Any(a => a.Weight < 0))
+                Warn("Negative answer weights were left out; set a penalty on the question or quiz to take points off for wrong answers.");
+
+            foreach (var answer in answers)
+                question.Options.Add(new OptionDocument { Text = answer.Text, IsCorrect = IsCorrect(answer, weighted), Feedback = answer.Feedback });
+
+            return question;
+        }
+
+        private static bool IsCorrect(Answer answer, bool weighted)
+        {
+            return weighted ? answer.Weight > 0 : answer.Marker == '=';
+        }
+
+        // {#3.14:0.01}, {#1..5} or {#=3.14:0.01 =3:0.5}; only the first fully correct answer is used
+        private static QuestionDocument ReadNumeric(QuestionDocument question, string body, Action<string> warn)
+        {
+            question.Type = nameof(QuestionType.Numeric);
+
+            var answers = body.StartsWith('=')
+                ? SplitAnswers(body)
+                : new List<Answer> { new('=', null, StripFeedback(body, out var feedback), FeedbackText(feedback)) };
+            if (answers.Any(a => a.Feedback != null))
+                warn("Feedback on accepted answers is not imported.");
+            if (answers.Count > 1)
+                warn("Only the first accepted number was imported.");
+
+            var value = answers.FirstOrDefault()?.Text ?? "";
+            var range = value.IndexOf("..", StringComparison.Ordinal);
+            var colon = value.IndexOf(':');
+            if (range > 0 && ImportText.TryParseNumber(value[..range], out var min) && ImportText.TryParseNumber(value[(range + 2)..], out var max))
+            {
+                question.NumericAnswer = (min + max) / 2;
+                question.Tolerance = Math.Abs(max - min) / 2;
+            }
+            else if (colon > 0 && ImportText.TryParseNumber(value[..colon], out var number) && ImportText.TryParseNumber(value[(colon + 1)..], out var tolerance))
+            {
+                question.NumericAnswer = number;
+                question.Tolerance = tolerance;
+            }
+            else if (ImportText.TryParseNumber(value, out var exact))
+            {
+                question.NumericAnswer = exact;
+            }
+
+            return question;
+        }
+
+        // Splits "=a ~b ~%50%c#feedback" at each unescaped = or ~, keeping each answer's feedback apart from its text
+        private static List<Answer> SplitAnswers(string body)
+        {
+            var answers = new List<Answer>();
+            var starts = new List<int>();
+            for (var i = 0; i < body.Length; i++)
+            {
+                if (body[i] == '\\')
+                    i++;
+                else if (body[i] is '=' or '~' && !(body[i] == '=' && i > 0 && body[i - 1] == '-'))
+                    starts.Add(i);
+            }
+
+            for (var s = 0; s < starts.Count; s++)
+            {
+                var end = s + 1 < starts.Count ? starts[s + 1] : body.Length;
+                var text = body[(starts[s] + 1)..end].Trim();
+
+                double? weight = null;
+                if (text.StartsWith('%'))
+                {
+                    var closing = text.IndexOf('%', 1);
+                    if (closing > 0 && ImportText.TryParseNumber(text[1..closing], out var percent))
+                    {
+                        weight = percent;
+                        text = text[(closing + 1)..];
+                    }
+                }
+
+                text = StripFeedback(text, out var feedback);
+                answers.Add(new Answer(body[starts[s]], weight, Unescape(text.Trim()), FeedbackText(feedback)));
+            }
+
+            return answers;
+        }
+
+        // Returns the text before the first unescaped #; whatever follows it, still escaped, is the feedback
+        private static string StripFeedback(string text, out string? feedback)
+        {
+            var hash = IndexOfUnescaped(text, "#", 0);
+            feedback = hash >= 0 ? text[(hash + 1)..] : null;
+            return hash >= 0 ? text[..hash] : text;
+        }
+
+        private static string? FeedbackText(string? feedback)
+        {
+            var text = feedback == null ? "" : Unescape(feedback.Trim());
+            return text.Length == 0 ? null : text;
+        }
+
+        // Blocks are separated by blank lines outside braces. Lines starting with // are comments
+        private static List<Block> SplitBlocks(string content)
+        {
+            var blocks = new List<Block>();
+            var current = new StringBuilder();
+            var start = 0;
+            var depth = 0;
+            var lines = content.Replace("\r\n", "\n").Split('\n');
+
+            for (var i = 0; i < lines.Length; i++)
+            {
+                var line = lines[i];
+                if (line.TrimStart().StartsWith("//"))
+                    continue;
+
+                if (line.Trim().Length == 0 && depth == 0)
+                {
+                    if (current.Length > 0)
+                        blocks.Add(new Block(start, current.ToString()));
+                    current.Clear();
+                    continue;
+                }
+
+                if (current.Length == 0)
+                    start = i + 1;
+                current.Append(line).Append('\n');
+
+                for (var c = 0; c < line.Length; c++)
+                {
+                    if (line[c] == '\\')
+                        c++;
+                    else if (line[c] == '{')
+                        depth++;
+                    else if (line[c] == '}' && depth > 0)
+                        depth--;
+                }
+
+                // A category line stands on its own even without a blank line after it
+                if (depth == 0 && current.ToString().TrimStart().StartsWith("$CATEGORY:", StringComparison.OrdinalIgnoreCase))
+                {
+                    blocks.Add(new Block(start, current.ToString()));
+                    current.Clear();
+                }
+            }
+
+            if (current.ToString().Trim().Length > 0)
+                blocks.Add(new Block(start, current.ToString()));
+
+            return blocks;
+        }
+
+        private static int IndexOfUnescaped(string text, string value, int from)
+        {
+            for (var i = from; i <= text.Length - value.Length; i++)
+            {
+                if (text[i] == '\\')
+                    i++;
+                else if (string.CompareOrdinal(text, i, value, 0, value.Length) == 0)
+                    return i;
+            }
+            return -1;
+        }
+
+        private static string Unescape(string text)
+        {
+            var result = new StringBuilder(text.Length);
+            for (var i = 0; i < text.Length; i++)
+            {
+                if (text[i] == '\\' && i + 1 < text.Length)
+                {
+                    i++;
+                    result.Append(text[i] == 'n' ? '\n' : text[i]);
+                }
+                else
+                {
+                    result.Append(text[i]);
+                }
+            }
+            return result.ToString().Trim();
+        }
+    }
+}
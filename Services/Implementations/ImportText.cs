@@ -0,0 +1,61 @@
+using System.Globalization;
+using System.Net;
+using System.Text.RegularExpressions;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Text helpers shared by the quiz file readers: turning HTML question text into plain text,
+    /// reading numbers written with either decimal separator and turning Moodle category paths into tags.
+    /// </summary>
+    internal static class ImportText
+    {
+        private static readonly Regex LineBreakTags = new(@"<\s*(br|/p|/div|/li)\b[^>]*>", RegexOptions.IgnoreCase);
+        private static readonly Regex Tags = new(@"<[^>]*>");
+        private static readonly Regex Whitespace = new(@"\s+");
+
+        /// <summary>
+        /// Returns the text of an HTML fragment on one line. hadMarkup tells whether any tags were removed,
+        /// so the reader can warn that formatting was lost.
+        /// </summary>
+        public static string StripHtml(string html, out bool hadMarkup)
+        {
+            var text = LineBreakTags.Replace(html, " ");
+            hadMarkup = Tags.IsMatch(text);
+            text = Tags.Replace(text, "");
+            return Whitespace.Replace(WebUtility.HtmlDecode(text), " ").Trim();
+        }
+
+        /// <summary>
+        /// Reads a number like "3.14" or "3,14". Spreadsheets in many locales use a decimal comma.
+        /// </summary>
+        public static bool TryParseNumber(string? text, out double value)
+        {
+            value = 0;
+            if (string.IsNullOrWhiteSpace(text))
+                return false;
+
+            text = text.Trim();
+            if (text.Contains(',') && !text.Contains('.'))
+                text = text.Replace(',', '.');
+
+            return double.TryParse(text, NumberStyles.Float, CultureInfo.InvariantCulture, out value);
+        }
+
+        /// <summary>
+        /// Turns a Moodle category path like "$course$/top/Geography" into the tag "Geography".
+        /// Returns null for the course's top category, which stands for no category at all.
+        /// </summary>
+        public static string? CategoryTag(string? path)
+        {
+            var segment = path?
+                .Split('/', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .LastOrDefault();
+
+            if (segment == null || segment.StartsWith('$') || segment.Equals("top", StringComparison.OrdinalIgnoreCase))
+                return null;
+
+            return segment.Length > 50 ? segment[..50] : segment;
+        }
+    }
+}
@@ -0,0 +1,159 @@
+using QuizApp.Data.Repositories.Interfaces;
+using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Ranks players by their submitted attempts. On a quiz, each player's result is the one the quiz's grading policy picks
+    /// (see <see cref="GradingPolicy"/>; the best attempt by default), ranked by highest share of the points, then the shortest
+    /// time from start to submit. Across all quizzes, the points of each player's results are added up.
+    /// Attempts submitted in one go were never started, so they have no time and lose a tie to any timed attempt.
+    /// </summary>
+    public class LeaderboardService : ILeaderboardService
+    {
+        private readonly IAttemptRepository _attempts;
+
+        public LeaderboardService(IAttemptRepository attempts)
+        {
+            _attempts = attempts;
+        }
+
+        /// <summary>
+        /// Returns the top players of a quiz, ranked by the attempts that count for them within the period.
+        /// </summary>
+        public async Task<List<LeaderboardEntry>> GetQuizLeaderboardAsync(int quizId, LeaderboardPeriod period, int top)
+        {
+            var attempts = await _attempts.GetSubmittedAsync(quizId, GetPeriodStart(period, DateTime.UtcNow));
+
+            var entries = attempts
+                .GroupBy(a => a.UserId)
+                .Select(Counted)
+                .OrderByDescending(e => Share(e.EarnedPoints, e.TotalPoints))
+                .ThenBy(e => e.Duration ?? TimeSpan.MaxValue)
+                .ThenBy(e => e.SubmittedAt);
+
+            return Rank(entries, top);
+        }
+
+        /// <summary>
+        /// Returns the top players across all quizzes: the points of their result on every quiz added up,
+        /// with the total time of the counted attempts breaking ties when all of them were timed. Only attempts within the period count.
+        /// </summary>
+        public async Task<List<LeaderboardEntry>> GetGlobalLeaderboardAsync(LeaderboardPeriod period, int top)
+        {
+            var attempts = await _attempts.GetSubmittedAsync(null, GetPeriodStart(period, DateTime.UtcNow));
+
+            var entries = attempts
+                .GroupBy(a => a.UserId)
+                .Select(user =>
+                {
+                    var results = user.GroupBy(a => a.QuizId).Select(Counted).ToList();
+                    return new LeaderboardEntry
+                    {
+                        UserId = user.Key,
+                        UserName = results[0].UserName,
+                        EarnedPoints = Math.Round(results.Sum(r => r.EarnedPoints), 2),
+                        TotalPoints = results.Sum(r => r.TotalPoints),
+                        Duration = results.All(r => r.Duration != null)
+                            ? TimeSpan.FromTicks(results.Sum(r => r.Duration!.Value.Ticks))
+                            : null,
+                        QuizCount = results.Count,
+                        SubmittedAt = results.Max(r => r.SubmittedAt)
+                    };
+                })
+                .OrderByDescending(e => e.EarnedPoints)
+                .ThenBy(e => e.Duration ?? TimeSpan.MaxValue)
+                .ThenBy(e => e.SubmittedAt);
+
+            return Rank(entries, top);
+        }
+
+        /// <summary>
+        /// Returns when the period starts, or null for all time. Weeks start on Monday at midnight UTC.
+        /// </summary>
+        public DateTime? GetPeriodStart(LeaderboardPeriod period, DateTime now)
+        {
+            if (period != LeaderboardPeriod.Week)
+                return null;
+
+            var daysSinceMonday = ((int)now.DayOfWeek + 6) % 7;
+            return DateTime.SpecifyKind(now.Date.AddDays(-daysSinceMonday), DateTimeKind.Utc);
+        }
+
+        // A player's result on one quiz, from their attempts at it. With the average policy the points are the average share
+        // scaled to the latest attempt's total, and the time is the average of the timed attempts
+        private static LeaderboardEntry Counted(IEnumerable<Attempt> attempts)
+        {
+            var list = attempts.ToList();
+            var latest = list.OrderByDescending(a => a.SubmittedAt).First();
+            var policy = latest.Quiz?.GradingPolicy ?? GradingPolicy.Best;
+
+            if (policy == GradingPolicy.Average)
+            {
+                return new LeaderboardEntry
+                {
+                    UserId = latest.UserId,
+                    UserName = DisplayName(latest.User),
+                    EarnedPoints = Math.Round(list.Average(a => Share(a.EarnedPoints, a.TotalPoints)) * latest.TotalPoints, 2),
+                    TotalPoints = latest.TotalPoints,
+                    Duration = list.Any(a => Duration(a) != null)
+                        ? TimeSpan.FromTicks((long)list.Where(a => Duration(a) != null).Average(a => Duration(a)!.Value.Ticks))
+                        : null,
+                    QuizCount = 1,
+                    SubmittedAt = latest.SubmittedAt!.Value
+                };
+            }
+
+            var counted = policy == GradingPolicy.Latest ? latest : BestAttempt(list);
+            return new LeaderboardEntry
+            {
+                UserId = counted.UserId,
+                UserName = DisplayName(counted.User),
+                EarnedPoints = counted.EarnedPoints,
+                TotalPoints = counted.TotalPoints,
+                Duration = Duration(counted),
+                QuizCount = 1,
+                SubmittedAt = counted.SubmittedAt!.Value
+            };
+        }
+
+        private static Attempt BestAttempt(IEnumerable<Attempt> attempts)
+        {
+            return attempts
+                .OrderByDescending(a => Share(a.EarnedPoints, a.TotalPoints))
+                .ThenBy(a => Duration(a) ?? TimeSpan.MaxValue)
+                .ThenBy(a => a.SubmittedAt)
+                .First();
+        }
+
+        // Attempts are compared by share of the points rather than raw points, since the total can differ between
+        // attempts when the quiz was edited or draws its questions from a pool
+        private static double Share(double earned, double total)
+        {
+            return total == 0 ? 0 : earned / total;
+        }
+
+        // Attempts submitted in one go (see AttemptService.SubmitAsync) are given their submit time as start time
+        private static TimeSpan? Duration(Attempt attempt)
+        {
+            return attempt.SubmittedAt == attempt.StartedAt ? null : attempt.SubmittedAt!.Value - attempt.StartedAt;
+        }
+
+        // User names are email addresses by default; only the part before the @ is shown to other players
+        private static string DisplayName(ApplicationUser? user)
+        {
+            var name = user?.UserName ?? "Unknown player";
+            var at = name.IndexOf('@');
+            return at > 0 ? name[..at] : name;
+        }
+
+        private static List<LeaderboardEntry> Rank(IEnumerable<LeaderboardEntry> ordered, int top)
+        {
+            var list = ordered.Take(top).ToList();
+            for (var i = 0; i < list.Count; i++)
+                list[i].Rank = i + 1;
+            return list;
+        }
+    }
+}
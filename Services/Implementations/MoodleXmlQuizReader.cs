@@ -0,0 +1,259 @@
+using System.Text.RegularExpressions;
+using System.Xml;
+using System.Xml.Linq;
+using QuizApp.Models;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Reads a Moodle XML question export into a quiz document. Multiple choice, true/false, short answer, numerical,
+    /// matching and ordering questions are converted; categories become tags, answer feedback stays with its option and
+    /// the first hint becomes the question's hint. Other question types, feedback on short and numerical answers, further
+    /// hints and units have no counterpart here and are left out with a warning.
+    /// </summary>
+    public class MoodleXmlQuizReader
+    {
+        /// <summary>
+        /// Reads the XML. The document has no title; the caller supplies one, e.g. from the file name.
+        /// </summary>
+        public QuizImport Read(string content)
+        {
+            var document = new QuizDocument { Version = QuizDocument.CurrentVersion };
+            var import = new QuizImport { Document = document };
+
+            XDocument xml;
+            try
+            {
+                xml = XDocument.Parse(content, LoadOptions.SetLineInfo);
+            }
+            catch (XmlException ex)
+            {
+                import.Errors.Add(new ImportError { Line = ex.LineNumber, Path = "$", Message = $"The file is not valid XML: {ex.Message}" });
+                return import;
+            }
+
+            if (xml.Root?.Name.LocalName != "quiz")
+            {
+                import.Errors.Add(new ImportError { Line = LineOf(xml.Root), Path = "$", Message = "Expected a Moodle XML file with a <quiz> root element." });
+                return import;
+            }
+
+            string? tag = null;
+            foreach (var element in xml.Root.Elements("question"))
+            {
+                var type = (string?)element.Attribute("type") ?? "";
+                if (type == "category")
+                {
+                    tag = ImportText.CategoryTag(Text(element.Element("category")));
+                    continue;
+                }
+
+                var path = $"$.questions[{document.Questions.Count}]";
+                var line = LineOf(element);
+                void Warn(string message) => import.Warnings.Add(new ImportError { Line = line, Path = path, Message = message });
+
+                var question = ReadQuestion(element, type, Warn);
+                if (question == null)
+                    continue;
+
+                question.Line = line;
+                question.Tag = tag;
+                if (line != null)
+                    import.Lines[path] = line.Value;
+                document.Questions.Add(question);
+            }
+
+            return import;
+        }
+
+        private static QuestionDocument? ReadQuestion(XElement element, string type, Action<string> warn)
+        {
+            var name = Text(element.Element("name"));
+            if (type is not ("multichoice" or "truefalse" or "shortanswer" or "numerical" or "matching" or "ordering"))
+            {
+                warn($"Question \"{name}\" was skipped; {(type.Length == 0 ? "questions without a type" : $"\"{type}\" questions")} cannot be imported.");
+                return null;
+            }
+
+            var text = FormattedText(element.Element("questiontext"), "question text", warn);
+            var question = new QuestionDocument
+            {
+                Text = string.IsNullOrWhiteSpace(text) ? name : text,
+                Explanation = FormattedText(element.Element("generalfeedback"), "general feedback", warn)
+            };
+
+            if (ImportText.TryParseNumber(Value(element, "defaultgrade"), out var grade))
+            {
+                var points = Math.Clamp(Math.Round(grade, 2), 0, 100);
+                if (points != grade)
+                    warn($"The question is worth {grade:0.##} points in Moodle; imported as {points:0.##}.");
+                question.Points = points;
+            }
+
+            var answers = element.Elements("answer").ToList();
+            if (type is "shortanswer" or "numerical" && answers.Any(a => !string.IsNullOrWhiteSpace(Text(a.Element("feedback")))))
+                warn("Feedback on accepted answers is not imported.");
+
+            // Moodle gives a hint per extra try; the first one becomes the question's hint, free to reveal
+            var hints = element.Elements("hint").Select(h => FormattedText(h, "a hint", warn)).OfType<string>().ToList();
+            question.Hint = hints.FirstOrDefault();
+            if (hints.Count > 1)
+                warn("Only the first hint was imported.");
+
+            switch (type)
+            {
+                case "multichoice":
+                    var single = Value(element, "single") is "true" or "1";
+                    var fractions = answers.Select(Fraction).ToList();
+                    if (!single)
+                    {
+                        question.Type = nameof(QuestionType.MultipleChoice);
+                        if (fractions.Any(f => f is > 0 and < 100))
+                            question.ScoringMode = nameof(ScoringMode.PartialCredit);
+                        if (fractions.Any(f => f < 0))
+                            warn("Negative answer weights were left out; set a penalty on the question or quiz to take points off for wrong answers.");
+                    }
+                    else
+                    {
+                        question.Type = nameof(QuestionType.SingleChoice);
+                        if (fractions.Any(f => f is > 0 and < 100))
+                            warn("Answers worth part of the points were imported as wrong.");
+                    }
+
+                    for (var i = 0; i < answers.Count; i++)
+                    {
+                        question.Options.Add(new OptionDocument
+                        {
+                            Text = FormattedText(answers[i], "an answer", warn) ?? "",
+                            IsCorrect = single ? fractions[i] >= 100 : fractions[i] > 0,
+                            Feedback = FormattedText(answers[i].Element("feedback"), "answer feedback", warn)
+                        });
+                    }
+                    break;
+
+                case "truefalse":
+                    question.Type = nameof(QuestionType.SingleChoice);
+                    var trueAnswer = answers.FirstOrDefault(a => Text(a)?.Equals("true", StringComparison.OrdinalIgnoreCase) == true);
+                    var falseAnswer = answers.FirstOrDefault(a => a != trueAnswer);
+                    var trueIsCorrect = trueAnswer != null && Fraction(trueAnswer) >= 100;
+                    question.Options.Add(new OptionDocument
+                    {
+                        Text = "True",
+                        IsCorrect = trueIsCorrect,
+                        Feedback = FormattedText(trueAnswer?.Element("feedback"), "answer feedback", warn)
+                    });
+                    question.Options.Add(new OptionDocument
+                    {
+                        Text = "False",
+                        IsCorrect = !trueIsCorrect,
+                        Feedback = FormattedText(falseAnswer?.Element("feedback"), "answer feedback", warn)
+                    });
+                    break;
+
+                case "shortanswer":
+                    question.Type = nameof(QuestionType.ShortText);
+                    question.CaseSensitive = Value(element, "usecase") is "1" or "true";
+                    if (answers.Any(a => Fraction(a) is > 0 and < 100))
+                        warn("Answers worth part of the points were imported as wrong.");
+
+                    foreach (var answer in answers.Where(a => Fraction(a) >= 100))
+                    {
+                        var accepted = Text(answer) ?? "";
+                        if (accepted.Contains('*'))
+                        {
+                            // Moodle's * wildcard matches anything; a single wildcard answer becomes the answer pattern
+                            if (question.AnswerPattern == null)
+                                question.AnswerPattern = string.Join(".*", accepted.Split('*').Select(Regex.Escape));
+                            else
+                                warn($"Only the first wildcard answer was imported; \"{accepted}\" was left out.");
+                        }
+                        else
+                        {
+                            question.Options.Add(new OptionDocument { Text = accepted, IsCorrect = true });
+                        }
+                    }
+                    break;
+
+                case "numerical":
+                    question.Type = nameof(QuestionType.Numeric);
+                    var exact = answers.FirstOrDefault(a => Fraction(a) >= 100);
+                    if (answers.Count(a => Fraction(a) > 0) > 1)
+                        warn("Only the first fully correct number was imported.");
+                    if (exact != null && ImportText.TryParseNumber(Text(exact), out var number))
+                    {
+                        question.NumericAnswer = number;
+                        if (ImportText.TryParseNumber(Value(exact, "tolerance"), out var tolerance))
+                            question.Tolerance = tolerance;
+                    }
+                    if (element.Element("units")?.Elements("unit").Any() == true)
+                        warn("Units are not imported; players answer with the number only.");
+                    break;
+
+                case "matching":
+                    question.Type = nameof(QuestionType.Matching);
+                    foreach (var sub in element.Elements("subquestion"))
+                    {
+                        var item = FormattedText(sub, "a matching item", warn);
+                        var match = Text(sub.Element("answer"));
+                        if (string.IsNullOrWhiteSpace(item))
+                        {
+                            warn($"The extra wrong match \"{match}\" was left out.");
+                            continue;
+                        }
+                        question.Options.Add(new OptionDocument { Text = item, MatchText = match });
+                    }
+                    break;
+
+                case "ordering":
+                    // Answers are listed in the correct order
+                    question.Type = nameof(QuestionType.Ordering);
+                    foreach (var answer in answers)
+                    {
+                        question.Options.Add(new OptionDocument
+                        {
+                            Text = FormattedText(answer, "an item", warn) ?? "",
+                            Feedback = FormattedText(answer.Element("feedback"), "answer feedback", warn)
+                        });
+                    }
+                    break;
+            }
+
+            return question;
+        }
+
+        // Text of an element that has a format attribute; HTML is turned into plain text with a warning
+        private static string? FormattedText(XElement? element, string what, Action<string> warn)
+        {
+            var text = Text(element);
+            if (text == null || (string?)element!.Attribute("format") is not (null or "html" or "moodle_auto_format"))
+                return text;
+
+            text = ImportText.StripHtml(text, out var hadMarkup);
+            if (hadMarkup)
+                warn($"HTML formatting in {what} was removed.");
+            return text.Length == 0 ? null : text;
+        }
+
+        // Moodle keeps the content of most elements in a <text> child
+        private static string? Text(XElement? element)
+        {
+            var text = element?.Element("text")?.Value.Trim();
+            return string.IsNullOrEmpty(text) ? null : text;
+        }
+
+        private static string? Value(XElement element, string name)
+        {
+            return element.Element(name)?.Value.Trim();
+        }
+
+        private static double Fraction(XElement answer)
+        {
+            return ImportText.TryParseNumber((string?)answer.Attribute("fraction"), out var fraction) ? fraction : 0;
+        }
+
+        private static int? LineOf(XObject? node)
+        {
+            return node is IXmlLineInfo info && info.HasLineInfo() ? info.LineNumber : null;
+        }
+    }
+}
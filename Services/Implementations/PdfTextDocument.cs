@@ -0,0 +1,223 @@
+using System.Globalization;
+using System.Text;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Writes simple text-only PDF files: A4 pages of wrapped paragraphs in Helvetica, with page numbers.
+    /// Enough for printable quiz sheets without pulling in a PDF library. Text is limited to the Windows-1252
+    /// characters the standard PDF fonts can show; anything else is printed as "?".
+    /// </summary>
+    internal class PdfTextDocument
+    {
+        public record Paragraph(string Text, float Size = 11, bool Bold = false, float Indent = 0, float SpaceBefore = 0);
+
+        private const float PageWidth = 595;
+        private const float PageHeight = 842;
+        private const float Margin = 56;
+        private const float LineSpacing = 1.3f;
+
+        // Advance widths of Helvetica for the characters ' ' to '~', in 1/1000 of the font size (from the standard font metrics)
+        private static readonly int[] HelveticaWidths =
+        {
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        };
+
+        // Windows-1252 bytes for the characters between 0x80 and 0x9F that text is likely to contain
+        private static readonly Dictionary<char, byte> WinAnsiExtras = new()
+        {
+            ['€'] = 0x80, ['…'] = 0x85, ['‘'] = 0x91, ['’'] = 0x92, ['“'] = 0x93, ['”'] = 0x94,
+            ['•'] = 0x95, ['–'] = 0x96, ['—'] = 0x97, ['™'] = 0x99
+        };
+
+        private readonly List<StringBuilder> _pages = new();
+        private float _y;
+
+        /// <summary>
+        /// Starts a new page. Paragraphs added before the first call start one automatically.
+        /// </summary>
+        public void NewPage()
+        {
+            _pages.Add(new StringBuilder());
+            _y = PageHeight - Margin;
+        }
+
+        /// <summary>
+        /// Adds paragraphs that belong together, such as a question and its options. They move to the next page
+        /// together when they do not fit on the current one, unless they would not fit on an empty page either.
+        /// </summary>
+        public void Add(params Paragraph[] block)
+        {
+            if (_pages.Count == 0)
+                NewPage();
+
+            var lines = block.Select(p => (Paragraph: p, Lines: Wrap(p))).ToList();
+            var height = lines.Sum(l => l.Paragraph.SpaceBefore + l.Lines.Count * l.Paragraph.Size * LineSpacing);
+            var pageIsEmpty = _y >= PageHeight - Margin;
+            if (!pageIsEmpty && _y - height < Margin && height <= PageHeight - 2 * Margin)
+                NewPage();
+
+            foreach (var (paragraph, wrapped) in lines)
+            {
+                _y -= paragraph.SpaceBefore;
+                foreach (var line in wrapped)
+                {
+                    if (_y - paragraph.Size * LineSpacing < Margin)
+                        NewPage();
+                    _y -= paragraph.Size * LineSpacing;
+                    WriteText(_pages[^1], line, Margin + paragraph.Indent, _y, paragraph.Size, paragraph.Bold);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Returns the finished PDF file, with "Page n of m" at the bottom of every page.
+        /// </summary>
+        public byte[] ToBytes(string title)
+        {
+            if (_pages.Count == 0)
+                NewPage();
+
+            // Objects: 1 catalog, 2 page tree, 3 and 4 fonts, 5 document info, then a page and its content stream per page
+            var objects = new List<byte[]>
+            {
+                Ascii("<< /Type /Catalog /Pages 2 0 R >>"),
+                Ascii($"<< /Type /Pages /Count {_pages.Count} /Kids [{string.Join(" ", _pages.Select((_, i) => $"{6 + 2 * i} 0 R"))}] >>"),
+                Ascii("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"),
+                Ascii("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"),
+                Concat(Ascii("<< /Title "), PdfString(title), Ascii(" /Producer (QuizApp) >>"))
+            };
+
+            for (var i = 0; i < _pages.Count; i++)
+            {
+                var footer = $"Page {i + 1} of {_pages.Count}";
+                WriteText(_pages[i], footer, (PageWidth - Measure(footer, 9, false)) / 2, Margin / 2, 9, false);
+
+                var content = Latin1(_pages[i].ToString());
+                objects.Add(Ascii($"<< /Type /Page /Parent 2 0 R /MediaBox [0 0 {PageWidth} {PageHeight}] " +
+                                  $"/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents {7 + 2 * i} 0 R >>"));
+                objects.Add(Concat(Ascii($"<< /Length {content.Length} >>\nstream\n"), content, Ascii("\nendstream")));
+            }
+
+            using var output = new MemoryStream();
+            // The comment with bytes above 127 tells file transfer tools that the file is binary
+            output.Write(Ascii("%PDF-1.4\n"));
+            output.Write(new byte[] { (byte)'%', 0xE2, 0xE3, 0xCF, 0xD3, (byte)'\n' });
+
+            var offsets = new List<long>();
+            for (var i = 0; i < objects.Count; i++)
+            {
+                offsets.Add(output.Position);
+                output.Write(Ascii($"{i + 1} 0 obj\n"));
+                output.Write(objects[i]);
+                output.Write(Ascii("\nendobj\n"));
+            }
+
+            var xref = output.Position;
+            var trailer = new StringBuilder();
+            trailer.Append($"xref\n0 {objects.Count + 1}\n0000000000 65535 f \n");
+            foreach (var offset in offsets)
+                trailer.Append($"{offset:D10} 00000 n \n");
+            trailer.Append($"trailer\n<< /Size {objects.Count + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n{xref}\n%%EOF\n");
+            output.Write(Ascii(trailer.ToString()));
+
+            return output.ToArray();
+        }
+
+        // Breaks a paragraph into lines that fit between its indent and the right margin, keeping explicit line breaks
+        private static List<string> Wrap(Paragraph paragraph)
+        {
+            var width = PageWidth - 2 * Margin - paragraph.Indent;
+            var lines = new List<string>();
+
+            foreach (var text in paragraph.Text.Replace("\r\n", "\n").Split('\n'))
+            {
+                var line = "";
+                foreach (var word in text.Split(' ', StringSplitOptions.RemoveEmptyEntries))
+                {
+                    var candidate = line.Length == 0 ? word : $"{line} {word}";
+                    if (Measure(candidate, paragraph.Size, paragraph.Bold) <= width)
+                    {
+                        line = candidate;
+                        continue;
+                    }
+
+                    if (line.Length > 0)
+                        lines.Add(line);
+
+                    // A word wider than the line is cut wherever it has to be
+                    line = word;
+                    while (Measure(line, paragraph.Size, paragraph.Bold) > width && line.Length > 1)
+                    {
+                        var fit = line.Length - 1;
+                        while (fit > 1 && Measure(line[..fit], paragraph.Size, paragraph.Bold) > width)
+                            fit--;
+                        lines.Add(line[..fit]);
+                        line = line[fit..];
+                    }
+                }
+                lines.Add(line);
+            }
+
+            return lines;
+        }
+
+        // Bold letters are a little wider; scaling the regular widths is close enough for wrapping
+        private static float Measure(string text, float size, bool bold)
+        {
+            var units = text.Sum(c => c >= ' ' && c <= '~' ? HelveticaWidths[c - ' '] : 556);
+            return units * size / 1000 * (bold ? 1.08f : 1f);
+        }
+
+        private static void WriteText(StringBuilder page, string text, float x, float y, float size, bool bold)
+        {
+            page.Append("BT /").Append(bold ? "F2 " : "F1 ").Append(Format(size)).Append(" Tf ")
+                .Append(Format(x)).Append(' ').Append(Format(y)).Append(" Td (");
+
+            foreach (var c in text)
+            {
+                if (c is '(' or ')' or '\\')
+                    page.Append('\\');
+                page.Append(ToWinAnsi(c));
+            }
+
+            page.Append(") Tj ET\n");
+        }
+
+        // Content streams are kept as strings of Windows-1252 characters; the Latin-1 range maps one to one
+        private static char ToWinAnsi(char c)
+        {
+            if ((c >= ' ' && c <= '~') || (c >= '\u00A0' && c <= '\u00FF'))
+                return c;
+            return WinAnsiExtras.TryGetValue(c, out var b) ? (char)b : '?';
+        }
+
+        private static byte[] PdfString(string text)
+        {
+            var escaped = new StringBuilder("(");
+            foreach (var c in text)
+            {
+                if (c is '(' or ')' or '\\')
+                    escaped.Append('\\');
+                escaped.Append(ToWinAnsi(c));
+            }
+            return Latin1(escaped.Append(')').ToString());
+        }
+
+        private static string Format(float value)
+        {
+            return value.ToString("0.##", CultureInfo.InvariantCulture);
+        }
+
+        private static byte[] Ascii(string text) => Encoding.ASCII.GetBytes(text);
+
+        private static byte[] Latin1(string text) => Encoding.Latin1.GetBytes(text);
+
+        private static byte[] Concat(params byte[][] parts) => parts.SelectMany(p => p).ToArray();
+    }
+}
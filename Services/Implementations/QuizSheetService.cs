@@ -0,0 +1,168 @@
+using System.Globalization;
+using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Lays quizzes out for printing: question sheets with lettered options, optional shuffled variants, and an answer key
+    /// per variant, as data for the SPA print page and as a PDF.
+    /// </summary>
+    public class QuizSheetService : IQuizSheetService
+    {
+        private readonly IAttemptService _attemptService;
+
+        public QuizSheetService(IAttemptService attemptService)
+        {
+            _attemptService = attemptService;
+        }
+
+        /// <summary>
+        /// Builds the sheet for a quiz loaded with its questions and options. Every question is printed; question pools
+        /// only apply to attempts in the app. Variants are shuffled with a seed taken from the quiz and the variant,
+        /// so printing the same variant again gives the same sheet and key.
+        /// </summary>
+        public QuizSheet Build(Quiz quiz, int variantCount)
+        {
+            var sheet = new QuizSheet
+            {
+                QuizId = quiz.QuizId,
+                Title = quiz.Title,
+                Description = quiz.Description,
+                TotalPoints = quiz.Questions.Sum(q => q.Points)
+            };
+
+            var shuffle = variantCount > 1;
+            for (var i = 0; i < variantCount; i++)
+            {
+                // Shuffled through the same ordering as attempts, whatever the quiz's own shuffle settings
+                var ordering = new Quiz { QuizId = quiz.QuizId, ShuffleQuestions = shuffle, ShuffleOptions = shuffle, Questions = quiz.Questions };
+                var seed = new Attempt { ShuffleSeed = unchecked(quiz.QuizId * 7919 + i) };
+
+                var variant = new SheetVariant { Name = shuffle ? Letter(i) : null };
+                foreach (var question in _attemptService.OrderQuestions(ordering, seed))
+                {
+                    variant.Questions.Add(BuildQuestion(
+                        question,
+                        variant.Questions.Count + 1,
+                        _attemptService.OrderOptions(ordering, question, seed),
+                        question.Type == QuestionType.Matching ? _attemptService.OrderMatchChoices(question, seed) : new List<string>()));
+                }
+                sheet.Variants.Add(variant);
+            }
+
+            return sheet;
+        }
+
+        /// <summary>
+        /// Renders the sheet as an A4 PDF: each variant's questions, followed by that variant's answer key on a page of its own.
+        /// </summary>
+        public byte[] RenderPdf(QuizSheet sheet)
+        {
+            var pdf = new PdfTextDocument();
+
+            foreach (var variant in sheet.Variants)
+            {
+                var heading = variant.Name == null ? sheet.Title : $"{sheet.Title} - Variant {variant.Name}";
+
+                pdf.NewPage();
+                pdf.Add(new PdfTextDocument.Paragraph(heading, 16, Bold: true));
+                if (sheet.Description != null)
+                    pdf.Add(new PdfTextDocument.Paragraph(sheet.Description, SpaceBefore: 4));
+                pdf.Add(new PdfTextDocument.Paragraph($"Name: ______________________________    Total: ____ / {Number(sheet.TotalPoints)} points", SpaceBefore: 12));
+
+                foreach (var question in variant.Questions)
+                    pdf.Add(QuestionParagraphs(question).ToArray());
+
+                pdf.NewPage();
+                pdf.Add(new PdfTextDocument.Paragraph($"Answer key: {heading}", 16, Bold: true));
+                foreach (var question in variant.Questions)
+                {
+                    pdf.Add(new PdfTextDocument.Paragraph(
+                        $"{question.Number}. {question.Answer}  ({Points(question.Points)})",
+                        SpaceBefore: question.Number == 1 ? 12 : 2));
+                }
+            }
+
+            return pdf.ToBytes(sheet.Title);
+        }
+
+        private static SheetQuestion BuildQuestion(Question question, int number, List<Option> options, List<string> matchChoices)
+        {
+            var sheetQuestion = new SheetQuestion
+            {
+                Number = number,
+                QuestionId = question.Id,
+                Text = question.Text,
+                Type = question.Type,
+                Points = question.Points,
+                MatchChoices = matchChoices
+            };
+
+            // Short text options are the accepted answers, so they only appear in the key
+            if (question.Type is not (QuestionType.ShortText or QuestionType.Numeric))
+            {
+                sheetQuestion.Options = options
+                    .Select((o, i) => new SheetOption { Letter = Letter(i), Text = o.Text })
+                    .ToList();
+            }
+
+            string LetterOf(Option option) => Letter(options.IndexOf(option));
+
+            sheetQuestion.Answer = question.Type switch
+            {
+                QuestionType.ShortText => string.Join(" / ", question.Options.Select(o => o.Text)
+                    .Concat(question.AnswerPattern == null ? Enumerable.Empty<string>() : new[] { $"pattern: {question.AnswerPattern}" })),
+                QuestionType.Numeric => question.Tolerance > 0
+                    ? $"{Number(question.NumericAnswer)} (± {Number(question.Tolerance)})"
+                    : Number(question.NumericAnswer),
+                // The authored order is the correct one
+                QuestionType.Ordering => string.Join(", ", question.Options.Select(LetterOf)),
+                QuestionType.Matching => string.Join(", ", options.Select(o => $"{LetterOf(o)}-{matchChoices.IndexOf(o.MatchText ?? "") + 1}")),
+                _ => string.Join(", ", options.Where(o => o.IsCorrect).Select(LetterOf))
+            };
+
+            return sheetQuestion;
+        }
+
+        private static IEnumerable<PdfTextDocument.Paragraph> QuestionParagraphs(SheetQuestion question)
+        {
+            yield return new PdfTextDocument.Paragraph($"{question.Number}. {question.Text}  ({Points(question.Points)})", Bold: true, SpaceBefore: 14);
+
+            var instruction = question.Type switch
+            {
+                QuestionType.MultipleChoice => "Circle all correct answers.",
+                QuestionType.Ordering => "Write the letters in the correct order.",
+                QuestionType.Matching => "Write the number of the matching answer next to each letter.",
+                QuestionType.SingleChoice => "Circle one answer.",
+                _ => null
+            };
+            if (instruction != null)
+                yield return new PdfTextDocument.Paragraph(instruction, 9, Indent: 14, SpaceBefore: 2);
+
+            foreach (var option in question.Options)
+                yield return new PdfTextDocument.Paragraph($"{option.Letter}. {option.Text}", Indent: 14, SpaceBefore: 3);
+
+            for (var i = 0; i < question.MatchChoices.Count; i++)
+                yield return new PdfTextDocument.Paragraph($"{i + 1}. {question.MatchChoices[i]}", Indent: 28, SpaceBefore: i == 0 ? 8 : 3);
+
+            if (question.Type is not (QuestionType.SingleChoice or QuestionType.MultipleChoice))
+                yield return new PdfTextDocument.Paragraph("Answer: ____________________________________________", Indent: 14, SpaceBefore: 10);
+        }
+
+        private static string Letter(int index)
+        {
+            return ((char)('A' + index)).ToString();
+        }
+
+        private static string Points(double points)
+        {
+            return points == 1 ? "1 point" : $"{Number(points)} points";
+        }
+
+        private static string Number(double? value)
+        {
+            return value?.ToString(CultureInfo.InvariantCulture) ?? "";
+        }
+    }
+}
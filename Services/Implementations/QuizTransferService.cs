@@ -0,0 +1,472 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
+using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Converts quizzes to and from <see cref="QuizDocument"/> JSON files, so quizzes can be authored outside the app,
+    /// and reads quizzes written in other tools (CSV, GIFT, Moodle XML) into the same document first.
+    /// Imported documents are checked against the same rules as the question editor, and every problem is reported
+    /// with the line of the file it is on. Nothing is saved here; the caller adds the resulting quiz in one go.
+    /// </summary>
+    public class QuizTransferService : IQuizTransferService
+    {
+        private static readonly JsonSerializerOptions JsonOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            PropertyNameCaseInsensitive = true,
+            DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+            ReadCommentHandling = JsonCommentHandling.Skip,
+            AllowTrailingCommas = true,
+            WriteIndented = true
+        };
+
+        /// <summary>
+        /// Builds the document for a quiz. The quiz must be loaded with its questions and options.
+        /// </summary>
+        public QuizDocument Export(Quiz quiz)
+        {
+            return new QuizDocument
+            {
+                Version = QuizDocument.CurrentVersion,
+                Title = quiz.Title,
+                Description = quiz.Description,
+                TimeLimitMinutes = quiz.TimeLimitMinutes,
+                OneQuestionPerPage = quiz.OneQuestionPerPage,
+                ShuffleQuestions = quiz.ShuffleQuestions,
+                ShuffleOptions = quiz.ShuffleOptions,
+                DrawCount = quiz.DrawCount,
+                DrawPerTag = quiz.DrawPerTag,
+                MaxAttempts = quiz.MaxAttempts,
+                CooldownMinutes = quiz.CooldownMinutes,
+                GradingPolicy = quiz.GradingPolicy.ToString(),
+                PassPercent = quiz.PassPercent,
+                PenaltyPercent = quiz.PenaltyPercent,
+                PenaltyFloor = quiz.PenaltyFloor.ToString(),
+                GradeBands = quiz.GradeBands
+                    .OrderByDescending(b => b.MinPercent)
+                    .Select(b => new GradeBandDocument { Label = b.Label, MinPercent = b.MinPercent })
+                    .ToList(),
+                Questions = quiz.Questions.Select(q => new QuestionDocument
+                {
+                    Text = q.Text,
+                    Type = q.Type.ToString(),
+                    ScoringMode = q.ScoringMode.ToString(),
+                    CaseSensitive = q.CaseSensitive,
+                    AnswerPattern = q.AnswerPattern,
+                    NumericAnswer = q.NumericAnswer,
+                    Tolerance = q.Tolerance,
+                    Points = q.Points,
+                    Penalty = q.Penalty,
+                    TimeLimitSeconds = q.TimeLimitSeconds,
+                    Tag = q.Tag,
+                    Explanation = q.Explanation,
+                    Hint = q.Hint,
+                    HintCost = q.HintCost,
+                    Options = q.Options.OrderBy(o => o.Order).ThenBy(o => o.Id).Select(o => new OptionDocument
+                    {
+                        Text = o.Text,
+                        IsCorrect = o.IsCorrect,
+                        MatchText = o.MatchText,
+                        Feedback = o.Feedback
+                    }).ToList()
+                }).ToList()
+            };
+        }
+
+        public string ToJson(QuizDocument document)
+        {
+            return JsonSerializer.Serialize(document, JsonOptions);
+        }
+
+        public QuizImportFormat? GetFormat(string fileName)
+        {
+            return Path.GetExtension(fileName).ToLowerInvariant() switch
+            {
+                ".json" => QuizImportFormat.Json,
+                ".csv" => QuizImportFormat.Csv,
+                ".gift" or ".txt" => QuizImportFormat.Gift,
+                ".xml" => QuizImportFormat.MoodleXml,
+                _ => null
+            };
+        }
+
+        public QuizImport ReadJson(string json)
+        {
+            return Read(json, QuizImportFormat.Json, null);
+        }
+
+        /// <summary>
+        /// Reads and checks a quiz file. Returns the quiz, with its questions and options, when the file is valid;
+        /// otherwise the list of problems found, each with its line number and the JSON path of the document it maps to.
+        /// A title, when given, replaces the title in the file; CSV, GIFT and Moodle XML files have none of their own.
+        /// </summary>
+        public QuizImport Read(string content, QuizImportFormat format, string? title)
+        {
+            var import = format switch
+            {
+                QuizImportFormat.Csv => new CsvQuizReader().Read(content),
+                QuizImportFormat.Gift => new GiftQuizReader().Read(content),
+                QuizImportFormat.MoodleXml => new MoodleXmlQuizReader().Read(content),
+                _ => ParseJson(content)
+            };
+
+            var document = import.Document;
+            if (document == null)
+                return import;
+
+            if (!string.IsNullOrWhiteSpace(title))
+                document.Title = title;
+
+            if (format != QuizImportFormat.Json && document.Questions.Count == 0 && import.Errors.Count == 0)
+                import.Errors.Add(new ImportError { Path = "$.questions", Message = "No questions that can be imported were found in the file." });
+
+            var quiz = Build(document, (path, message) => import.Errors.Add(new ImportError
+            {
+                Line = LineOf(import.Lines, path),
+                Path = path,
+                Message = message
+            }));
+
+            if (import.Errors.Count == 0)
+                import.Quiz = quiz;
+
+            return import;
+        }
+
+        private static QuizImport ParseJson(string json)
+        {
+            var import = new QuizImport();
+
+            QuizDocument? document;
+            try
+            {
+                document = JsonSerializer.Deserialize<QuizDocument>(json, JsonOptions);
+            }
+            catch (JsonException ex)
+            {
+                // LineNumber is 0-based, and missing when the document ends too early
+                import.Errors.Add(new ImportError
+                {
+                    Line = ex.LineNumber == null ? null : (int)ex.LineNumber.Value + 1,
+                    Path = ex.Path ?? "$",
+                    Message = "The file is not valid JSON or a value has the wrong type."
+                });
+                return import;
+            }
+
+            if (document == null)
+            {
+                import.Errors.Add(new ImportError { Line = 1, Path = "$", Message = "The file does not contain a quiz." });
+                return import;
+            }
+
+            import.Document = document;
+            import.Lines = MapLines(Encoding.UTF8.GetBytes(json));
+            for (var i = 0; i < document.Questions.Count; i++)
+                document.Questions[i].Line = LineOf(import.Lines, $"$.questions[{i}]");
+
+            return import;
+        }
+
+        // Turns the document into entities, reporting every problem instead of stopping at the first one
+        private static Quiz Build(QuizDocument document, Action<string, string> error)
+        {
+            if (document.Version != QuizDocument.CurrentVersion)
+                error("$.version", $"Unsupported version {document.Version}; expected {QuizDocument.CurrentVersion}.");
+
+            var quiz = new Quiz
+            {
+                Title = document.Title?.Trim() ?? "",
+                Description = string.IsNullOrWhiteSpace(document.Description) ? null : document.Description.Trim(),
+                TimeLimitMinutes = document.TimeLimitMinutes,
+                OneQuestionPerPage = document.OneQuestionPerPage,
+                ShuffleQuestions = document.ShuffleQuestions,
+                ShuffleOptions = document.ShuffleOptions,
+                DrawCount = document.DrawCount,
+                DrawPerTag = document.DrawPerTag,
+                MaxAttempts = document.MaxAttempts,
+                CooldownMinutes = document.CooldownMinutes,
+                PassPercent = document.PassPercent,
+                PenaltyPercent = document.PenaltyPercent
+            };
+            Validate(quiz, "$", error);
+
+            if (document.GradingPolicy != null)
+            {
+                if (Enum.TryParse<GradingPolicy>(document.GradingPolicy, true, out var policy) && Enum.IsDefined(policy))
+                    quiz.GradingPolicy = policy;
+                else
+                    error("$.gradingPolicy", $"Unknown grading policy \"{document.GradingPolicy}\". Use one of: {string.Join(", ", Enum.GetNames<GradingPolicy>())}.");
+            }
+
+            if (document.PenaltyFloor != null)
+            {
+                if (Enum.TryParse<PenaltyFloor>(document.PenaltyFloor, true, out var floor) && Enum.IsDefined(floor))
+                    quiz.PenaltyFloor = floor;
+                else
+                    error("$.penaltyFloor", $"Unknown penalty floor \"{document.PenaltyFloor}\". Use one of: {string.Join(", ", Enum.GetNames<PenaltyFloor>())}.");
+            }
+
+            for (var i = 0; i < document.GradeBands.Count; i++)
+            {
+                var band = new GradeBand
+                {
+                    Label = document.GradeBands[i].Label?.Trim() ?? "",
+                    MinPercent = document.GradeBands[i].MinPercent
+                };
+                if (quiz.GradeBands.Any(b => b.MinPercent == band.MinPercent))
+                    error($"$.gradeBands[{i}].minPercent", $"Another grade already starts at {band.MinPercent}%.");
+
+                quiz.GradeBands.Add(band);
+                Validate(band, $"$.gradeBands[{i}]", error);
+            }
+
+            for (var i = 0; i < document.Questions.Count; i++)
+                quiz.Questions.Add(BuildQuestion(document.Questions[i], $"$.questions[{i}]", error));
+
+            return quiz;
+        }
+
+        private static Question BuildQuestion(QuestionDocument document, string path, Action<string, string> error)
+        {
+            var question = new Question
+            {
+                Text = document.Text?.Trim() ?? "",
+                CaseSensitive = document.CaseSensitive,
+                NumericAnswer = document.NumericAnswer,
+                Tolerance = document.Tolerance,
+                Points = document.Points,
+                Penalty = document.Penalty,
+                TimeLimitSeconds = document.TimeLimitSeconds,
+                Tag = string.IsNullOrWhiteSpace(document.Tag) ? null : document.Tag.Trim(),
+                Explanation = string.IsNullOrWhiteSpace(document.Explanation) ? null : document.Explanation.Trim(),
+                Hint = string.IsNullOrWhiteSpace(document.Hint) ? null : document.Hint.Trim()
+            };
+            question.HintCost = question.Hint == null ? 0 : document.HintCost;
+
+            if (document.Type != null)
+            {
+                if (Enum.TryParse<QuestionType>(document.Type, true, out var type) && Enum.IsDefined(type))
+                    question.Type = type;
+                else
+                    error($"{path}.type", $"Unknown question type \"{document.Type}\". Use one of: {string.Join(", ", Enum.GetNames<QuestionType>())}.");
+            }
+
+            if (document.ScoringMode != null)
+            {
+                if (Enum.TryParse<ScoringMode>(document.ScoringMode, true, out var mode) && Enum.IsDefined(mode))
+                    question.ScoringMode = mode;
+                else
+                    error($"{path}.scoringMode", $"Unknown scoring mode \"{document.ScoringMode}\". Use one of: {string.Join(", ", Enum.GetNames<ScoringMode>())}.");
+            }
+
+            if (question.Type == QuestionType.ShortText && !string.IsNullOrWhiteSpace(document.AnswerPattern))
+                question.AnswerPattern = document.AnswerPattern.Trim();
+
+            Validate(question, path, error);
+
+            for (var i = 0; i < document.Options.Count; i++)
+            {
+                var option = document.Options[i];
+                var optionPath = $"{path}.options[{i}]";
+                if (string.IsNullOrWhiteSpace(option.Text))
+                    error($"{optionPath}.text", "Option text is required.");
+
+                question.Options.Add(new Option
+                {
+                    Text = option.Text?.Trim() ?? "",
+                    IsCorrect = option.IsCorrect,
+                    Order = i,
+                    MatchText = question.Type == QuestionType.Matching && !string.IsNullOrWhiteSpace(option.MatchText)
+                        ? option.MatchText.Trim()
+                        : null,
+                    Feedback = string.IsNullOrWhiteSpace(option.Feedback) ? null : option.Feedback.Trim()
+                });
+                Validate(question.Options[i], optionPath, error);
+            }
+
+            ValidateAnswers(question, path, error);
+
+            return question;
+        }
+
+        // Same rules as the question editor (see QuestionsController), except that the document says which options are correct
+        private static void ValidateAnswers(Question question, string path, Action<string, string> error)
+        {
+            var options = question.Options;
+            var optionsPath = $"{path}.options";
+
+            switch (question.Type)
+            {
+                case QuestionType.ShortText:
+                    foreach (var o in options)
+                        o.IsCorrect = true;
+
+                    if (options.Count == 0 && question.AnswerPattern == null)
+                        error(path, "Add at least one accepted answer or an answer pattern.");
+
+                    if (question.AnswerPattern != null && !IsValidPattern(question.AnswerPattern))
+                        error($"{path}.answerPattern", "The answer pattern is not a valid regular expression.");
+                    break;
+
+                case QuestionType.Numeric:
+                    options.Clear();
+
+                    if (question.NumericAnswer == null)
+                        error($"{path}.numericAnswer", "Numeric questions need a numericAnswer.");
+                    if (question.Tolerance < 0)
+                        error($"{path}.tolerance", "Tolerance cannot be negative.");
+                    break;
+
+                case QuestionType.Ordering:
+                    foreach (var o in options)
+                        o.IsCorrect = false;
+
+                    if (options.Count < 2)
+                        error(optionsPath, "Add at least two items to put in order.");
+                    break;
+
+                case QuestionType.Matching:
+                    foreach (var o in options)
+                        o.IsCorrect = false;
+
+                    if (options.Count < 2)
+                        error(optionsPath, "Add at least two pairs to match.");
+
+                    for (var i = 0; i < options.Count; i++)
+                    {
+                        if (options[i].MatchText == null)
+                            error($"{optionsPath}[{i}]", "Every item needs a matchText.");
+                    }
+                    break;
+
+                case QuestionType.MultipleChoice:
+                    if (options.Count < 2)
+                        error(optionsPath, "At least two options required.");
+
+                    if (!options.Any(o => o.IsCorrect))
+                        error(optionsPath, "Mark at least one option as correct.");
+                    break;
+
+                default:
+                    if (options.Count < 2)
+                        error(optionsPath, "At least two options required.");
+
+                    if (options.Count(o => o.IsCorrect) != 1)
+                        error(optionsPath, "Mark exactly one option as correct.");
+                    break;
+            }
+        }
+
+        // Runs the data annotations of an entity, reporting each failing property under its camelCase name
+        private static void Validate(object entity, string path, Action<string, string> error)
+        {
+            var results = new List<ValidationResult>();
+            Validator.TryValidateObject(entity, new ValidationContext(entity), results, validateAllProperties: true);
+
+            foreach (var result in results)
+            {
+                var member = result.MemberNames.FirstOrDefault();
+                var memberPath = member == null ? path : $"{path}.{JsonNamingPolicy.CamelCase.ConvertName(member)}";
+                error(memberPath, result.ErrorMessage ?? "Invalid value.");
+            }
+        }
+
+        private static bool IsValidPattern(string pattern)
+        {
+            try
+            {
+                _ = new Regex(pattern);
+                return true;
+            }
+            catch (ArgumentException)
+            {
+                return false;
+            }
+        }
+
+        // Walks the JSON once and records the line every property and array item starts on, keyed by its JSON path
+        // ("$.questions[1].points"). System.Text.Json only reports lines for syntax errors, not for values it read fine.
+        private static Dictionary<string, int> MapLines(byte[] json)
+        {
+            var lines = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+            var reader = new Utf8JsonReader(json, new JsonReaderOptions
+            {
+                CommentHandling = JsonCommentHandling.Skip,
+                AllowTrailingCommas = true
+            });
+
+            // Path of each open object or array, and the index of the next item for arrays
+            var containers = new Stack<(string Path, bool IsArray, int Next)>();
+            string? property = null;
+            var line = 1;
+            long scanned = 0;
+
+            while (reader.Read())
+            {
+                for (; scanned < reader.TokenStartIndex; scanned++)
+                {
+                    if (json[scanned] == (byte)'\n')
+                        line++;
+                }
+
+                if (reader.TokenType == JsonTokenType.PropertyName)
+                {
+                    property = reader.GetString();
+                    lines.TryAdd($"{containers.Peek().Path}.{property}", line);
+                    continue;
+                }
+
+                if (reader.TokenType is JsonTokenType.EndObject or JsonTokenType.EndArray)
+                {
+                    containers.Pop();
+                    continue;
+                }
+
+                // A value: work out its path from the container it is in
+                string path;
+                if (containers.Count == 0)
+                {
+                    path = "$";
+                }
+                else if (containers.Peek().IsArray)
+                {
+                    var array = containers.Pop();
+                    path = $"{array.Path}[{array.Next}]";
+                    containers.Push((array.Path, true, array.Next + 1));
+                }
+                else
+                {
+                    path = $"{containers.Peek().Path}.{property}";
+                }
+                lines.TryAdd(path, line);
+
+                if (reader.TokenType is JsonTokenType.StartObject or JsonTokenType.StartArray)
+                    containers.Push((path, reader.TokenType == JsonTokenType.StartArray, 0));
+            }
+
+            return lines;
+        }
+
+        // Falls back to the closest enclosing element that is in the file, e.g. the question for a missing property
+        private static int? LineOf(Dictionary<string, int> lines, string path)
+        {
+            while (true)
+            {
+                if (lines.TryGetValue(path, out var line))
+                    return line;
+
+                var cut = Math.Max(path.LastIndexOf('.'), path.LastIndexOf('['));
+                if (cut <= 0)
+                    return null;
+                path = path[..cut];
+            }
+        }
+    }
+}
@@ -0,0 +1,297 @@
+using System.Globalization;
+using System.Text.RegularExpressions;
+using QuizApp.Models;
+using QuizApp.Services.Interfaces;
+
+namespace QuizApp.Services.Implementations
+{
+    /// <summary>
+    /// Scores quiz answers on the server. Keeps the correct answers out of the client:
+    /// players only send the options they picked (or the text they typed) and receive the points they earned.
+    /// </summary>
+    public class ScoringService : IScoringService
+    {
+        // Admin-written patterns run against player input, so a runaway pattern must not hang the request
+        private static readonly TimeSpan PatternTimeout = TimeSpan.FromMilliseconds(100);
+
+        /// <summary>
+        /// Scores the given answers against a quiz loaded with its questions and options.
+        /// Every question counts towards the total. Choice questions are scored on the picked options, short text
+        /// and numeric questions on the typed answer, ordering questions per position and matching questions per pair.
+        /// Multiple choice, ordering and matching questions can give partial credit (see <see cref="ScoringMode"/>),
+        /// and wrong answers can cost points when the quiz or question has a penalty (see <see cref="PenaltyFloor"/>).
+        /// Answers for unknown questions or options that do not belong to the question are ignored.
+        /// The result is graded against the quiz's pass mark and grade scale (see <see cref="Grade"/>).
+        /// </summary>
+        public ScoreResult Score(Quiz quiz, IEnumerable<AnswerSubmission> answers)
+        {
+            return Grade(quiz, Score(quiz, quiz.Questions, answers, new List<int>()));
+        }
+
+        /// <summary>
+        /// Scores the given answers against just these questions of the quiz, e.g. the ones drawn for an attempt from a question pool.
+        /// Works the same as scoring a whole quiz, penalties included, but leaves grading to <see cref="Grade"/>;
+        /// answers to any other question are ignored. Questions in hintQuestionIds had their hint revealed and lose its cost,
+        /// whether answered or not.
+        /// </summary>
+        public ScoreResult Score(Quiz quiz, IEnumerable<Question> questions, IEnumerable<AnswerSubmission> answers, ICollection<int> hintQuestionIds)
+        {
+            // First answer per question wins if the client sends duplicates
+            var submitted = answers
+                .GroupBy(a => a.QuestionId)
+                .ToDictionary(g => g.Key, g => g.First());
+
+            var result = new ScoreResult();
+
+            foreach (var question in questions)
+            {
+                submitted.TryGetValue(question.Id, out var answer);
+
+                var score = new QuestionScore
+                {
+                    QuestionId = question.Id,
+                    Points = question.Points
+                };
+
+                switch (question.Type)
+                {
+                    case QuestionType.ShortText:
+                    case QuestionType.Numeric:
+                        score.TextResponse = string.IsNullOrWhiteSpace(answer?.Text) ? null : answer.Text.Trim();
+                        score.IsCorrect = score.TextResponse != null && (question.Type == QuestionType.Numeric
+                            ? IsNumericMatch(question, score.TextResponse)
+                            : IsTextMatch(question, score.TextResponse));
+                        score.PointsAwarded = score.IsCorrect ? question.Points : 0;
+                        break;
+
+                    case QuestionType.Ordering:
+                        ScoreOrdering(question, answer?.OptionIds, score);
+                        break;
+
+                    case QuestionType.Matching:
+                        ScoreMatching(question, answer?.Matches, score);
+                        break;
+
+                    default:
+                        ScoreChoice(question, answer?.OptionIds, score);
+                        break;
+                }
+
+                ApplyPenalty(quiz, question, score);
+                if (hintQuestionIds.Contains(question.Id))
+                    ApplyHintCost(quiz, question, score);
+
+                result.Questions.Add(score);
+                result.TotalPoints += score.Points;
+                result.EarnedPoints += score.PointsAwarded;
+            }
+
+            result.TotalPoints = Math.Round(result.TotalPoints, 2);
+            result.EarnedPoints = Math.Round(result.EarnedPoints, 2);
+            if (quiz.PenaltyFloor == PenaltyFloor.PerQuiz)
+                result.EarnedPoints = Math.Max(0, result.EarnedPoints);
+
+            return result;
+        }
+
+        /// <summary>
+        /// Sets whether the score passes the quiz's pass mark and which band of its grade scale it falls in.
+        /// Both stay null when the quiz has no pass mark or no grade scale. A score below every band gets the lowest one.
+        /// </summary>
+        public ScoreResult Grade(Quiz quiz, ScoreResult score)
+        {
+            var percent = score.Percent;
+
+            score.Passed = quiz.PassPercent == null ? null : percent >= quiz.PassPercent;
+            score.Grade = quiz.GradeBands
+                .OrderByDescending(b => b.MinPercent)
+                .FirstOrDefault(b => percent >= b.MinPercent)?.Label
+                ?? quiz.GradeBands.OrderBy(b => b.MinPercent).FirstOrDefault()?.Label;
+
+            return score;
+        }
+
+        private static void ScoreChoice(Question question, List<int>? optionIds, QuestionScore score)
+        {
+            // Keep the order the player sent, dropping duplicates and options from other questions
+            var picked = (optionIds ?? new List<int>())
+                .Distinct()
+                .Select(id => question.Options.FirstOrDefault(o => o.Id == id))
+                .OfType<Option>()
+                .ToList();
+
+            // A single choice question only ever has one answer
+            if (question.Type == QuestionType.SingleChoice)
+                picked = picked.Take(1).ToList();
+
+            score.SelectedOptionIds = picked.Select(o => o.Id).ToList();
+
+            var correctCount = question.Options.Count(o => o.IsCorrect);
+            var pickedCorrect = picked.Count(o => o.IsCorrect);
+            var pickedWrong = picked.Count - pickedCorrect;
+
+            score.IsCorrect = picked.Count > 0 && pickedWrong == 0 && pickedCorrect == correctCount;
+
+            if (score.IsCorrect)
+            {
+                score.PointsAwarded = question.Points;
+            }
+            else if (question.Type == QuestionType.MultipleChoice
+                && question.ScoringMode == ScoringMode.PartialCredit
+                && correctCount > 0)
+            {
+                // Each correct pick earns an equal share, each wrong pick takes one away
+                var share = (double)(pickedCorrect - pickedWrong) / correctCount;
+                score.PointsAwarded = Math.Round(Math.Max(0, share) * question.Points, 2);
+            }
+        }
+
+        /// <summary>
+        /// The points a wrong answer to the question costs: the question's own penalty if it has one,
+        /// otherwise the quiz's share of the question's points. 0 when neither sets a penalty.
+        /// </summary>
+        public double GetPenalty(Quiz quiz, Question question)
+        {
+            return Math.Round(question.Penalty ?? (quiz.PenaltyPercent ?? 0) * question.Points / 100, 2);
+        }
+
+        // A wrong answer is one that was given but did not earn full points; questions left unanswered cost nothing
+        private void ApplyPenalty(Quiz quiz, Question question, QuestionScore score)
+        {
+            var answered = score.SelectedOptionIds.Count > 0 || score.TextResponse != null;
+            if (!answered || score.IsCorrect)
+                return;
+
+            var penalty = GetPenalty(quiz, question);
+            if (penalty <= 0)
+                return;
+
+            var awarded = score.PointsAwarded - penalty;
+            if (quiz.PenaltyFloor == PenaltyFloor.PerQuestion)
+                awarded = Math.Max(0, awarded);
+
+            score.Penalty = Math.Round(score.PointsAwarded - awarded, 2);
+            score.PointsAwarded = Math.Round(awarded, 2);
+        }
+
+        // Floored like penalties, so a hint can't take a question below zero when the quiz floors each question
+        private static void ApplyHintCost(Quiz quiz, Question question, QuestionScore score)
+        {
+            if (question.Hint == null || question.HintCost <= 0)
+                return;
+
+            var awarded = score.PointsAwarded - question.HintCost;
+            if (quiz.PenaltyFloor == PenaltyFloor.PerQuestion)
+                awarded = Math.Max(0, awarded);
+
+            score.HintCost = Math.Round(score.PointsAwarded - awarded, 2);
+            score.PointsAwarded = Math.Round(awarded, 2);
+        }
+
+        // Each option in its correct position is one part; the order sent must contain the question's options
+        private static void ScoreOrdering(Question question, List<int>? optionIds, QuestionScore score)
+        {
+            var correctOrder = question.Options.OrderBy(o => o.Order).ThenBy(o => o.Id).Select(o => o.Id).ToList();
+
+            score.SelectedOptionIds = (optionIds ?? new List<int>())
+                .Distinct()
+                .Where(correctOrder.Contains)
+                .ToList();
+
+            if (score.SelectedOptionIds.Count == 0)
+                return;
+
+            var inPlace = correctOrder.Where((id, i) => i < score.SelectedOptionIds.Count && score.SelectedOptionIds[i] == id).Count();
+
+            AwardParts(question, inPlace, correctOrder.Count, score);
+        }
+
+        // Each option matched to its own MatchText is one part; text is compared like short text answers, ignoring case
+        private static void ScoreMatching(Question question, Dictionary<int, string>? matches, QuestionScore score)
+        {
+            var correctPairs = 0;
+
+            foreach (var option in question.Options)
+            {
+                if (matches == null || !matches.TryGetValue(option.Id, out var chosen) || string.IsNullOrWhiteSpace(chosen))
+                    continue;
+
+                score.SelectedOptionIds.Add(option.Id);
+                score.MatchedTexts.Add(chosen.Trim());
+
+                if (string.Equals(NormalizeText(chosen), NormalizeText(option.MatchText ?? ""), StringComparison.OrdinalIgnoreCase))
+                    correctPairs++;
+            }
+
+            if (score.SelectedOptionIds.Count == 0)
+                return;
+
+            AwardParts(question, correctPairs, question.Options.Count, score);
+        }
+
+        // Full points when every part is right; otherwise an equal share per right part with partial credit
+        private static void AwardParts(Question question, int rightParts, int totalParts, QuestionScore score)
+        {
+            score.IsCorrect = totalParts > 0 && rightParts == totalParts;
+
+            if (score.IsCorrect)
+                score.PointsAwarded = question.Points;
+            else if (question.ScoringMode == ScoringMode.PartialCredit && totalParts > 0)
+                score.PointsAwarded = Math.Round((double)rightParts / totalParts * question.Points, 2);
+        }
+
+        // Accepted answers are compared after trimming and collapsing inner whitespace;
+        // the pattern, if any, has to match the whole (normalized) answer.
+        private static bool IsTextMatch(Question question, string response)
+        {
+            var normalized = NormalizeText(response);
+            var comparison = question.CaseSensitive ? StringComparison.Ordinal : StringComparison.OrdinalIgnoreCase;
+
+            if (question.Options.Any(o => string.Equals(NormalizeText(o.Text), normalized, comparison)))
+                return true;
+
+            if (string.IsNullOrWhiteSpace(question.AnswerPattern))
+                return false;
+
+            try
+            {
+                var regexOptions = question.CaseSensitive ? RegexOptions.None : RegexOptions.IgnoreCase;
+                return Regex.IsMatch(normalized, $"^(?:{question.AnswerPattern})$", regexOptions, PatternTimeout);
+            }
+            catch (ArgumentException)
+            {
+                // Invalid pattern (rejected when saving the question, but never fail a submission over it)
+                return false;
+            }
+            catch (RegexMatchTimeoutException)
+            {
+                return false;
+            }
+        }
+
+        private static bool IsNumericMatch(Question question, string response)
+        {
+            if (question.NumericAnswer == null || !TryParseNumber(response, out var value))
+                return false;
+
+            // Small epsilon so a tolerance of 0.1 accepts 3.24 for 3.14 despite floating point rounding
+            return Math.Abs(value - question.NumericAnswer.Value) <= question.Tolerance + 1e-9;
+        }
+
+        // Trims an answer and collapses runs of whitespace to a single space
+        private static string NormalizeText(string text)
+        {
+            return Regex.Replace(text.Trim(), @"\s+", " ");
+        }
+
+        // Accepts either a decimal point or a decimal comma
+        private static bool TryParseNumber(string text, out double value)
+        {
+            return double.TryParse(
+                text.Trim().Replace(',', '.'),
+                NumberStyles.Float,
+                CultureInfo.InvariantCulture,
+                out value);
+        }
+    }
+}
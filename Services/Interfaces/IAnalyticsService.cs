@@ -0,0 +1,9 @@
+using QuizApp.Models;
+
+namespace QuizApp.Services.Interfaces
+{
+    public interface IAnalyticsService
+    {
+        Task<QuizAnalytics> GetQuizAnalyticsAsync(Quiz quiz);
+    }
+}
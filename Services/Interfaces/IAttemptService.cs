@@ -0,0 +1,25 @@
+using QuizApp.Models;
+
+namespace QuizApp.Services.Interfaces
+{
+    public interface IAttemptService
+    {
+        Task<Attempt> StartAsync(Quiz quiz, string userId);
+        Task<Attempt> StartOverAsync(Quiz quiz, string userId);
+        Task<Attempt> SubmitAsync(Quiz quiz, string userId, IEnumerable<AnswerSubmission> answers);
+        Task<Attempt> FinishAsync(Attempt attempt, Quiz quiz, IEnumerable<AnswerSubmission> answers);
+        Task<bool> SaveDraftAsync(Attempt attempt, Quiz quiz, IEnumerable<AnswerSubmission> answers);
+        Task<bool> RevealHintAsync(Attempt attempt, Quiz quiz, Question question);
+        List<AnswerSubmission> GetDraftAnswers(Attempt attempt);
+        TimeSpan? GetTimeLimit(Quiz quiz);
+        bool RequiresStart(Quiz quiz);
+        bool IsOpen(Quiz quiz);
+        string? GetClosedReason(Quiz quiz);
+        Task<AttemptAllowance> GetAllowanceAsync(Quiz quiz, string userId);
+        DateTime? GetDeadline(Attempt attempt, Quiz quiz);
+        List<Question> GetAttemptQuestions(Quiz quiz, Attempt attempt);
+        List<Question> OrderQuestions(Quiz quiz, Attempt attempt);
+        List<Option> OrderOptions(Quiz quiz, Question question, Attempt attempt);
+        List<string> OrderMatchChoices(Question question, Attempt attempt);
+    }
+}
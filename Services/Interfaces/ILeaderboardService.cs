@@ -0,0 +1,11 @@
+using QuizApp.Models;
+
+namespace QuizApp.Services.Interfaces
+{
+    public interface ILeaderboardService
+    {
+        Task<List<LeaderboardEntry>> GetQuizLeaderboardAsync(int quizId, LeaderboardPeriod period, int top);
+        Task<List<LeaderboardEntry>> GetGlobalLeaderboardAsync(LeaderboardPeriod period, int top);
+        DateTime? GetPeriodStart(LeaderboardPeriod period, DateTime now);
+    }
+}
@@ -0,0 +1,10 @@
+using QuizApp.Models;
+
+namespace QuizApp.Services.Interfaces
+{
+    public interface IQuizSheetService
+    {
+        QuizSheet Build(Quiz quiz, int variantCount);
+        byte[] RenderPdf(QuizSheet sheet);
+    }
+}
@@ -0,0 +1,13 @@
+using QuizApp.Models;
+
+namespace QuizApp.Services.Interfaces
+{
+    public interface IQuizTransferService
+    {
+        QuizDocument Export(Quiz quiz);
+        string ToJson(QuizDocument document);
+        QuizImport ReadJson(string json);
+        QuizImport Read(string content, QuizImportFormat format, string? title);
+        QuizImportFormat? GetFormat(string fileName);
+    }
+}
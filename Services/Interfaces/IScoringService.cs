@@ -0,0 +1,12 @@
+using QuizApp.Models;
+
+namespace QuizApp.Services.Interfaces
+{
+    public interface IScoringService
+    {
+        ScoreResult Score(Quiz quiz, IEnumerable<AnswerSubmission> answers);
+        ScoreResult Score(Quiz quiz, IEnumerable<Question> questions, IEnumerable<AnswerSubmission> answers, ICollection<int> hintQuestionIds);
+        ScoreResult Grade(Quiz quiz, ScoreResult score);
+        double GetPenalty(Quiz quiz, Question question);
+    }
+}
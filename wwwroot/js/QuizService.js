@@ -3,6 +3,22 @@
  * Used by Vue.js components to interact with the QuizApiController on the server.
  * All methods return promises and throw errors if the API call fails.
  */
+
+/**
+ * Builds an Error from an API error response. The server answers failed writes with
+ * { message, errors } where errors maps field names to messages; these are attached to the Error
+ * so forms can highlight the offending fields.
+ * @param {Response} res - The failed fetch response
+ * @param {string} fallbackMessage - Message used when the body has none
+ * @returns {Promise<Error>} Error with an `errors` property
+ */
+async function apiError(res, fallbackMessage) {
+    const body = await res.json().catch(() => ({}));
+    const error = new Error(body.message || fallbackMessage);
+    error.errors = body.errors || {};
+    return error;
+}
+
 export default {
     /**
      * Fetches all quizzes from the API. Used by the quiz list page to display available quizzes.
@@ -20,7 +36,7 @@ export default {
     /**
      * Fetches a single quiz by ID, including all its questions and answer options.
      * Used by the quiz-taking page to load the full quiz content.
-     * Returns a quiz object with nested questions and options.
+     * Returns a quiz object with nested questions and options. Correct answers are not included.
      * @param {number} id - The quiz ID
      * @returns {Promise<Object>} Quiz object with questions and options
      */
@@ -32,9 +48,24 @@ export default {
         return await res.json();
     },
 
+    /**
+     * Fetches a single quiz by ID for administration, including which options are correct.
+     * Used by the admin quiz details page. Requires the Admin role.
+     * @param {number} id - The quiz ID
+     * @returns {Promise<Object>} Quiz object with questions and options (with isCorrect flags)
+     */
+    async getForManage(id) {
+        const res = await fetch(`/api/QuizApi/${id}/manage`);
+        if (!res.ok) {
+            throw new Error(`Failed to fetch quiz ${id}: ${res.status}`);
+        }
+        return await res.json();
+    },
+
     /**
      * Creates a new quiz via the API. Used by the admin quiz creation page.
      * Sends quiz data (title, description) to the server and returns the created quiz with its generated ID.
+     * Validation failures throw an Error whose `errors` property holds the messages per field.
      * @param {Object} data - Quiz data object with title and description
      * @returns {Promise<Object>} Created quiz object with quizId
      */
@@ -46,23 +77,37 @@ export default {
         });
 
         if (!res.ok) {
-            const error = await res.json().catch(() => ({ message: "Failed to create quiz" }));
-            throw new Error(error.message || "Failed to create quiz");
+            throw await apiError(res, "Failed to create quiz");
         }
         return await res.json();
     },
 
     /**
-     * Updates an existing quiz's title and description via the API.
+     * Updates an existing quiz's settings (title, description, time limit, layout, shuffling and question pool) via the API.
      * Used by the admin quiz edit page.
-     * @param {Object} data - Quiz data object with quizId, title, and description
+     * @param {Object} data - Quiz data object with quizId, title, description and timeLimitMinutes (null for no limit), oneQuestionPerPage, shuffleQuestions, shuffleOptions, drawCount (null for all questions) and drawPerTag
      * @returns {Promise<void>}
      */
     async update(data) {
         const payload = {
             quizId: data.quizId,
             title: data.title,
-            description: data.description
+            description: data.description,
+            timeLimitMinutes: data.timeLimitMinutes,
+            oneQuestionPerPage: data.oneQuestionPerPage,
+            shuffleQuestions: data.shuffleQuestions,
+            shuffleOptions: data.shuffleOptions,
+            drawCount: data.drawCount,
+            drawPerTag: data.drawPerTag,
+            maxAttempts: data.maxAttempts,
+            cooldownMinutes: data.cooldownMinutes,
+            gradingPolicy: data.gradingPolicy,
+            passPercent: data.passPercent,
+            gradeBands: data.gradeBands,
+            penaltyPercent: data.penaltyPercent,
+            penaltyFloor: data.penaltyFloor,
+            opensAt: data.opensAt,
+            closesAt: data.closesAt
         };
 
         const res = await fetch(`/api/QuizApi/${data.quizId}`, {
@@ -72,8 +117,7 @@ export default {
         });
 
         if (!res.ok) {
-            const error = await res.json().catch(() => ({ message: "Failed to update quiz" }));
-            throw new Error(error.message || "Failed to update quiz");
+            throw await apiError(res, "Failed to update quiz");
         }
     },
 
@@ -89,7 +133,7 @@ export default {
         });
 
         if (!res.ok) {
-            throw new Error(`Failed to delete quiz ${id}: ${res.status}`);
+            throw await apiError(res, `Failed to delete quiz ${id}: ${res.status}`);
         }
     }
 };
@@ -12,6 +12,24 @@
 const { createRouter, createWebHistory } = VueRouter;
 const { createApp } = Vue;
 
+// Builds an Error from an API error body ({ message, errors }) so components can show per-field errors
+async function apiError(res, fallbackMessage) {
+    const body = await res.json().catch(() => ({}));
+    const error = new Error(body.message || fallbackMessage);
+    error.errors = body.errors || {};
+    return error;
+}
+
+// Form data for the import endpoints. Without a format the server goes by the file extension,
+// and without a title CSV, GIFT and Moodle XML quizzes are named after the file
+function importFormData(file, title, format) {
+    const formData = new FormData();
+    formData.append("file", file);
+    if (title) formData.append("title", title);
+    if (format) formData.append("format", format);
+    return formData;
+}
+
 // QuizService helper functions (since we can't use ES6 modules with CDN)
 const QuizService = {
     async getAll() {
@@ -19,8 +37,16 @@ const QuizService = {
         if (!res.ok) throw new Error(`Failed to fetch quizzes: ${res.status}`);
         return await res.json();
     },
-    async get(id) {
-        const res = await fetch(`/api/QuizApi/${id}`);
+    // With an attemptId, questions and options come in the order that attempt shows them
+    async get(id, attemptId) {
+        const query = attemptId ? `?attemptId=${attemptId}` : "";
+        const res = await fetch(`/api/QuizApi/${id}${query}`);
+        if (!res.ok) throw new Error(`Failed to fetch quiz ${id}: ${res.status}`);
+        return await res.json();
+    },
+    // Admin view of a quiz, including which options are correct
+    async getForManage(id) {
+        const res = await fetch(`/api/QuizApi/${id}/manage`);
         if (!res.ok) throw new Error(`Failed to fetch quiz ${id}: ${res.status}`);
         return await res.json();
     },
@@ -30,36 +56,362 @@ const QuizService = {
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify(data)
         });
-        if (!res.ok) {
-            const error = await res.json().catch(() => ({ message: "Failed to create quiz" }));
-            throw new Error(error.message || "Failed to create quiz");
-        }
+        if (!res.ok) throw await apiError(res, "Failed to create quiz");
         return await res.json();
     },
     async update(data) {
         const payload = {
             quizId: data.quizId,
             title: data.title,
-            description: data.description
+            description: data.description,
+            timeLimitMinutes: data.timeLimitMinutes,
+            oneQuestionPerPage: data.oneQuestionPerPage,
+            shuffleQuestions: data.shuffleQuestions,
+            shuffleOptions: data.shuffleOptions,
+            drawCount: data.drawCount,
+            drawPerTag: data.drawPerTag,
+            maxAttempts: data.maxAttempts,
+            cooldownMinutes: data.cooldownMinutes,
+            gradingPolicy: data.gradingPolicy,
+            passPercent: data.passPercent,
+            gradeBands: data.gradeBands,
+            penaltyPercent: data.penaltyPercent,
+            penaltyFloor: data.penaltyFloor,
+            opensAt: data.opensAt,
+            closesAt: data.closesAt
         };
         const res = await fetch(`/api/QuizApi/${data.quizId}`, {
             method: "PUT",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify(payload)
         });
-        if (!res.ok) {
-            const error = await res.json().catch(() => ({ message: "Failed to update quiz" }));
-            throw new Error(error.message || "Failed to update quiz");
-        }
+        if (!res.ok) throw await apiError(res, "Failed to update quiz");
     },
     async delete(id) {
         const res = await fetch(`/api/QuizApi/${id}`, {
             method: "DELETE"
         });
-        if (!res.ok) throw new Error(`Failed to delete quiz ${id}: ${res.status}`);
+        if (!res.ok) throw await apiError(res, `Failed to delete quiz ${id}: ${res.status}`);
+    },
+    // action is "publish", "unpublish" (back to draft) or "archive"; resolves to the new status
+    async setStatus(id, action) {
+        const res = await fetch(`/api/QuizApi/${id}/${action}`, { method: "POST" });
+        if (!res.ok) throw await apiError(res, "Failed to change quiz status");
+        return (await res.json()).status;
+    },
+    // The quiz laid out for printing, with lettered options and an answer key per variant
+    async getSheet(id, variants) {
+        const res = await fetch(`/api/QuizApi/${id}/sheet?variants=${variants}`);
+        if (!res.ok) throw await apiError(res, "Failed to load quiz sheet");
+        return await res.json();
+    },
+    // Reads a quiz file without saving anything and returns how each question was understood, with problems and warnings
+    async previewImport(file, title, format) {
+        const res = await fetch("/api/QuizApi/import/preview", { method: "POST", body: importFormData(file, title, format) });
+        if (!res.ok) throw await apiError(res, "Failed to read quiz file");
+        return await res.json();
+    },
+    // Uploads a quiz file; a rejected file throws an error whose problems list each issue with its line
+    async import(file, title, format) {
+        const res = await fetch("/api/QuizApi/import", { method: "POST", body: importFormData(file, title, format) });
+        if (!res.ok) {
+            const body = await res.clone().json().catch(() => ({}));
+            const error = await apiError(res, "Failed to import quiz");
+            error.problems = body.problems || [];
+            throw error;
+        }
+        return await res.json();
+    }
+};
+
+// Converts the take page's answers map to the API's answer list. Choice and ordering answers are lists
+// of option ids, typed answers (short text / numeric) are strings and matching answers are { optionId: matchText } objects
+function toAnswerSubmissions(answers) {
+    return Object.keys(answers).map(questionId => {
+        const answer = answers[questionId];
+        if (typeof answer === 'string') return { questionId: parseInt(questionId), text: answer };
+        if (Array.isArray(answer)) return { questionId: parseInt(questionId), optionIds: answer };
+        return { questionId: parseInt(questionId), matches: answer };
+    });
+}
+
+// AttemptService helper functions - answers are scored on the server
+const AttemptService = {
+    async getMine() {
+        const res = await fetch("/api/attempts");
+        if (!res.ok) throw new Error(`Failed to fetch results: ${res.status}`);
+        return await res.json();
+    },
+    async get(id) {
+        const res = await fetch(`/api/attempts/${id}`);
+        if (!res.ok) throw await apiError(res, `Failed to fetch result ${id}: ${res.status}`);
+        return await res.json();
+    },
+    // Per-question review (picked vs. correct option) - only available for submitted attempts
+    async getReview(id) {
+        const res = await fetch(`/api/attempts/${id}/review`);
+        if (!res.ok) throw await apiError(res, `Failed to fetch review ${id}: ${res.status}`);
+        return await res.json();
+    },
+    // The player's unfinished attempt at a quiz with its saved answers, or null when there is none
+    async getOpen(quizId) {
+        const res = await fetch(`/api/attempts/open?quizId=${quizId}`);
+        if (res.status === 204) return null;
+        if (!res.ok) throw await apiError(res, "Failed to check for an unfinished attempt");
+        return await res.json();
+    },
+    // How many attempts the player has made at a quiz and whether the attempt limit and cooldown let them start another
+    async getAllowance(quizId) {
+        const res = await fetch(`/api/attempts/allowance?quizId=${quizId}`);
+        if (!res.ok) throw await apiError(res, "Failed to check your attempts");
+        return await res.json();
+    },
+    // Starts an attempt on the server, or resumes the unfinished one unless startOver is set;
+    // the response has the deadline (null when untimed) and the server's clock
+    async start(quizId, startOver = false) {
+        const res = await fetch("/api/attempts/start", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ quizId, startOver })
+        });
+        if (!res.ok) throw await apiError(res, "Failed to start quiz");
+        return await res.json();
+    },
+    async submit(attemptId, quizId, answers) {
+        const res = await fetch(`/api/attempts/${attemptId}/submit`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ quizId, answers: toAnswerSubmissions(answers) })
+        });
+        if (!res.ok) throw await apiError(res, "Failed to submit quiz");
+        return await res.json();
+    },
+    // Autosave of the answers so far; they are only graded on submit
+    async saveDraft(attemptId, quizId, answers) {
+        const res = await fetch(`/api/attempts/${attemptId}/draft`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ quizId, answers: toAnswerSubmissions(answers) })
+        });
+        if (!res.ok) throw await apiError(res, "Failed to save answers");
+    },
+    // Reveals a question's hint; the server records it against the attempt and takes its cost off on submit
+    async revealHint(attemptId, questionId) {
+        const res = await fetch(`/api/attempts/${attemptId}/hints/${questionId}`, { method: "POST" });
+        if (!res.ok) throw await apiError(res, "Failed to load the hint");
+        return await res.json();
+    }
+};
+
+// AnalyticsService helper functions - admin only
+const AnalyticsService = {
+    async getForQuiz(quizId) {
+        const res = await fetch(`/api/analytics/quiz/${quizId}`);
+        if (!res.ok) throw await apiError(res, "Failed to load statistics");
+        return await res.json();
     }
 };
 
+// LeaderboardService helper functions - period is "AllTime" or "Week"
+const LeaderboardService = {
+    async getGlobal(period, top) {
+        const res = await fetch(`/api/leaderboard?period=${period}&top=${top}`);
+        if (!res.ok) throw await apiError(res, "Failed to load leaderboard");
+        return await res.json();
+    },
+    async getForQuiz(quizId, period, top) {
+        const res = await fetch(`/api/leaderboard/quiz/${quizId}?period=${period}&top=${top}`);
+        if (!res.ok) throw await apiError(res, "Failed to load leaderboard");
+        return await res.json();
+    }
+};
+
+// Time taken on an attempt, e.g. "4:05", or "1:02:03" past an hour; "-" for attempts submitted without a start
+function formatDuration(seconds) {
+    if (seconds === null) return "-";
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+// Time until something happens, rounded down, e.g. "45 min", "2h", "2h 30 min" or "3d 4h"
+function formatTimeUntil(ms) {
+    const minutes = Math.max(1, Math.floor(ms / 60000));
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60} min` : `${hours}h`;
+    const days = Math.floor(hours / 24);
+    return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
+// Where a quiz is in its opening hours at the given time (ms): state 'upcoming', 'open' or 'closed',
+// with a label for the quiz list and details pages (empty for quizzes that are open without a schedule)
+function quizAvailability(quiz, now) {
+    const opensAt = quiz.opensAt ? Date.parse(quiz.opensAt) : null;
+    const closesAt = quiz.closesAt ? Date.parse(quiz.closesAt) : null;
+    if (opensAt !== null && now < opensAt) return { state: 'upcoming', label: `Opens in ${formatTimeUntil(opensAt - now)}` };
+    if (closesAt !== null && now >= closesAt) return { state: 'closed', label: 'Closed' };
+    if (closesAt !== null) return { state: 'open', label: `Closes in ${formatTimeUntil(closesAt - now)}` };
+    return { state: 'open', label: '' };
+}
+
+// <input type="datetime-local"> works in the browser's time zone without saying which; the API works in UTC
+function toLocalInput(iso) {
+    if (!iso) return "";
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fromLocalInput(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+// Summary of a quiz's attempt settings, e.g. "Up to 3 attempts · 10 min between attempts · Best attempt counts"
+function describeAttemptRules(quiz) {
+    const rules = [];
+    if (quiz.maxAttempts) rules.push(quiz.maxAttempts === 1 ? "One attempt only" : `Up to ${quiz.maxAttempts} attempts`);
+    if (quiz.cooldownMinutes) rules.push(`${formatTimeUntil(quiz.cooldownMinutes * 60000)} between attempts`);
+    rules.push({ Best: "Best attempt counts", Latest: "Latest attempt counts", Average: "Average of all attempts counts" }[quiz.gradingPolicy]);
+    return rules.join(" · ");
+}
+
+// A common letter-grade scale, offered as a starting point in the quiz forms
+function letterGradeScale() {
+    return [
+        { label: "A", minPercent: 90 },
+        { label: "B", minPercent: 80 },
+        { label: "C", minPercent: 70 },
+        { label: "D", minPercent: 60 },
+        { label: "F", minPercent: 0 }
+    ];
+}
+
+// Same rules as the API: every grade needs a label and its own threshold between 0 and 100%
+function gradeScaleError(bands) {
+    if (bands.some(b => !b.label || !b.label.trim() || b.label.trim().length > 20)) return "Every grade needs a label of up to 20 characters";
+    if (bands.some(b => !Number.isInteger(b.minPercent) || b.minPercent < 0 || b.minPercent > 100)) return "Grade thresholds must be between 0 and 100%";
+    if (new Set(bands.map(b => b.minPercent)).size !== bands.length) return "Each grade needs a different threshold";
+    return null;
+}
+
+// Summary of a quiz's pass mark and grade scale, e.g. "Pass mark 60% · A 90%+, B 80%+, F below"; empty when it has neither
+function describeGrading(quiz) {
+    const parts = [];
+    if (quiz.passPercent) parts.push(`Pass mark ${quiz.passPercent}%`);
+    if (quiz.gradeBands && quiz.gradeBands.length) {
+        parts.push(quiz.gradeBands.map(b => b.minPercent > 0 ? `${b.label} ${b.minPercent}%+` : `${b.label} below`).join(", "));
+    }
+    return parts.join(" · ");
+}
+
+// How wrong answers are marked, for players, e.g. "Wrong answers cost 25% of the question's points, and your total
+// can't go below zero. Unanswered questions cost nothing."; empty when no wrong answer costs points
+function describePenalty(quiz) {
+    if (!quiz.hasPenalties) return "";
+    const cost = quiz.penaltyPercent
+        ? `Wrong answers cost ${quiz.penaltyPercent}% of the question's points`
+        : "Wrong answers to some questions cost points";
+    const floor = quiz.penaltyFloor === 'PerQuestion'
+        ? ", but only points earned on the same question"
+        : ", and your total can't go below zero";
+    return `${cost}${floor}. Unanswered questions cost nothing.`;
+}
+
+// Badge colour for a quiz status (Draft, Published, Archived)
+function statusBadgeClass(status) {
+    return { Draft: 'bg-secondary', Published: 'bg-success', Archived: 'bg-dark' }[status] || 'bg-secondary';
+}
+
+// Whole-number settings such as time limits are optional; an empty input (null or "") means not set
+function isIntegerInRange(value, min, max) {
+    if (value === null || value === "") return true;
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Same checks as the API for the quiz create and edit forms; returns the errors per field, empty when all is well
+function quizFieldErrors(form) {
+    const errors = {};
+    if (!form.title || form.title.trim() === "") {
+        errors.title = ["Title is required"];
+    } else if (form.title.length > 100) {
+        errors.title = ["Title must be 100 characters or less"];
+    }
+    if (form.description.length > 500) {
+        errors.description = ["Description must be 500 characters or less"];
+    }
+    if (!isIntegerInRange(form.timeLimitMinutes, 1, 600)) {
+        errors.timeLimitMinutes = ["Time limit must be between 1 and 600 minutes"];
+    }
+    if (!isIntegerInRange(form.drawCount, 1, 500)) {
+        errors.drawCount = ["Questions per attempt must be between 1 and 500"];
+    }
+    if (!isIntegerInRange(form.maxAttempts, 1, 100)) {
+        errors.maxAttempts = ["Attempts per player must be between 1 and 100"];
+    }
+    if (!isIntegerInRange(form.cooldownMinutes, 1, 10080)) {
+        errors.cooldownMinutes = ["Cooldown must be between 1 minute and 7 days (10080 minutes)"];
+    }
+    if (!isIntegerInRange(form.passPercent, 1, 100)) {
+        errors.passPercent = ["Pass mark must be between 1 and 100%"];
+    }
+    if (!isIntegerInRange(form.penaltyPercent, 1, 100)) {
+        errors.penaltyPercent = ["Penalty must be between 1 and 100% of a question's points"];
+    }
+    const scaleError = gradeScaleError(form.gradeBands);
+    if (scaleError) {
+        errors.gradeBands = [scaleError];
+    }
+    if (form.opensAt && form.closesAt && new Date(form.closesAt) <= new Date(form.opensAt)) {
+        errors.closesAt = ["Closing time must be after the opening time"];
+    }
+    return errors;
+}
+
+// Drag-and-drop list with a keyboard fallback (move buttons, or Alt+Up/Down on a focused row).
+// Only emits "move" (from, to); the parent owns the array and does the actual reordering.
+const ReorderList = {
+    template: '#reorder-list-template',
+    props: {
+        items: { type: Array, required: true },
+        itemKey: { type: String, default: null }
+    },
+    emits: ['move'],
+    data() {
+        return {
+            dragIndex: null,
+            overIndex: null
+        };
+    },
+    methods: {
+        keyOf(item, index) {
+            return this.itemKey ? item[this.itemKey] : index;
+        },
+        start(event, index) {
+            this.dragIndex = index;
+            // Firefox only starts a drag when some data is set
+            event.dataTransfer.setData('text/plain', String(index));
+        },
+        move(from, to) {
+            if (to < 0 || to >= this.items.length || from === to) return;
+            this.$emit('move', from, to);
+            // Keep keyboard focus on the row that moved
+            this.$nextTick(() => this.$el.children[to]?.focus());
+        },
+        drop(index) {
+            if (this.dragIndex !== null) this.move(this.dragIndex, index);
+            this.dragIndex = null;
+            this.overIndex = null;
+        }
+    }
+};
+
+// Moves an array element in place; shared by the question editors and the ordering widget
+function moveItem(list, from, to) {
+    const [item] = list.splice(from, 1);
+    list.splice(to, 0, item);
+}
+
 // Define routes for the SPA
 const routes = [
     {
@@ -72,15 +424,23 @@ const routes = [
                     quizzes: [],
                     filteredQuizzes: [],
                     searchQuery: "",
+                    statusFilter: "",
                     loading: true,
                     error: null,
-                    isAdmin: false
+                    isAdmin: false,
+                    // Ticks every half minute so "Opens in ..." counts down and the Take button enables itself
+                    now: Date.now(),
+                    timer: null
                 };
             },
             async mounted() {
+                this.timer = setInterval(() => { this.now = Date.now(); }, 30000);
                 await this.loadUserInfo();
                 await this.loadQuizzes();
             },
+            beforeUnmount() {
+                clearInterval(this.timer);
+            },
             methods: {
                 async loadUserInfo() {
                     try {
@@ -107,16 +467,31 @@ const routes = [
                 },
                 filterQuizzes() {
                     const query = this.searchQuery.toLowerCase().trim();
+                    const byStatus = this.statusFilter
+                        ? this.quizzes.filter(quiz => quiz.status === this.statusFilter)
+                        : this.quizzes;
                     if (!query) {
-                        this.filteredQuizzes = this.quizzes;
+                        this.filteredQuizzes = byStatus;
                         return;
                     }
-                    this.filteredQuizzes = this.quizzes.filter(quiz => {
+                    this.filteredQuizzes = byStatus.filter(quiz => {
                         const titleMatch = quiz.title?.toLowerCase().includes(query) || false;
                         const descMatch = quiz.description?.toLowerCase().includes(query) || false;
                         return titleMatch || descMatch;
                     });
                 },
+                // Filter chips for admins; players only ever get published quizzes
+                filterByStatus(status) {
+                    this.statusFilter = status;
+                    this.filterQuizzes();
+                },
+                statusCount(status) {
+                    return this.quizzes.filter(quiz => quiz.status === status).length;
+                },
+                availability(quiz) {
+                    return quizAvailability(quiz, this.now);
+                },
+                statusBadgeClass,
                 navigateTo(path) {
                     this.$router.push(path);
                 }
@@ -132,19 +507,30 @@ const routes = [
                 return {
                     title: "",
                     description: "",
+                    timeLimitMinutes: null,
+                    oneQuestionPerPage: false,
+                    shuffleQuestions: false,
+                    shuffleOptions: false,
+                    drawCount: null,
+                    drawPerTag: false,
+                    maxAttempts: null,
+                    cooldownMinutes: null,
+                    gradingPolicy: "Best",
+                    passPercent: null,
+                    gradeBands: [],
+                    penaltyPercent: null,
+                    penaltyFloor: "PerQuiz",
+                    opensAt: "",
+                    closesAt: "",
                     errors: [],
+                    fieldErrors: {},
                     saving: false
                 };
             },
             methods: {
                 validate() {
-                    this.errors = [];
-                    if (!this.title || this.title.trim() === "") {
-                        this.errors.push("Title is required");
-                    } else if (this.title.length > 200) {
-                        this.errors.push("Title must be 200 characters or less");
-                    }
-                    return this.errors.length === 0;
+                    this.fieldErrors = quizFieldErrors(this);
+                    return Object.keys(this.fieldErrors).length === 0;
                 },
                 async saveQuiz() {
                     this.errors = [];
@@ -155,16 +541,42 @@ const routes = [
                     try {
                         const created = await QuizService.create({
                             title: this.title.trim(),
-                            description: this.description.trim()
+                            description: this.description.trim(),
+                            timeLimitMinutes: this.timeLimitMinutes || null,
+                            oneQuestionPerPage: this.oneQuestionPerPage,
+                            shuffleQuestions: this.shuffleQuestions,
+                            shuffleOptions: this.shuffleOptions,
+                            drawCount: this.drawCount || null,
+                            drawPerTag: this.drawPerTag,
+                            maxAttempts: this.maxAttempts || null,
+                            cooldownMinutes: this.cooldownMinutes || null,
+                            gradingPolicy: this.gradingPolicy,
+                            passPercent: this.passPercent || null,
+                            gradeBands: this.gradeBands.map(b => ({ label: b.label.trim(), minPercent: b.minPercent })),
+                            penaltyPercent: this.penaltyPercent || null,
+                            penaltyFloor: this.penaltyFloor,
+                            opensAt: fromLocalInput(this.opensAt),
+                            closesAt: fromLocalInput(this.closesAt)
                         });
                         this.$router.push(`/quiz/details/${created.quizId}`);
                     } catch (err) {
                         console.error("Error creating quiz:", err);
-                        this.errors.push("Failed to create quiz. Please try again.");
+                        this.fieldErrors = err.errors || {};
+                        this.errors.push(err.message || "Failed to create quiz. Please try again.");
                     } finally {
                         this.saving = false;
                     }
                 },
+                addGradeBand() {
+                    const lowest = this.gradeBands.length ? Math.min(...this.gradeBands.map(b => b.minPercent)) : 100;
+                    this.gradeBands.push({ label: "", minPercent: Math.max(0, lowest - 10) });
+                },
+                removeGradeBand(index) {
+                    this.gradeBands.splice(index, 1);
+                },
+                useLetterGrades() {
+                    this.gradeBands = letterGradeScale();
+                },
                 cancel() {
                     this.$router.push('/');
                 }
@@ -181,11 +593,44 @@ const routes = [
                     quizId: null,
                     title: "",
                     description: "",
+                    timeLimitMinutes: null,
+                    oneQuestionPerPage: false,
+                    shuffleQuestions: false,
+                    shuffleOptions: false,
+                    drawCount: null,
+                    drawPerTag: false,
+                    maxAttempts: null,
+                    cooldownMinutes: null,
+                    gradingPolicy: "Best",
+                    passPercent: null,
+                    gradeBands: [],
+                    penaltyPercent: null,
+                    penaltyFloor: "PerQuiz",
+                    opensAt: "",
+                    closesAt: "",
+                    questions: [],
                     errors: [],
+                    fieldErrors: {},
                     saving: false,
                     loading: true
                 };
             },
+            computed: {
+                // Question count per tag, for the pool summary; untagged questions are drawn from as one more group
+                tagCounts() {
+                    const counts = {};
+                    this.questions.forEach(q => {
+                        const tag = q.tag ? q.tag.trim().toLowerCase() : "";
+                        counts[tag] = (counts[tag] || 0) + 1;
+                    });
+                    return Object.keys(counts).sort().map(tag => ({ tag, count: counts[tag] }));
+                },
+                questionsPerAttempt() {
+                    if (!this.drawCount) return this.questions.length;
+                    if (!this.drawPerTag) return Math.min(this.drawCount, this.questions.length);
+                    return this.tagCounts.reduce((sum, t) => sum + Math.min(this.drawCount, t.count), 0);
+                }
+            },
             async mounted() {
                 this.quizId = parseInt(this.$route.params.id);
                 await this.loadQuiz();
@@ -194,9 +639,25 @@ const routes = [
                 async loadQuiz() {
                     try {
                         this.loading = true;
-                        const quiz = await QuizService.get(this.quizId);
+                        const quiz = await QuizService.getForManage(this.quizId);
                         this.title = quiz.title;
                         this.description = quiz.description || "";
+                        this.timeLimitMinutes = quiz.timeLimitMinutes;
+                        this.oneQuestionPerPage = quiz.oneQuestionPerPage;
+                        this.shuffleQuestions = quiz.shuffleQuestions;
+                        this.shuffleOptions = quiz.shuffleOptions;
+                        this.drawCount = quiz.drawCount;
+                        this.drawPerTag = quiz.drawPerTag;
+                        this.maxAttempts = quiz.maxAttempts;
+                        this.cooldownMinutes = quiz.cooldownMinutes;
+                        this.gradingPolicy = quiz.gradingPolicy;
+                        this.passPercent = quiz.passPercent;
+                        this.gradeBands = quiz.gradeBands;
+                        this.penaltyPercent = quiz.penaltyPercent;
+                        this.penaltyFloor = quiz.penaltyFloor;
+                        this.opensAt = toLocalInput(quiz.opensAt);
+                        this.closesAt = toLocalInput(quiz.closesAt);
+                        this.questions = quiz.questions;
                     } catch (err) {
                         console.error("Error loading quiz:", err);
                         this.errors.push("Failed to load quiz.");
@@ -205,13 +666,8 @@ const routes = [
                     }
                 },
                 validate() {
-                    this.errors = [];
-                    if (!this.title || this.title.trim() === "") {
-                        this.errors.push("Title is required");
-                    } else if (this.title.length > 200) {
-                        this.errors.push("Title must be 200 characters or less");
-                    }
-                    return this.errors.length === 0;
+                    this.fieldErrors = quizFieldErrors(this);
+                    return Object.keys(this.fieldErrors).length === 0;
                 },
                 async updateQuiz() {
                     this.errors = [];
@@ -223,16 +679,42 @@ const routes = [
                         await QuizService.update({
                             quizId: this.quizId,
                             title: this.title.trim(),
-                            description: this.description.trim()
+                            description: this.description.trim(),
+                            timeLimitMinutes: this.timeLimitMinutes || null,
+                            oneQuestionPerPage: this.oneQuestionPerPage,
+                            shuffleQuestions: this.shuffleQuestions,
+                            shuffleOptions: this.shuffleOptions,
+                            drawCount: this.drawCount || null,
+                            drawPerTag: this.drawPerTag,
+                            maxAttempts: this.maxAttempts || null,
+                            cooldownMinutes: this.cooldownMinutes || null,
+                            gradingPolicy: this.gradingPolicy,
+                            passPercent: this.passPercent || null,
+                            gradeBands: this.gradeBands.map(b => ({ label: b.label.trim(), minPercent: b.minPercent })),
+                            penaltyPercent: this.penaltyPercent || null,
+                            penaltyFloor: this.penaltyFloor,
+                            opensAt: fromLocalInput(this.opensAt),
+                            closesAt: fromLocalInput(this.closesAt)
                         });
                         this.$router.push('/');
                     } catch (err) {
                         console.error("Error updating quiz:", err);
-                        this.errors.push("Failed to update quiz. Please try again.");
+                        this.fieldErrors = err.errors || {};
+                        this.errors.push(err.message || "Failed to update quiz. Please try again.");
                     } finally {
                         this.saving = false;
                     }
                 },
+                addGradeBand() {
+                    const lowest = this.gradeBands.length ? Math.min(...this.gradeBands.map(b => b.minPercent)) : 100;
+                    this.gradeBands.push({ label: "", minPercent: Math.max(0, lowest - 10) });
+                },
+                removeGradeBand(index) {
+                    this.gradeBands.splice(index, 1);
+                },
+                useLetterGrades() {
+                    this.gradeBands = letterGradeScale();
+                },
                 cancel() {
                     this.$router.push('/');
                 }
@@ -248,18 +730,30 @@ const routes = [
                 return {
                     quiz: null,
                     loading: true,
-                    error: null
+                    changingStatus: false,
+                    error: null,
+                    now: Date.now(),
+                    timer: null
                 };
             },
+            computed: {
+                availability() {
+                    return quizAvailability(this.quiz, this.now);
+                }
+            },
             async mounted() {
+                this.timer = setInterval(() => { this.now = Date.now(); }, 30000);
                 await this.loadQuiz();
             },
+            beforeUnmount() {
+                clearInterval(this.timer);
+            },
             methods: {
                 async loadQuiz() {
                     try {
                         this.loading = true;
                         const quizId = parseInt(this.$route.params.id);
-                        this.quiz = await QuizService.get(quizId);
+                        this.quiz = await QuizService.getForManage(quizId);
                     } catch (err) {
                         console.error("Error loading quiz:", err);
                         this.error = "Failed to load quiz.";
@@ -267,6 +761,22 @@ const routes = [
                         this.loading = false;
                     }
                 },
+                async changeStatus(action) {
+                    this.changingStatus = true;
+                    this.error = null;
+                    try {
+                        this.quiz.status = await QuizService.setStatus(this.quiz.quizId, action);
+                    } catch (err) {
+                        console.error("Error changing quiz status:", err);
+                        this.error = err.message || "Failed to change quiz status.";
+                    } finally {
+                        this.changingStatus = false;
+                    }
+                },
+                statusBadgeClass,
+                describeAttemptRules,
+                describeGrading,
+                describePenalty,
                 navigateTo(path) {
                     this.$router.push(path);
                 }
@@ -284,12 +794,101 @@ const routes = [
                     quiz: null,
                     loading: true,
                     error: null,
-                    answers: {}
+                    answers: {},
+                    draggedMatch: null,
+                    attemptId: null,
+                    // Countdown, in this browser's clock: when the attempt started and when it ends (null when untimed)
+                    startedAt: null,
+                    endsAt: null,
+                    now: Date.now(),
+                    timer: null,
+                    submitting: false,
+                    // Unfinished attempt found on load, offered for resuming until the player picks
+                    openAttempt: null,
+                    // Autosave: pending debounce timer and '', 'saving', 'saved' or 'failed'
+                    saveTimer: null,
+                    saveState: '',
+                    // One question at a time: the question shown and questions flagged for review (id -> true)
+                    currentIndex: 0,
+                    flagged: {},
+                    // Attempt limit and cooldown: the player's attempts so far, which one this is, and while the cooldown runs,
+                    // when the next one can start (in this browser's clock) with a timer refreshing the wait
+                    allowance: null,
+                    attemptNumber: null,
+                    nextAttemptAt: null,
+                    waitTimer: null,
+                    // Quizzes with negative marking wait for the player to read the rule before the attempt starts
+                    awaitingStart: false,
+                    // Hints revealed on this attempt (question id -> text), the one being loaded and any that failed to load
+                    hints: {},
+                    revealingHint: null,
+                    hintErrors: {},
+                    // Top 5 of the quiz's leaderboard, shown below the quiz
+                    topPlayers: []
                 };
             },
             async mounted() {
                 this.quizId = parseInt(this.$route.params.id);
                 await this.loadQuiz();
+                await this.loadTopPlayers();
+            },
+            beforeUnmount() {
+                clearInterval(this.timer);
+                clearInterval(this.waitTimer);
+                // Don't lose the last change when navigating away before the debounce fires
+                if (this.saveTimer !== null) {
+                    clearTimeout(this.saveTimer);
+                    this.saveDraft();
+                }
+            },
+            computed: {
+                penaltyRule() {
+                    return this.quiz ? describePenalty(this.quiz) : "";
+                },
+                secondsLeft() {
+                    if (this.endsAt === null) return null;
+                    return Math.max(0, Math.ceil((this.endsAt - this.now) / 1000));
+                },
+                paged() {
+                    return !!this.quiz && this.quiz.oneQuestionPerPage;
+                },
+                currentQuestion() {
+                    return this.quiz.questions[this.currentIndex];
+                },
+                visibleQuestions() {
+                    return this.paged ? [this.currentQuestion] : this.quiz.questions;
+                },
+                answeredCount() {
+                    return this.quiz.questions.filter(q => this.isAnswered(q)).length;
+                },
+                flaggedCount() {
+                    return this.quiz.questions.filter(q => this.flagged[q.id]).length;
+                },
+                // Question id -> when its own time runs out, in ms after the start of the attempt
+                questionEnds() {
+                    const ends = {};
+                    let end = 0;
+                    this.quiz.questions.filter(q => q.timeLimitSeconds).forEach(q => {
+                        end += q.timeLimitSeconds * 1000;
+                        ends[q.id] = end;
+                    });
+                    return ends;
+                },
+                progressPercent() {
+                    return Math.round((this.answeredCount / this.quiz.questions.length) * 100);
+                },
+                // Starting over would get around the attempt limit or cooldown, so the server doesn't allow it then
+                limited() {
+                    return !!this.allowance && !!(this.allowance.maxAttempts || this.allowance.cooldownMinutes);
+                },
+                // e.g. "Attempt 2 of 3, next available in 10 min"
+                waitLabel() {
+                    if (this.nextAttemptAt === null) return "";
+                    const wait = this.now >= this.nextAttemptAt ? "available now" : `available in ${formatTimeUntil(this.nextAttemptAt - this.now)}`;
+                    return this.allowance.maxAttempts
+                        ? `Attempt ${this.allowance.attemptsUsed + 1} of ${this.allowance.maxAttempts}, next ${wait}`
+                        : `Next attempt ${wait}`;
+                }
             },
             methods: {
                 async loadQuiz() {
@@ -301,12 +900,26 @@ const routes = [
                                 this.error = "You must be logged in to take this quiz.";
                             } else if (response.status === 404) {
                                 this.error = "Quiz not found.";
+                            } else if (response.status === 400) {
+                                // Outside the quiz's opening hours; the server says whether it opens later or has closed
+                                this.error = (await apiError(response, "This quiz is not open.")).message;
                             } else {
                                 this.error = "Failed to load quiz.";
                             }
                             return;
                         }
                         this.quiz = await response.json();
+                        if (this.quiz.questionCount) {
+                            this.openAttempt = await AttemptService.getOpen(this.quizId);
+                            await this.loadAllowance();
+                            if (!this.openAttempt && this.allowance.canStart) {
+                                if (this.penaltyRule) {
+                                    this.awaitingStart = true;
+                                } else {
+                                    await this.startAttempt();
+                                }
+                            }
+                        }
                     } catch (err) {
                         console.error(err);
                         this.error = "Could not load quiz. Please try again.";
@@ -314,49 +927,270 @@ const routes = [
                         this.loading = false;
                     }
                 },
-                selectAnswer(questionId, optionId) {
-                    this.answers[questionId] = optionId;
+                // answers maps question id -> list of picked option ids, or the typed text
+                selectAnswer(question, optionId) {
+                    const picked = this.answers[question.id] || [];
+                    if (question.type !== 'MultipleChoice') {
+                        this.answers[question.id] = [optionId];
+                    } else if (picked.includes(optionId)) {
+                        this.answers[question.id] = picked.filter(id => id !== optionId);
+                    } else {
+                        this.answers[question.id] = [...picked, optionId];
+                    }
+                    this.scheduleSave();
                 },
-                async submitQuiz() {
+                isAnswered(question) {
+                    const answer = this.answers[question.id];
+                    if (typeof answer === 'string') return answer.trim() !== '';
+                    if (Array.isArray(answer)) return answer.length > 0;
+                    return !!answer && Object.keys(answer).length > 0;
+                },
+                goTo(index) {
+                    this.currentIndex = index;
+                },
+                toggleFlag(question) {
+                    this.flagged[question.id] = !this.flagged[question.id];
+                },
+                paletteClass(question) {
+                    if (this.flagged[question.id]) return 'btn-warning';
+                    return this.isAnswered(question) ? 'btn-success' : 'btn-outline-secondary';
+                },
+                paletteLabel(question, index) {
+                    const state = this.isAnswered(question) ? 'answered' : 'not answered';
+                    return `Question ${index + 1}, ${state}${this.flagged[question.id] ? ', flagged for review' : ''}`;
+                },
+                isSelected(questionId, optionId) {
+                    return (this.answers[questionId] || []).includes(optionId);
+                },
+                typeAnswer(questionId, text) {
+                    this.answers[questionId] = text;
+                    this.scheduleSave();
+                },
+                // Ordering questions show the order served until the player moves an item; only then do they count as answered,
+                // so an untouched one isn't marked as a (wrong) answer
+                orderedOptions(question) {
+                    const order = this.answers[question.id] || question.options.map(o => o.id);
+                    return order.map(id => question.options.find(o => o.id === id));
+                },
+                moveOrderItem(question, from, to) {
+                    if (!this.answers[question.id]) this.answers[question.id] = question.options.map(o => o.id);
+                    moveItem(this.answers[question.id], from, to);
+                    this.scheduleSave();
+                },
+                matchFor(questionId, optionId) {
+                    return this.answers[questionId]?.[optionId] || "";
+                },
+                setMatch(questionId, optionId, text) {
+                    const matches = this.answers[questionId] || {};
+                    if (text) {
+                        matches[optionId] = text;
+                    } else {
+                        delete matches[optionId];
+                    }
+                    this.answers[questionId] = matches;
+                    this.scheduleSave();
+                },
+                dropMatch(questionId, optionId) {
+                    if (this.draggedMatch !== null) this.setMatch(questionId, optionId, this.draggedMatch);
+                    this.draggedMatch = null;
+                },
+                async loadAllowance() {
+                    const receivedAt = Date.now();
+                    this.allowance = await AttemptService.getAllowance(this.quizId);
+                    clearInterval(this.waitTimer);
+                    this.nextAttemptAt = null;
+                    if (!this.allowance.canStart && this.allowance.nextAttemptAt) {
+                        this.now = receivedAt;
+                        this.nextAttemptAt = receivedAt + (Date.parse(this.allowance.nextAttemptAt) - Date.parse(this.allowance.serverNow));
+                        this.waitTimer = setInterval(() => { this.now = Date.now(); }, 15000);
+                    }
+                },
+                // The panel is a nice-to-have; the page works without it
+                async loadTopPlayers() {
+                    if (!this.quiz) return;
                     try {
-                        const formData = new FormData();
-                        formData.append('QuizId', this.quizId);
-                        Object.keys(this.answers).forEach(questionId => {
-                            formData.append(`question_${questionId}`, this.answers[questionId]);
-                        });
-
-                        const response = await fetch('/Quiz/Submit', {
-                            method: 'POST',
-                            body: formData,
-                            headers: {
-                                'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]')?.value || ''
-                            }
-                        });
+                        const board = await LeaderboardService.getForQuiz(this.quizId, 'AllTime', 5);
+                        this.topPlayers = board.entries;
+                    } catch (err) {
+                        console.error("Error loading leaderboard:", err);
+                    }
+                },
+                async startAttempt(startOver = false) {
+                    const started = await AttemptService.start(this.quizId, startOver);
+                    clearInterval(this.waitTimer);
+                    this.attemptNumber = started.attemptNumber;
+                    await this.beginAttempt(started);
+                },
+                // Once the cooldown is over: check again, as the limit may have been reached meanwhile
+                async startNextAttempt() {
+                    try {
+                        await this.loadAllowance();
+                        if (this.allowance.canStart) {
+                            await this.startAttempt();
+                        }
+                    } catch (err) {
+                        console.error("Error starting quiz:", err);
+                        this.error = err.message || "Could not start the quiz. Please try again.";
+                    }
+                },
+                async startQuiz() {
+                    this.awaitingStart = false;
+                    try {
+                        await this.startAttempt();
+                    } catch (err) {
+                        console.error("Error starting quiz:", err);
+                        this.error = err.message || "Could not start the quiz. Please try again.";
+                    }
+                },
+                // Starting over discards the unfinished attempt on the server
+                async startOver() {
+                    try {
+                        await this.startAttempt(true);
+                    } catch (err) {
+                        console.error("Error starting quiz:", err);
+                        this.error = err.message || "Could not start the quiz. Please try again.";
+                    }
+                },
+                async resumeAttempt() {
+                    try {
+                        this.attemptNumber = this.allowance.attemptsUsed + 1;
+                        await this.beginAttempt(this.openAttempt, this.openAttempt.answers, this.openAttempt.hints);
+                    } catch (err) {
+                        console.error("Error resuming quiz:", err);
+                        this.error = err.message || "Could not resume the quiz. Please try again.";
+                    }
+                },
+                // Reloads the quiz in the attempt's own order (it may shuffle questions and options) and restores saved answers.
+                // The deadline comes from the server; only the time left is used, so a wrong clock here doesn't matter
+                async beginAttempt(started, savedAnswers = [], savedHints = []) {
+                    const receivedAt = Date.now();
+                    this.quiz = await QuizService.get(this.quizId, started.attemptId);
+                    this.answers = {};
+                    this.hints = {};
+                    savedHints.forEach(saved => { this.hints[saved.questionId] = saved.hint; });
+                    savedAnswers.forEach(saved => {
+                        const question = this.quiz.questions.find(q => q.id === saved.questionId);
+                        if (!question) return;
+                        if (question.type === 'ShortText' || question.type === 'Numeric') {
+                            if (saved.text) this.answers[question.id] = saved.text;
+                        } else if (question.type === 'Matching') {
+                            if (Object.keys(saved.matches).length) this.answers[question.id] = { ...saved.matches };
+                        } else if (saved.optionIds.length) {
+                            this.answers[question.id] = saved.optionIds;
+                        }
+                    });
 
-                        if (response.ok) {
-                            const result = await response.json();
-                            this.$router.push({
-                                name: 'QuizResult',
-                                params: { quizId: this.quizId },
-                                query: { 
-                                    earned: result.earnedPoints, 
-                                    total: result.totalPoints,
-                                    title: result.quizTitle
-                                }
-                            });
-                        } else {
-                            this.error = "Failed to submit quiz.";
+                    this.openAttempt = null;
+                    this.attemptId = started.attemptId;
+                    this.now = Date.now();
+                    this.startedAt = receivedAt - (Date.parse(started.serverNow) - Date.parse(started.startedAt));
+                    if (started.deadline) {
+                        this.endsAt = receivedAt + (Date.parse(started.deadline) - Date.parse(started.serverNow));
+                    }
+                    if (this.endsAt !== null || this.quiz.questions.some(q => q.timeLimitSeconds)) {
+                        this.timer = setInterval(this.tick, 1000);
+                    }
+                },
+                hintLabel(question) {
+                    if (!question.hintCost) return "Show hint";
+                    return `Show hint (costs ${question.hintCost} ${question.hintCost === 1 ? 'point' : 'points'})`;
+                },
+                // Hints with a cost are confirmed first: once revealed, the points are gone even if the answer is right
+                async revealHint(question) {
+                    if (question.hintCost > 0 && !confirm(`Revealing the hint costs ${question.hintCost} ${question.hintCost === 1 ? 'point' : 'points'}. Show it?`)) {
+                        return;
+                    }
+                    this.revealingHint = question.id;
+                    try {
+                        const revealed = await AttemptService.revealHint(this.attemptId, question.id);
+                        this.hints[question.id] = revealed.hint;
+                        delete this.hintErrors[question.id];
+                    } catch (err) {
+                        console.error("Error revealing hint:", err);
+                        this.hintErrors[question.id] = err.message || "Could not load the hint.";
+                    } finally {
+                        this.revealingHint = null;
+                    }
+                },
+                // Debounced, so typing or dragging doesn't send a request on every change
+                scheduleSave() {
+                    if (this.attemptId === null) return;
+                    clearTimeout(this.saveTimer);
+                    this.saveTimer = setTimeout(this.saveDraft, 1000);
+                },
+                async saveDraft() {
+                    this.saveTimer = null;
+                    this.saveState = 'saving';
+                    try {
+                        await AttemptService.saveDraft(this.attemptId, this.quizId, this.answers);
+                        this.saveState = 'saved';
+                    } catch (err) {
+                        console.error("Error saving answers:", err);
+                        this.saveState = 'failed';
+                    }
+                },
+                formatDate(value) {
+                    return new Date(value).toLocaleString();
+                },
+                describeAttemptRules,
+                formatDuration,
+                tick() {
+                    const question = this.paged && !this.submitting ? this.currentQuestion : null;
+                    const before = question ? this.questionSecondsLeft(question) : null;
+                    this.now = Date.now();
+                    // Move on by itself when the shown question's own time runs out
+                    if (before > 0 && this.questionSecondsLeft(question) === 0 && this.currentIndex < this.quiz.questions.length - 1) {
+                        this.currentIndex++;
+                    }
+                    if (this.secondsLeft === 0 && !this.submitting) {
+                        this.submitQuiz();
+                    }
+                },
+                formatTime(seconds) {
+                    const minutes = Math.floor(seconds / 60);
+                    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+                },
+                // Per-question limits run one after the other from the start of the attempt, in the order the questions
+                // are shown, as the server checks them; null when the question has none
+                questionSecondsLeft(question) {
+                    if (!question.timeLimitSeconds || this.startedAt === null) return null;
+                    return Math.max(0, Math.ceil((this.startedAt + this.questionEnds[question.id] - this.now) / 1000));
+                },
+                // Submitting by hand with one question at a time: check first if anything was skipped or flagged
+                confirmSubmit() {
+                    if (this.paged) {
+                        const unanswered = this.quiz.questions.length - this.answeredCount;
+                        if ((unanswered > 0 || this.flaggedCount > 0) &&
+                            !confirm(`You have ${unanswered} unanswered and ${this.flaggedCount} flagged question(s). Submit anyway?`)) {
+                            return;
                         }
+                    }
+                    this.submitQuiz();
+                },
+                async submitQuiz() {
+                    if (this.submitting) return;
+                    this.submitting = true;
+                    clearInterval(this.timer);
+                    clearTimeout(this.saveTimer);
+                    this.saveTimer = null;
+                    try {
+                        const result = await AttemptService.submit(this.attemptId, this.quizId, this.answers);
+                        this.$router.push({
+                            name: 'QuizResult',
+                            params: { attemptId: result.attemptId }
+                        });
                     } catch (err) {
                         console.error("Error submitting quiz:", err);
-                        this.error = "Failed to submit quiz. Please try again.";
+                        this.error = err.message || "Failed to submit quiz. Please try again.";
+                        this.submitting = false;
                     }
                 }
             }
         }
     },
     {
-        path: '/quiz/result/:quizId',
+        // The score is loaded from the stored attempt, so the URL can be refreshed or shared safely
+        path: '/results/:attemptId',
         name: 'QuizResult',
         component: {
             template: '#quiz-result-template',
@@ -365,14 +1199,68 @@ const routes = [
                     result: {
                         title: "",
                         earned: 0,
-                        total: 0
-                    }
+                        total: 0,
+                        timedOut: false,
+                        passed: null,
+                        grade: null
+                    },
+                    review: [],
+                    loading: true,
+                    error: null
                 };
             },
-            mounted() {
-                this.result.title = this.$route.query.title || "";
-                this.result.earned = parseInt(this.$route.query.earned) || 0;
-                this.result.total = parseInt(this.$route.query.total) || 0;
+            async mounted() {
+                await this.loadResult();
+            },
+            methods: {
+                async loadResult() {
+                    try {
+                        this.loading = true;
+                        const attemptId = parseInt(this.$route.params.attemptId);
+                        const [attempt, review] = await Promise.all([
+                            AttemptService.get(attemptId),
+                            AttemptService.getReview(attemptId)
+                        ]);
+                        this.result.title = attempt.quizTitle;
+                        this.result.earned = attempt.earnedPoints;
+                        this.result.total = attempt.totalPoints;
+                        this.result.passed = attempt.passed;
+                        this.result.grade = attempt.grade;
+                        this.result.timedOut = attempt.timedOut;
+                        this.review = review.questions;
+                    } catch (err) {
+                        console.error("Error loading result:", err);
+                        this.error = err.message || "Failed to load result.";
+                    } finally {
+                        this.loading = false;
+                    }
+                },
+                yourAnswer(q) {
+                    if (q.type === 'ShortText' || q.type === 'Numeric') {
+                        return q.textResponse || 'Not answered';
+                    }
+                    if (q.type === 'Matching') {
+                        const chosen = q.pairs.filter(p => p.chosen);
+                        return chosen.length ? chosen.map(p => `${p.text} → ${p.chosen}`).join(', ') : 'Not answered';
+                    }
+                    const separator = q.type === 'Ordering' ? ' → ' : ', ';
+                    return q.selectedOptions.length ? q.selectedOptions.map(o => o.text).join(separator) : 'Not answered';
+                },
+                correctAnswer(q) {
+                    if (q.type === 'Numeric') {
+                        return q.tolerance ? `${q.numericAnswer} (± ${q.tolerance})` : `${q.numericAnswer}`;
+                    }
+                    if (q.type === 'Matching') {
+                        return q.pairs.map(p => `${p.text} → ${p.matchText}`).join(', ');
+                    }
+                    const separator = { ShortText: ' / ', Ordering: ' → ' }[q.type] || ', ';
+                    return q.correctOptions.map(o => o.text).join(separator);
+                },
+                // The author's feedback on each option the player picked (for matching: each item they matched)
+                optionFeedback(q) {
+                    const picked = q.type === 'Matching' ? q.pairs.filter(p => p.chosen) : q.selectedOptions;
+                    return picked.filter(o => o.feedback);
+                }
             },
             computed: {
                 percentage() {
@@ -382,6 +1270,308 @@ const routes = [
             }
         }
     },
+    {
+        path: '/my/results',
+        name: 'MyResults',
+        component: {
+            template: '#my-results-template',
+            data() {
+                return {
+                    attempts: [],
+                    loading: true,
+                    error: null
+                };
+            },
+            async mounted() {
+                await this.loadAttempts();
+            },
+            methods: {
+                async loadAttempts() {
+                    try {
+                        this.loading = true;
+                        this.attempts = await AttemptService.getMine();
+                    } catch (err) {
+                        console.error("Error loading results:", err);
+                        this.error = "Failed to load your results. Are you logged in?";
+                    } finally {
+                        this.loading = false;
+                    }
+                },
+                percentage(attempt) {
+                    if (attempt.totalPoints === 0) return 0;
+                    return Math.round((attempt.earnedPoints / attempt.totalPoints) * 100);
+                },
+                formatDate(value) {
+                    return new Date(value).toLocaleString();
+                },
+                review(attempt) {
+                    this.$router.push({
+                        name: 'QuizResult',
+                        params: { attemptId: attempt.attemptId }
+                    });
+                }
+            }
+        }
+    },
+    {
+        path: '/quiz/import',
+        name: 'QuizImport',
+        component: {
+            template: '#quiz-import-template',
+            data() {
+                return {
+                    file: null,
+                    format: '',
+                    title: '',
+                    preview: null,
+                    error: null,
+                    problems: [],
+                    previewing: false,
+                    importing: false
+                };
+            },
+            computed: {
+                // Problems and warnings that are not about one question, such as the title or an unreadable file
+                generalErrors() {
+                    return this.preview ? this.preview.errors.filter(e => !e.path.startsWith('$.questions[')) : [];
+                },
+                generalWarnings() {
+                    return this.preview ? this.preview.warnings.filter(w => !w.path.startsWith('$.questions[')) : [];
+                },
+                // Warnings about questions that were skipped, which have no row in the table
+                skippedWarnings() {
+                    if (!this.preview) return [];
+                    const count = this.preview.questions.length;
+                    return this.preview.warnings.filter(w => {
+                        const index = this.questionIndex(w.path);
+                        return index !== null && index >= count;
+                    });
+                }
+            },
+            methods: {
+                pickFile(event) {
+                    this.file = event.target.files[0] || null;
+                    this.title = '';
+                    this.reset();
+                },
+                reset() {
+                    this.preview = null;
+                    this.error = null;
+                    this.problems = [];
+                },
+                // "$.questions[3].options[0]" -> 3
+                questionIndex(path) {
+                    const match = /^\$\.questions\[(\d+)\]/.exec(path);
+                    return match ? parseInt(match[1]) : null;
+                },
+                issuesFor(list, index) {
+                    return list.filter(item => this.questionIndex(item.path) === index);
+                },
+                answerSummary(q) {
+                    if (q.type === 'Numeric') {
+                        return q.tolerance ? `${q.numericAnswer} (± ${q.tolerance})` : `${q.numericAnswer ?? '?'}`;
+                    }
+                    if (q.type === 'Matching') {
+                        return q.options.map(o => `${o.text} → ${o.matchText ?? '?'}`).join(', ');
+                    }
+                    if (q.type === 'Ordering') {
+                        return q.options.map(o => o.text).join(' → ');
+                    }
+                    if (q.type === 'ShortText') {
+                        const accepted = q.options.map(o => o.text);
+                        if (q.answerPattern) accepted.push(`/${q.answerPattern}/`);
+                        return accepted.join(' / ');
+                    }
+                    return q.options.map(o => (o.isCorrect ? '✓ ' : '') + o.text).join(', ');
+                },
+                async previewQuiz() {
+                    this.reset();
+                    this.previewing = true;
+                    try {
+                        this.preview = await QuizService.previewImport(this.file, this.title, this.format);
+                        this.title = this.preview.title || '';
+                    } catch (err) {
+                        console.error("Error previewing import:", err);
+                        this.error = err.message || "Failed to read quiz file.";
+                    } finally {
+                        this.previewing = false;
+                    }
+                },
+                async importQuiz() {
+                    this.error = null;
+                    this.problems = [];
+                    this.importing = true;
+                    try {
+                        const created = await QuizService.import(this.file, this.title, this.format);
+                        this.$router.push(`/quiz/details/${created.quizId}`);
+                    } catch (err) {
+                        console.error("Error importing quiz:", err);
+                        this.error = err.message || "Failed to import quiz.";
+                        this.problems = err.problems || [];
+                    } finally {
+                        this.importing = false;
+                    }
+                }
+            }
+        }
+    },
+    {
+        path: '/quiz/print/:id',
+        name: 'QuizPrint',
+        component: {
+            template: '#quiz-print-template',
+            data() {
+                return {
+                    sheet: null,
+                    variants: parseInt(this.$route.query.variants) || 1,
+                    showKey: true,
+                    loading: true,
+                    error: null
+                };
+            },
+            async mounted() {
+                await this.load();
+            },
+            computed: {
+                pdfUrl() {
+                    return `/api/QuizApi/${this.$route.params.id}/sheet/pdf?variants=${this.variants}`;
+                }
+            },
+            methods: {
+                async load() {
+                    this.loading = true;
+                    this.error = null;
+                    try {
+                        this.sheet = await QuizService.getSheet(parseInt(this.$route.params.id), this.variants);
+                        this.$router.replace({ query: this.variants > 1 ? { variants: this.variants } : {} });
+                    } catch (err) {
+                        console.error("Error loading quiz sheet:", err);
+                        this.error = err.message || "Failed to load quiz sheet.";
+                    } finally {
+                        this.loading = false;
+                    }
+                },
+                heading(variant) {
+                    return variant.name ? `${this.sheet.title} - Variant ${variant.name}` : this.sheet.title;
+                },
+                instruction(q) {
+                    return {
+                        SingleChoice: 'Circle one answer.',
+                        MultipleChoice: 'Circle all correct answers.',
+                        Ordering: 'Write the letters in the correct order.',
+                        Matching: 'Write the number of the matching answer next to each letter.'
+                    }[q.type] || null;
+                },
+                print() {
+                    window.print();
+                }
+            }
+        }
+    },
+    {
+        path: '/quiz/analytics/:id',
+        name: 'QuizAnalytics',
+        component: {
+            template: '#quiz-analytics-template',
+            data() {
+                return {
+                    stats: null,
+                    loading: true,
+                    error: null
+                };
+            },
+            async mounted() {
+                try {
+                    this.stats = await AnalyticsService.getForQuiz(parseInt(this.$route.params.id));
+                } catch (err) {
+                    console.error("Error loading statistics:", err);
+                    this.error = err.message || "Failed to load statistics.";
+                } finally {
+                    this.loading = false;
+                }
+            },
+            computed: {
+                histogramLabel() {
+                    return this.stats.scoreDistribution
+                        .map((count, band) => `${this.bandLabel(band)}: ${count}`)
+                        .join(', ');
+                }
+            },
+            methods: {
+                barHeight(count) {
+                    if (count === 0) return '0';
+                    const max = Math.max(...this.stats.scoreDistribution);
+                    return `${Math.max(2, Math.round(count / max * 100))}%`;
+                },
+                bandLabel(band) {
+                    return band === 9 ? '90-100%' : `${band * 10}-${band * 10 + 9}%`;
+                },
+                // A wrong option picked more often than the question's least picked correct option
+                isStrongDistractor(question, option) {
+                    const correct = question.options.filter(o => o.isCorrect).map(o => o.pickCount);
+                    return !option.isCorrect && correct.length > 0 && option.pickCount > Math.min(...correct);
+                }
+            }
+        }
+    },
+    {
+        path: '/leaderboard',
+        name: 'Leaderboard',
+        component: {
+            template: '#leaderboard-template',
+            data() {
+                return {
+                    quizzes: [],
+                    quizId: this.$route.query.quizId ? parseInt(this.$route.query.quizId) : null,
+                    period: this.$route.query.period === 'Week' ? 'Week' : 'AllTime',
+                    entries: [],
+                    loading: true,
+                    error: null
+                };
+            },
+            async mounted() {
+                try {
+                    this.quizzes = await QuizService.getAll();
+                } catch (err) {
+                    console.error("Error loading quizzes:", err);
+                }
+                await this.loadLeaderboard();
+            },
+            watch: {
+                quizId() { this.update(); },
+                period() { this.update(); }
+            },
+            methods: {
+                // Keeps the choice in the URL so the board can be linked to and survives a reload
+                update() {
+                    const query = { period: this.period };
+                    if (this.quizId) query.quizId = this.quizId;
+                    this.$router.replace({ query });
+                    this.loadLeaderboard();
+                },
+                async loadLeaderboard() {
+                    try {
+                        this.loading = true;
+                        this.error = null;
+                        const board = this.quizId
+                            ? await LeaderboardService.getForQuiz(this.quizId, this.period, 20)
+                            : await LeaderboardService.getGlobal(this.period, 20);
+                        this.entries = board.entries;
+                    } catch (err) {
+                        console.error("Error loading leaderboard:", err);
+                        this.error = err.message || "Failed to load the leaderboard.";
+                    } finally {
+                        this.loading = false;
+                    }
+                },
+                percentage(entry) {
+                    if (entry.totalPoints === 0) return 0;
+                    return Math.round((entry.earnedPoints / entry.totalPoints) * 100);
+                },
+                formatDuration
+            }
+        }
+    },
     {
         path: '/quiz/delete/:id',
         name: 'QuizDelete',
@@ -391,6 +1581,8 @@ const routes = [
                 return {
                     quizId: null,
                     title: "",
+                    error: null,
+                    deleting: false,
                     loading: true
                 };
             },
@@ -406,17 +1598,22 @@ const routes = [
                         this.title = quiz.title;
                     } catch (err) {
                         console.error("Error loading quiz:", err);
+                        this.error = "Failed to load quiz.";
                     } finally {
                         this.loading = false;
                     }
                 },
                 async deleteQuiz() {
+                    this.error = null;
+                    this.deleting = true;
                     try {
                         await QuizService.delete(this.quizId);
                         this.$router.push('/');
                     } catch (err) {
                         console.error("Error deleting quiz:", err);
-                        alert("Failed to delete quiz.");
+                        this.error = err.message || "Failed to delete quiz.";
+                    } finally {
+                        this.deleting = false;
                     }
                 },
                 cancel() {
@@ -435,10 +1632,22 @@ const routes = [
                     quizId: null,
                     quizTitle: "",
                     text: "",
+                    type: "SingleChoice",
+                    scoringMode: "AllOrNothing",
+                    caseSensitive: false,
+                    answerPattern: "",
+                    numericAnswer: null,
+                    tolerance: 0,
                     points: 1,
+                    penalty: null,
+                    timeLimitSeconds: null,
+                    tag: "",
+                    explanation: "",
+                    hint: "",
+                    hintCost: 0,
                     options: [
-                        { text: "", isCorrect: false },
-                        { text: "", isCorrect: false }
+                        { text: "", isCorrect: false, matchText: "", feedback: "" },
+                        { text: "", isCorrect: false, matchText: "", feedback: "" }
                     ],
                     correctIndex: -1,
                     errors: [],
@@ -463,7 +1672,7 @@ const routes = [
                     }
                 },
                 addOption() {
-                    this.options.push({ text: "", isCorrect: false });
+                    this.options.push({ text: "", isCorrect: false, matchText: "", feedback: "" });
                 },
                 removeOption(index) {
                     this.options.splice(index, 1);
@@ -473,16 +1682,55 @@ const routes = [
                         this.correctIndex--;
                     }
                 },
+                // For ordering questions the option order is the answer
+                moveOption(from, to) {
+                    moveItem(this.options, from, to);
+                    // Keep the single choice radio on the option that was marked correct
+                    this.correctIndex = this.options.findIndex(o => o.isCorrect);
+                },
                 async saveQuestion() {
                     this.errors = [];
                     const cleanedOptions = this.options.filter(o => o.text.trim() !== "");
                     
-                    if (cleanedOptions.length < 2) {
+                    if (this.type === 'ShortText') {
+                        if (cleanedOptions.length === 0 && !this.answerPattern.trim()) {
+                            this.errors.push("Add at least one accepted answer or an answer pattern.");
+                        }
+                    } else if (this.type === 'Numeric') {
+                        if (this.numericAnswer === null || this.numericAnswer === "") {
+                            this.errors.push("Enter the correct number.");
+                        }
+                        if (this.tolerance < 0) {
+                            this.errors.push("Tolerance cannot be negative.");
+                        }
+                    } else if (cleanedOptions.length < 2) {
                         this.errors.push("At least two options required.");
                     }
-                    if (this.correctIndex < 0 || this.correctIndex >= this.options.length) {
+                    if (this.type === 'Matching' && cleanedOptions.some(o => !o.matchText.trim())) {
+                        this.errors.push("Every item needs something to match.");
+                    }
+                    if (this.type === 'MultipleChoice') {
+                        if (!cleanedOptions.some(o => o.isCorrect)) {
+                            this.errors.push("Select at least one correct answer.");
+                        }
+                    } else if (this.type === 'SingleChoice' && (this.correctIndex < 0 || this.correctIndex >= this.options.length)) {
                         this.errors.push("Select a correct answer.");
                     }
+                    if (typeof this.points !== 'number' || this.points < 0 || this.points > 100) {
+                        this.errors.push("Points must be between 0 and 100.");
+                    }
+                    if (this.penalty !== null && this.penalty !== "" && (this.penalty < 0 || this.penalty > 100)) {
+                        this.errors.push("Penalty must be between 0 and 100 points.");
+                    }
+                    if (this.hintCost !== "" && (this.hintCost < 0 || this.hintCost > 100)) {
+                        this.errors.push("Hint cost must be between 0 and 100 points.");
+                    }
+                    if (!isIntegerInRange(this.timeLimitSeconds, 5, 3600)) {
+                        this.errors.push("Time limit must be between 5 and 3600 seconds.");
+                    }
+                    if (this.tag.trim().length > 50) {
+                        this.errors.push("Tag must be 50 characters or less.");
+                    }
                     if (!this.text.trim()) {
                         this.errors.push("Question text is required.");
                     }
@@ -495,10 +1743,25 @@ const routes = [
                         const formData = new FormData();
                         formData.append('QuizId', this.quizId);
                         formData.append('Text', this.text);
+                        formData.append('Type', this.type);
+                        formData.append('ScoringMode', this.scoringMode);
+                        formData.append('CaseSensitive', this.caseSensitive);
+                        formData.append('AnswerPattern', this.answerPattern);
+                        formData.append('NumericAnswer', this.numericAnswer ?? '');
+                        formData.append('Tolerance', this.tolerance || 0);
                         formData.append('Points', this.points);
+                        formData.append('Penalty', this.penalty ?? '');
+                        formData.append('TimeLimitSeconds', this.timeLimitSeconds || '');
+                        formData.append('Tag', this.tag.trim());
+                        formData.append('Explanation', this.explanation);
+                        formData.append('Hint', this.hint.trim());
+                        formData.append('HintCost', this.hint.trim() ? this.hintCost || 0 : 0);
                         formData.append('CorrectIndex', this.correctIndex);
                         this.options.forEach((opt, idx) => {
                             formData.append(`Options[${idx}].Text`, opt.text);
+                            formData.append(`Options[${idx}].IsCorrect`, opt.isCorrect);
+                            formData.append(`Options[${idx}].MatchText`, opt.matchText);
+                            formData.append(`Options[${idx}].Feedback`, opt.feedback);
                         });
 
                         const response = await fetch('/Questions/Create', {
@@ -522,6 +1785,23 @@ const routes = [
                 cancel() {
                     this.$router.push(`/quiz/details/${this.quizId}`);
                 }
+            },
+            watch: {
+                // Single choice: the radio button decides the one correct option
+                correctIndex(newVal) {
+                    if (this.type === 'MultipleChoice') return;
+                    this.options.forEach((o, i) => {
+                        o.isCorrect = (i === newVal);
+                    });
+                },
+                // Switching back to single choice keeps the first ticked option as the answer
+                type(newVal) {
+                    if (newVal !== 'SingleChoice') return;
+                    this.correctIndex = this.options.findIndex(o => o.isCorrect);
+                    this.options.forEach((o, i) => {
+                        o.isCorrect = (i === this.correctIndex);
+                    });
+                }
             }
         }
     },
@@ -535,7 +1815,19 @@ const routes = [
                     questionId: null,
                     quizId: null,
                     text: "",
+                    type: "SingleChoice",
+                    scoringMode: "AllOrNothing",
+                    caseSensitive: false,
+                    answerPattern: "",
+                    numericAnswer: null,
+                    tolerance: 0,
                     points: 1,
+                    penalty: null,
+                    timeLimitSeconds: null,
+                    tag: "",
+                    explanation: "",
+                    hint: "",
+                    hintCost: 0,
                     options: [],
                     correctIndex: -1,
                     errors: [],
@@ -555,11 +1847,25 @@ const routes = [
                         const question = await response.json();
                         this.quizId = question.quizId;
                         this.text = question.text;
+                        this.type = question.type;
+                        this.scoringMode = question.scoringMode;
+                        this.caseSensitive = question.caseSensitive;
+                        this.answerPattern = question.answerPattern || "";
+                        this.numericAnswer = question.numericAnswer;
+                        this.tolerance = question.tolerance;
                         this.points = question.points;
+                        this.penalty = question.penalty;
+                        this.timeLimitSeconds = question.timeLimitSeconds;
+                        this.tag = question.tag || "";
+                        this.explanation = question.explanation || "";
+                        this.hint = question.hint || "";
+                        this.hintCost = question.hintCost;
                         this.options = question.options.map(o => ({
                             id: o.id,
                             text: o.text,
-                            isCorrect: o.isCorrect
+                            isCorrect: o.isCorrect,
+                            matchText: o.matchText || "",
+                            feedback: o.feedback || ""
                         }));
                         this.correctIndex = this.options.findIndex(o => o.isCorrect);
                     } catch (err) {
@@ -570,7 +1876,7 @@ const routes = [
                     }
                 },
                 addOption() {
-                    this.options.push({ id: 0, text: "", isCorrect: false });
+                    this.options.push({ id: 0, text: "", isCorrect: false, matchText: "", feedback: "" });
                 },
                 removeOption(index) {
                     this.options.splice(index, 1);
@@ -580,16 +1886,55 @@ const routes = [
                         this.correctIndex--;
                     }
                 },
+                // For ordering questions the option order is the answer
+                moveOption(from, to) {
+                    moveItem(this.options, from, to);
+                    // Keep the single choice radio on the option that was marked correct
+                    this.correctIndex = this.options.findIndex(o => o.isCorrect);
+                },
                 async saveQuestion() {
                     this.errors = [];
                     const cleanedOptions = this.options.filter(o => o.text.trim() !== "");
                     
-                    if (cleanedOptions.length < 2) {
+                    if (this.type === 'ShortText') {
+                        if (cleanedOptions.length === 0 && !this.answerPattern.trim()) {
+                            this.errors.push("Add at least one accepted answer or an answer pattern.");
+                        }
+                    } else if (this.type === 'Numeric') {
+                        if (this.numericAnswer === null || this.numericAnswer === "") {
+                            this.errors.push("Enter the correct number.");
+                        }
+                        if (this.tolerance < 0) {
+                            this.errors.push("Tolerance cannot be negative.");
+                        }
+                    } else if (cleanedOptions.length < 2) {
                         this.errors.push("At least two options required.");
                     }
-                    if (this.correctIndex < 0 || this.correctIndex >= this.options.length) {
+                    if (this.type === 'Matching' && cleanedOptions.some(o => !o.matchText.trim())) {
+                        this.errors.push("Every item needs something to match.");
+                    }
+                    if (this.type === 'MultipleChoice') {
+                        if (!cleanedOptions.some(o => o.isCorrect)) {
+                            this.errors.push("Select at least one correct answer.");
+                        }
+                    } else if (this.type === 'SingleChoice' && (this.correctIndex < 0 || this.correctIndex >= this.options.length)) {
                         this.errors.push("Select a correct answer.");
                     }
+                    if (typeof this.points !== 'number' || this.points < 0 || this.points > 100) {
+                        this.errors.push("Points must be between 0 and 100.");
+                    }
+                    if (this.penalty !== null && this.penalty !== "" && (this.penalty < 0 || this.penalty > 100)) {
+                        this.errors.push("Penalty must be between 0 and 100 points.");
+                    }
+                    if (this.hintCost !== "" && (this.hintCost < 0 || this.hintCost > 100)) {
+                        this.errors.push("Hint cost must be between 0 and 100 points.");
+                    }
+                    if (!isIntegerInRange(this.timeLimitSeconds, 5, 3600)) {
+                        this.errors.push("Time limit must be between 5 and 3600 seconds.");
+                    }
+                    if (this.tag.trim().length > 50) {
+                        this.errors.push("Tag must be 50 characters or less.");
+                    }
                     
                     if (this.errors.length > 0) {
                         return;
@@ -600,11 +1945,26 @@ const routes = [
                         formData.append('Id', this.questionId);
                         formData.append('QuizId', this.quizId);
                         formData.append('Text', this.text);
+                        formData.append('Type', this.type);
+                        formData.append('ScoringMode', this.scoringMode);
+                        formData.append('CaseSensitive', this.caseSensitive);
+                        formData.append('AnswerPattern', this.answerPattern);
+                        formData.append('NumericAnswer', this.numericAnswer ?? '');
+                        formData.append('Tolerance', this.tolerance || 0);
                         formData.append('Points', this.points);
+                        formData.append('Penalty', this.penalty ?? '');
+                        formData.append('TimeLimitSeconds', this.timeLimitSeconds || '');
+                        formData.append('Tag', this.tag.trim());
+                        formData.append('Explanation', this.explanation);
+                        formData.append('Hint', this.hint.trim());
+                        formData.append('HintCost', this.hint.trim() ? this.hintCost || 0 : 0);
                         formData.append('CorrectIndex', this.correctIndex);
                         this.options.forEach((opt, idx) => {
                             if (opt.id) formData.append(`Options[${idx}].Id`, opt.id);
                             formData.append(`Options[${idx}].Text`, opt.text);
+                            formData.append(`Options[${idx}].IsCorrect`, opt.isCorrect);
+                            formData.append(`Options[${idx}].MatchText`, opt.matchText);
+                            formData.append(`Options[${idx}].Feedback`, opt.feedback);
                         });
 
                         const response = await fetch(`/Questions/Edit/${this.questionId}`, {
@@ -630,10 +1990,20 @@ const routes = [
                 }
             },
             watch: {
+                // Single choice: the radio button decides the one correct option
                 correctIndex(newVal) {
+                    if (this.type === 'MultipleChoice') return;
                     this.options.forEach((o, i) => {
                         o.isCorrect = (i === newVal);
                     });
+                },
+                // Switching back to single choice keeps the first ticked option as the answer
+                type(newVal) {
+                    if (newVal !== 'SingleChoice') return;
+                    this.correctIndex = this.options.findIndex(o => o.isCorrect);
+                    this.options.forEach((o, i) => {
+                        o.isCorrect = (i === this.correctIndex);
+                    });
                 }
             }
         }
@@ -747,6 +2117,7 @@ const app = createApp({
     }
 });
 
+app.component('reorder-list', ReorderList);
 app.use(router);
 app.mount('#app');
 